@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+// Runs server.js against the database from DB_HOST/DB_NAME/... and skips when it can't start
+const PORT = process.env.TEST_PORT || 3901;
+const API = `http://127.0.0.1:${PORT}/api`;
+
+const startServer = () => new Promise((resolve) => {
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: { ...process.env, PORT, NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const timer = setTimeout(() => {
+    child.kill();
+    resolve(null);
+  }, 15000);
+  child.stdout.on('data', (chunk) => {
+    if (chunk.toString().includes('is running on port')) {
+      clearTimeout(timer);
+      resolve(child);
+    }
+  });
+  child.stderr.resume();
+  child.on('exit', () => {
+    clearTimeout(timer);
+    resolve(null);
+  });
+});
+
+const request = async (method, url, { session, body } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (session) {
+    headers.Authorization = `Bearer ${session.token}`;
+    headers['X-CSRF-Token'] = session.csrf.token;
+  }
+  const res = await fetch(`${API}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, data: await res.json() };
+};
+
+test('item updates', async (t) => {
+  const server = await startServer();
+  if (!server) {
+    t.skip('server could not start - is the database reachable?');
+    return;
+  }
+  t.after(() => server.kill());
+
+  const { data: session } = await request('POST', '/auth/register', {
+    body: { email: `version-${Date.now()}@example.com`, password: 'Version-test-password-1' }
+  });
+  const { data: list } = await request('POST', '/lists', { session, body: { name: 'Versions' } });
+  const { data: item } = await request('POST', `/lists/${list.id}/items`, { session, body: { text: 'Milk' } });
+
+  await t.test('without a version are refused', async () => {
+    const res = await request('PUT', `/items/${item.id}`, { session, body: { completed: true } });
+    assert.strictEqual(res.status, 428);
+    assert.strictEqual(res.data.code, 'VERSION_REQUIRED');
+  });
+
+  await t.test('from a stale toggle get 409 with the current server copy', async () => {
+    const first = await request('PUT', `/items/${item.id}`, {
+      session, body: { completed: true, version: item.version }
+    });
+    assert.strictEqual(first.status, 200);
+
+    // A second client still showing the unchecked item toggles it from the old version
+    const stale = await request('PUT', `/items/${item.id}`, {
+      session, body: { completed: true, version: item.version }
+    });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.data.item.id, item.id);
+    assert.strictEqual(stale.data.item.completed, true);
+    assert.strictEqual(stale.data.item.version, first.data.version);
+  });
+});
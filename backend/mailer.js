@@ -0,0 +1,76 @@
+// Outgoing email
+//
+// The transport is picked with MAIL_TRANSPORT:
+//   smtp     send through SMTP_HOST (with SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+//   file     write each message to MAIL_DIR (default ./mail) and log where it went
+//   console  print each message to the log
+//   test     keep messages in memory on mailer.sent, for tests
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and console otherwise.
+
+const fs = require('fs');
+const path = require('path');
+
+const formatMessage = (message) => [
+  `From: ${message.from}`,
+  `To: ${message.to}`,
+  `Subject: ${message.subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  '',
+  message.text
+].join('\n');
+
+// Each transport takes the mailer's settings and returns a function that delivers one message
+const transports = {
+  smtp: (env) => {
+    // Only required when mail really goes out, so development works without it
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT || '587', 10),
+      secure: env.SMTP_SECURE === 'true',
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+
+  file: (env) => {
+    const dir = path.resolve(env.MAIL_DIR || 'mail');
+    fs.mkdirSync(dir, { recursive: true });
+    return async (message) => {
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9.@-]/gi, '_')}.eml`);
+      await fs.promises.writeFile(file, formatMessage(message));
+      console.log(`Mail to ${message.to} written to ${file}`);
+    };
+  },
+
+  console: () => async (message) => {
+    console.log(`----- Mail -----\n${formatMessage(message)}\n----------------`);
+  },
+
+  test: (env, sent) => async (message) => {
+    sent.push(message);
+  }
+};
+
+const createMailer = (env = process.env) => {
+  const transport = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+  if (!transports[transport]) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+  if (transport === 'console' && env.NODE_ENV === 'production') {
+    console.warn('WARNING: No mail transport configured - emails are only written to the log.');
+  }
+
+  const from = env.MAIL_FROM || 'CollaborList <no-reply@localhost>';
+  const sent = [];
+  const deliver = transports[transport](env, sent);
+
+  return {
+    transport,
+    sent,
+    // message: { to, subject, text }
+    send: (message) => deliver({ from, ...message })
+  };
+};
+
+module.exports = { createMailer };
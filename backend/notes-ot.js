@@ -0,0 +1,233 @@
+// Operational transformation for collaborative plain-text notes
+//
+// An operation is an array of components applied left to right over the document:
+//   5        retain 5 characters
+//   'abc'    insert 'abc'
+//   -2       delete 2 characters
+// e.g. applying [3, 'X', -1, 2] to 'abcdef' gives 'abcXef'.
+//
+// The client copy lives in frontend/src/notesOt.js - keep the two in sync.
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isInsert = (c) => typeof c === 'string';
+const isDelete = (c) => typeof c === 'number' && c < 0;
+
+// Builders merge adjacent components of the same kind and keep inserts before deletes,
+// so equivalent operations always have the same shape
+const pushRetain = (ops, n) => {
+  if (n <= 0) return;
+  if (isRetain(ops[ops.length - 1])) {
+    ops[ops.length - 1] += n;
+  } else {
+    ops.push(n);
+  }
+};
+
+const pushInsert = (ops, str) => {
+  if (!str) return;
+  const last = ops[ops.length - 1];
+  if (isInsert(last)) {
+    ops[ops.length - 1] = last + str;
+  } else if (isDelete(last)) {
+    if (isInsert(ops[ops.length - 2])) {
+      ops[ops.length - 2] += str;
+    } else {
+      ops.splice(ops.length - 1, 0, str);
+    }
+  } else {
+    ops.push(str);
+  }
+};
+
+const pushDelete = (ops, n) => {
+  if (n <= 0) return;
+  if (isDelete(ops[ops.length - 1])) {
+    ops[ops.length - 1] -= n;
+  } else {
+    ops.push(-n);
+  }
+};
+
+// Length of the document an operation applies to, and of the document it produces
+const baseLength = (op) => op.reduce((n, c) => (isInsert(c) ? n : n + Math.abs(c)), 0);
+const targetLength = (op) => op.reduce((n, c) => (isInsert(c) ? n + c.length : isRetain(c) ? n + c : n), 0);
+
+const isValidOperation = (op) => {
+  return Array.isArray(op) && op.every(c =>
+    (typeof c === 'string' && c.length > 0) || (Number.isInteger(c) && c !== 0)
+  );
+};
+
+// True when applying the operation leaves the document unchanged
+const isNoop = (op) => op.every(isRetain);
+
+const apply = (text, op) => {
+  if (baseLength(op) !== text.length) {
+    throw new Error('Operation does not match the document length');
+  }
+
+  let index = 0;
+  let result = '';
+  for (const c of op) {
+    if (isRetain(c)) {
+      result += text.slice(index, index + c);
+      index += c;
+    } else if (isInsert(c)) {
+      result += c;
+    } else {
+      index -= c;
+    }
+  }
+  return result;
+};
+
+// Shorten a retain or delete component by n, or undefined when it is used up
+const shrink = (c, n) => {
+  const rest = isRetain(c) ? c - n : c + n;
+  return rest === 0 ? undefined : rest;
+};
+
+// Combine a and b (b applied after a) into one operation
+const compose = (a, b) => {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error('Operations cannot be composed');
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  let ca = a[i++];
+  let cb = b[j++];
+
+  while (ca !== undefined || cb !== undefined) {
+    if (isDelete(ca)) {
+      pushDelete(ops, -ca);
+      ca = a[i++];
+      continue;
+    }
+    if (isInsert(cb)) {
+      pushInsert(ops, cb);
+      cb = b[j++];
+      continue;
+    }
+    if (ca === undefined || cb === undefined) {
+      throw new Error('Operations cannot be composed');
+    }
+
+    if (isInsert(ca)) {
+      const n = Math.min(ca.length, Math.abs(cb));
+      if (isRetain(cb)) pushInsert(ops, ca.slice(0, n));
+      // An insert followed by a delete of the same text cancels out
+      ca = ca.length > n ? ca.slice(n) : a[i++];
+      cb = shrink(cb, n) ?? b[j++];
+    } else {
+      const n = Math.min(ca, Math.abs(cb));
+      if (isRetain(cb)) {
+        pushRetain(ops, n);
+      } else {
+        pushDelete(ops, n);
+      }
+      ca = shrink(ca, n) ?? a[i++];
+      cb = shrink(cb, n) ?? b[j++];
+    }
+  }
+  return ops;
+};
+
+// Transform two concurrent operations on the same document into [a', b'] so that
+// apply(apply(doc, a), b') === apply(apply(doc, b), a'). Inserts at the same position
+// put a's text first.
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Operations cannot be transformed');
+  }
+
+  const a1 = [];
+  const b1 = [];
+  let i = 0;
+  let j = 0;
+  let ca = a[i++];
+  let cb = b[j++];
+
+  while (ca !== undefined || cb !== undefined) {
+    if (isInsert(ca)) {
+      pushInsert(a1, ca);
+      pushRetain(b1, ca.length);
+      ca = a[i++];
+      continue;
+    }
+    if (isInsert(cb)) {
+      pushRetain(a1, cb.length);
+      pushInsert(b1, cb);
+      cb = b[j++];
+      continue;
+    }
+    if (ca === undefined || cb === undefined) {
+      throw new Error('Operations cannot be transformed');
+    }
+
+    const n = Math.min(Math.abs(ca), Math.abs(cb));
+    if (isRetain(ca) && isRetain(cb)) {
+      pushRetain(a1, n);
+      pushRetain(b1, n);
+    } else if (isDelete(ca) && isRetain(cb)) {
+      pushDelete(a1, n);
+    } else if (isRetain(ca) && isDelete(cb)) {
+      pushDelete(b1, n);
+    }
+    // Both deleted the same text - nothing left to do for either side
+    ca = shrink(ca, n) ?? a[i++];
+    cb = shrink(cb, n) ?? b[j++];
+  }
+  return [a1, b1];
+};
+
+// Smallest operation turning oldText into newText (one changed range)
+const fromDiff = (oldText, newText) => {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (suffix < maxSuffix &&
+         oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const ops = [];
+  pushRetain(ops, prefix);
+  pushDelete(ops, oldText.length - prefix - suffix);
+  pushInsert(ops, newText.slice(prefix, newText.length - suffix));
+  pushRetain(ops, suffix);
+  return ops;
+};
+
+// Move a caret/selection index through an operation
+const transformIndex = (index, op) => {
+  let newIndex = index;
+  let oldIndex = 0;
+  for (const c of op) {
+    if (oldIndex > index) break;
+    if (isRetain(c)) {
+      oldIndex += c;
+    } else if (isInsert(c)) {
+      newIndex += c.length;
+    } else {
+      newIndex -= Math.min(index - oldIndex, -c);
+      oldIndex -= c;
+    }
+  }
+  return newIndex;
+};
+
+module.exports = {
+  apply,
+  compose,
+  transform,
+  fromDiff,
+  transformIndex,
+  isValidOperation,
+  isNoop,
+  baseLength
+};
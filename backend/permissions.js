@@ -0,0 +1,66 @@
+// Roles on a list and what each of them may do
+//
+// The owner is lists.user_id; everyone else gets the role stored on their list_shares row.
+// Each role can do everything the roles below it can:
+//   owner      delete or restore the list, hand it to another collaborator
+//   admin      manage shares, invitations and share links
+//   editor     create, change, move and delete items, rename the list
+//   commenter  comment on items
+//   viewer     read the list
+
+const ROLES = ['viewer', 'commenter', 'editor', 'admin', 'owner'];
+
+// Roles that can be given out through a share - there is only one owner
+const SHARE_ROLES = ['admin', 'editor', 'commenter', 'viewer'];
+
+// Permission values from before roles existed. 'view' shares could already comment.
+const LEGACY_PERMISSIONS = { view: 'commenter', edit: 'editor' };
+
+// Least privileged role allowed to perform each action
+const ACTION_ROLES = {
+  view: 'viewer',
+  comment: 'commenter',
+  edit: 'editor',
+  manage: 'admin',
+  own: 'owner'
+};
+
+const rank = (role) => ROLES.indexOf(role);
+
+// Validate a permission from a request body. Returns the role, or null when it isn't one.
+const normalizeRole = (permission) => {
+  const role = LEGACY_PERMISSIONS[permission] || permission;
+  return SHARE_ROLES.includes(role) ? role : null;
+};
+
+// Role of userId on a list, from a row with the list's user_id and the user's share
+// permission (null when the list isn't shared with them)
+const getRole = (row, userId) => {
+  if (!row) return null;
+  if (row.user_id === userId) return 'owner';
+  if (!row.permission) return null;
+  return LEGACY_PERMISSIONS[row.permission] || row.permission;
+};
+
+const can = (role, action) => {
+  if (!ACTION_ROLES[action]) {
+    throw new Error(`Unknown action: ${action}`);
+  }
+  return rank(role) >= rank(ACTION_ROLES[action]);
+};
+
+// Whether someone with actorRole may give out, change or take away targetRole.
+// The owner manages everyone; admins manage the roles below their own.
+const canManageRole = (actorRole, targetRole) => {
+  if (!can(actorRole, 'manage')) return false;
+  return actorRole === 'owner' || rank(actorRole) > rank(targetRole);
+};
+
+module.exports = {
+  ROLES,
+  SHARE_ROLES,
+  normalizeRole,
+  getRole,
+  can,
+  canManageRole
+};
@@ -0,0 +1,111 @@
+// Recurrence rules for repeating list items
+//
+// Rules are stored as JSON on list_items.recurrence:
+//   { "type": "daily" }
+//   { "type": "weekly", "weekdays": [1, 3] }   // 0 = Sunday ... 6 = Saturday
+//   { "type": "monthly", "day": 31 }          // day of month of the first due date
+//   { "type": "interval", "days": 3 }          // every N days
+
+const RECURRENCE_TYPES = ['daily', 'weekly', 'monthly', 'interval'];
+const MAX_INTERVAL_DAYS = 365;
+
+// Validate a rule from a request body and return a clean copy.
+// Returns null for "no recurrence" and throws on invalid input.
+const normalizeRecurrence = (rule) => {
+  if (rule === null || rule === undefined || rule === '') return null;
+
+  if (typeof rule !== 'object' || !RECURRENCE_TYPES.includes(rule.type)) {
+    throw new Error('Invalid recurrence type');
+  }
+
+  switch (rule.type) {
+    case 'weekly': {
+      const weekdays = Array.isArray(rule.weekdays) ? rule.weekdays : [];
+      const valid = weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+      if (weekdays.length === 0 || !valid) {
+        throw new Error('Weekly recurrence needs at least one weekday (0-6)');
+      }
+      return { type: 'weekly', weekdays: [...new Set(weekdays)].sort((a, b) => a - b) };
+    }
+    case 'monthly': {
+      // The anchor day usually comes from the due date (see anchorRecurrence)
+      if (rule.day === undefined || rule.day === null) return { type: 'monthly' };
+      if (!Number.isInteger(rule.day) || rule.day < 1 || rule.day > 31) {
+        throw new Error('Monthly recurrence day must be between 1 and 31');
+      }
+      return { type: 'monthly', day: rule.day };
+    }
+    case 'interval': {
+      const days = Number(rule.days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_INTERVAL_DAYS) {
+        throw new Error(`Interval recurrence needs a whole number of days between 1 and ${MAX_INTERVAL_DAYS}`);
+      }
+      return { type: 'interval', days };
+    }
+    default:
+      return { type: rule.type };
+  }
+};
+
+// Date helpers work on 'YYYY-MM-DD' strings in UTC to avoid timezone drift
+const parseDate = (value) => new Date(`${value}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().substring(0, 10);
+
+const addDays = (value, days) => {
+  const date = parseDate(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+};
+
+const daysBetween = (from, to) => {
+  return Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+};
+
+// Pin a monthly rule to the day of month of the item's due date, so a rule started on
+// the 31st comes back to the 31st after a shorter month. Other rules are returned as is.
+const anchorRecurrence = (rule, dueDate) => {
+  if (!rule || rule.type !== 'monthly' || !dueDate) return rule;
+  return { type: 'monthly', day: parseDate(dueDate).getUTCDate() };
+};
+
+// Compute the next due date after fromDate ('YYYY-MM-DD') for a rule
+const getNextOccurrence = (rule, fromDate) => {
+  switch (rule.type) {
+    case 'daily':
+      return addDays(fromDate, 1);
+    case 'interval':
+      return addDays(fromDate, rule.days);
+    case 'weekly': {
+      for (let offset = 1; offset <= 7; offset++) {
+        const candidate = addDays(fromDate, offset);
+        if (rule.weekdays.includes(parseDate(candidate).getUTCDay())) {
+          return candidate;
+        }
+      }
+      return addDays(fromDate, 7);
+    }
+    case 'monthly': {
+      // The anchor day next month, clamped to the last day of shorter months. Rules from
+      // before anchors were stored follow the day of the previous occurrence.
+      const date = parseDate(fromDate);
+      const day = rule.day || date.getUTCDate();
+      const lastDayNextMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 2, 0)).getUTCDate();
+      return formatDate(new Date(Date.UTC(
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        Math.min(day, lastDayNextMonth)
+      )));
+    }
+    default:
+      throw new Error('Invalid recurrence type');
+  }
+};
+
+module.exports = {
+  normalizeRecurrence,
+  anchorRecurrence,
+  getNextOccurrence,
+  addDays,
+  daysBetween,
+  formatDate
+};
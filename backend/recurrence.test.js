@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRecurrence, anchorRecurrence, getNextOccurrence } = require('./recurrence');
+
+test('monthly rules come back to the 31st after shorter months', () => {
+  const rule = anchorRecurrence(normalizeRecurrence({ type: 'monthly' }), '2025-01-31');
+  assert.deepStrictEqual(rule, { type: 'monthly', day: 31 });
+
+  const dates = ['2025-01-31'];
+  for (let i = 0; i < 4; i++) {
+    dates.push(getNextOccurrence(rule, dates[dates.length - 1]));
+  }
+  assert.deepStrictEqual(dates, ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']);
+});
+
+test('monthly rules clamp to February 29th in leap years', () => {
+  assert.strictEqual(getNextOccurrence({ type: 'monthly', day: 30 }, '2024-01-30'), '2024-02-29');
+  assert.strictEqual(getNextOccurrence({ type: 'monthly', day: 30 }, '2024-02-29'), '2024-03-30');
+});
+
+test('monthly rules without an anchor follow the previous occurrence', () => {
+  assert.strictEqual(getNextOccurrence({ type: 'monthly' }, '2025-02-28'), '2025-03-28');
+});
+
+test('monthly anchor days must be a day of the month', () => {
+  assert.throws(() => normalizeRecurrence({ type: 'monthly', day: 32 }));
+  assert.throws(() => normalizeRecurrence({ type: 'monthly', day: 'last' }));
+});
@@ -4,6 +4,15 @@
 // "helmet": "^7.1.0",
 // "express-validator": "^7.0.1"
 
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Endpoints that check a password, Google credential, emailed token or authenticator
+// code, or send email - they get the strict rate limit
+const isSignInRoute = (path) => /\/auth\/(login|login\/2fa|register|google|forgot-password|reset-password|verify-email|2fa\/(setup|enable|disable|recovery-codes))$/.test(path);
+// Endpoints called without a session, or with only the refresh cookie
+const isSessionlessRoute = (path) => /\/auth\/(login|login\/2fa|register|google|refresh|logout|forgot-password|reset-password|verify-email)$/.test(path);
+
 const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
   // Basic security headers (built-in, no extra packages needed)
   app.use((req, res, next) => {
@@ -20,8 +29,9 @@ const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
     credentials: true,
     optionsSuccessStatus: 200,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-CSRF-Token'],
+    exposedHeaders: ['ETag', 'X-List-Seq']
   };
   app.use(cors(corsOptions));
 
@@ -43,7 +53,7 @@ const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
   app.use((req, res, next) => {
     const ip = req.ip || req.connection.remoteAddress;
     const now = Date.now();
-    const isAuthRoute = req.path.includes('/auth/');
+    const isAuthRoute = isSignInRoute(req.path);
     const limit = isAuthRoute ? MAX_AUTH_REQUESTS : MAX_REQUESTS;
 
     // Determine rate limit key: prefer user ID from JWT, fall back to IP
@@ -53,7 +63,7 @@ const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
       const token = authHeader.split(' ')[1];
       if (token) {
         try {
-          const decoded = require('jsonwebtoken').verify(token, JWT_SECRET);
+          const decoded = jwt.verify(token, JWT_SECRET);
           rateLimitKey = `user-${decoded.id}`; // Per-user rate limiting
         } catch (err) {
           // Invalid token, fall back to IP-based limiting
@@ -126,18 +136,11 @@ const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
     };
   };
 
-  const sanitizeInput = (input) => {
-    if (typeof input !== 'string') return input;
-    // Strict sanitization - only allow safe characters
-    // This prevents SQL injection, XSS, and command injection
-    return input
-      .replace(/[<>\"'`;(){}[\]\\]/g, '') // Remove dangerous characters
-      .trim()
-      .substring(0, 1000); // Limit length to prevent DoS
-  };
-
   // Enhanced validation middleware for auth routes
   app.use('/api/auth/*', (req, res, next) => {
+    // Under a wildcard mount req.path is just '/' - the route is in baseUrl
+    const route = req.baseUrl;
+
     // Email validation
     if (req.body.email) {
       req.body.email = req.body.email.toLowerCase().trim();
@@ -146,8 +149,8 @@ const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
       }
     }
 
-    // Password validation (only for registration)
-    if (req.body.password && req.path.includes('/register')) {
+    // Password validation (only for new passwords)
+    if (req.body.password && (route.endsWith('/register') || route.endsWith('/reset-password'))) {
       const passwordCheck = validatePassword(req.body.password);
       if (!passwordCheck.isValid) {
         return res.status(400).json({ error: passwordCheck.message });
@@ -155,7 +158,7 @@ const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
     }
 
     // Basic password check for login
-    if (req.body.password && req.path.includes('/login')) {
+    if (req.body.password && route.endsWith('/login')) {
       if (req.body.password.length < 6) {
         return res.status(400).json({ error: 'Invalid email or password' });
       }
@@ -164,43 +167,101 @@ const createSecurityMiddleware = (app, cors, JWT_SECRET) => {
     next();
   });
 
-  // CSRF Protection using double-submit cookie pattern
-  const csrfTokens = new Map(); // Store tokens temporarily
+  // CSRF Protection using synchronizer tokens
+  // Each sign-in session gets one CSRF token, kept here on the server. Requests that change
+  // something must send it back in X-CSRF-Token. Tokens are keyed by session id, so they
+  // survive access token refreshes and die with the session.
+  const csrfTokens = new Map(); // session id -> { token, expiresAt }
   const CSRF_TOKEN_EXPIRY = 4 * 60 * 60 * 1000; // 4 hours
 
   const generateCSRFToken = () => {
-    const token = require('crypto').randomBytes(32).toString('hex');
+    const token = crypto.randomBytes(32).toString('hex');
     return token;
   };
 
+  const removeExpiredCSRFTokens = (now) => {
+    for (const [key, data] of csrfTokens.entries()) {
+      if (data.expiresAt <= now) {
+        csrfTokens.delete(key);
+      }
+    }
+  };
+
+  // Issue a new CSRF token for a session, replacing any it had
+  const issueCSRFToken = (sessionId) => {
+    const now = Date.now();
+    if (csrfTokens.size > 1000) { // Prevent memory bloat
+      removeExpiredCSRFTokens(now);
+    }
+
+    const data = { token: generateCSRFToken(), expiresAt: now + CSRF_TOKEN_EXPIRY };
+    csrfTokens.set(sessionId, data);
+    return { token: data.token, expiresAt: new Date(data.expiresAt).toISOString() };
+  };
+
+  // The session's current CSRF token, or a new one when it has none or it expired
+  const getCSRFToken = (sessionId) => {
+    const data = csrfTokens.get(sessionId);
+    if (!data || data.expiresAt <= Date.now()) {
+      return issueCSRFToken(sessionId);
+    }
+    return { token: data.token, expiresAt: new Date(data.expiresAt).toISOString() };
+  };
+
+  const revokeCSRFToken = (sessionId) => {
+    csrfTokens.delete(sessionId);
+  };
+
+  const isValidCSRFToken = (sessionId, headerToken) => {
+    const data = csrfTokens.get(sessionId);
+    if (!data || data.expiresAt <= Date.now()) return false;
+
+    const expected = Buffer.from(data.token);
+    const actual = Buffer.from(headerToken);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+
   const validateCSRFToken = (req, res, next) => {
-    // Skip CSRF for GET requests and auth endpoints
-    if (req.method === 'GET' || req.path.includes('/auth/')) {
+    // Skip CSRF for reads and for signing in, refreshing and logging out
+    if (req.method === 'GET' || req.method === 'HEAD' || isSessionlessRoute(req.path)) {
       return next();
     }
 
-    const headerToken = req.headers['x-csrf-token'];
+    // Only requests made with a session need a token - share link requests have none
+    const authHeader = req.headers['authorization'];
+    const authToken = authHeader && authHeader.split(' ')[1];
+    if (authToken) {
+      let session;
+      try {
+        session = jwt.verify(authToken, JWT_SECRET);
+      } catch (err) {
+        // Expired or invalid - authenticateToken answers with the right error
+        return next();
+      }
 
-    // For authenticated requests, validate CSRF token
-    if (req.headers.authorization) {
+      const headerToken = req.headers['x-csrf-token'];
       if (!headerToken) {
-        return res.status(403).json({ error: 'CSRF token required' });
+        return res.status(403).json({ error: 'CSRF token required', code: 'CSRF_TOKEN_INVALID' });
+      }
+      // Unknown after a server restart, expired, or issued for another session
+      if (!isValidCSRFToken(session.sid, headerToken)) {
+        return res.status(403).json({ error: 'Invalid or expired CSRF token', code: 'CSRF_TOKEN_INVALID' });
       }
-      // In production, you'd validate this against a server-side store
-      // For now, we'll accept any non-empty token from authenticated users
-      // This prevents basic CSRF attacks while keeping implementation simple
     }
 
     next();
   };
 
-  // Apply CSRF validation to all API routes except auth
+  // Apply CSRF validation to all API routes
   app.use('/api/', validateCSRFToken);
 
+  // User text is validated per field in validation.js and stored verbatim - see the notes there
+
   return {
     validateEmail,
-    sanitizeInput,
-    generateCSRFToken
+    issueCSRFToken,
+    getCSRFToken,
+    revokeCSRFToken
   };
 };
 
@@ -1,9 +1,10 @@
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const http = require('http');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const { OAuth2Client } = require('google-auth-library');
 require('dotenv').config();
@@ -20,9 +21,22 @@ const io = socketIo(server, {
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
+// Where links in emails point
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
 // Security configuration
 const { createSecurityMiddleware } = require('./security');
+const { normalizeRecurrence, anchorRecurrence, getNextOccurrence, addDays, daysBetween, formatDate } = require('./recurrence');
+const notesOt = require('./notes-ot');
+const { SHARE_ROLES, normalizeRole, getRole, can, canManageRole } = require('./permissions');
+const { TEXT_FIELDS, normalizeText } = require('./validation');
+const { createMailer } = require('./mailer');
+const totp = require('./totp');
+
+const mailer = createMailer();
+
+// Return DATE columns as plain 'YYYY-MM-DD' strings instead of local-midnight Date objects
+types.setTypeParser(1082, (value) => value);
 
 // PostgreSQL connection
 const pool = new Pool({
@@ -35,36 +49,127 @@ const pool = new Pool({
 
 // Middleware and Security
 app.use(express.json());
-const { validateEmail, sanitizeInput } = createSecurityMiddleware(app, cors, JWT_SECRET);
+const { validateEmail, issueCSRFToken, getCSRFToken, revokeCSRFToken } = createSecurityMiddleware(app, cors, JWT_SECRET);
 
 // Socket.io authentication middleware
 io.use(async (socket, next) => {
   try {
-    const token = socket.handshake.auth.token;
+    const { token, shareToken } = socket.handshake.auth;
+
+    // Visitors of a share link have no account - they only get that list's public events
+    if (!token && shareToken) {
+      const link = await getActiveShareLink(shareToken);
+      if (!link) {
+        return next(new Error('Share link not found'));
+      }
+      socket.data.shareLink = { id: link.id, listId: link.list_id, expiresAt: link.expires_at };
+      return next();
+    }
+
     if (!token) {
       return next(new Error('Authentication error'));
     }
 
     const user = jwt.verify(token, JWT_SECRET);
+    if (!(await isSessionActive(user.sid, user.id))) {
+      return next(new Error('Session revoked'));
+    }
     socket.userId = user.id;
     socket.userEmail = user.email;
+    // Mirror identity into socket.data so it is visible via fetchSockets()
+    socket.data.userId = user.id;
+    socket.data.sessionId = user.sid;
     next();
   } catch (err) {
-    next(new Error('Authentication error'));
+    // The client refreshes its access token and reconnects on 'Token expired'
+    next(new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Authentication error'));
   }
 });
 
 // Socket.io connection handling
 io.on('connection', async (socket) => {
+  if (socket.data.shareLink) {
+    registerShareLinkSocket(socket);
+    return;
+  }
+
   console.log(`User ${socket.userEmail} connected`);
 
+  // Personal room for events addressed to this user regardless of the list being viewed
+  socket.join(`user-${socket.userId}`);
+  // Room for the sign-in session, so revoking it can disconnect this socket
+  socket.join(`session-${socket.data.sessionId}`);
+
+  // Handlers are registered before any await so events sent right after a
+  // (re)connect aren't dropped
+  registerNotesHandlers(socket);
+  socket.data.presenceLists = new Set();
+
+  // Handle joining a specific list room (only for lists the user can access)
+  socket.on('join-list', async (listId) => {
+    try {
+      const hasAccess = await canAccessList(listId, socket.userId);
+      if (!hasAccess) {
+        console.log(`User ${socket.userEmail} denied access to list-${listId}`);
+        return;
+      }
+
+      socket.join(`list-${listId}`);
+      updatePresence(socket, listId, { itemId: null, editing: false });
+      console.log(`User ${socket.userEmail} joined list-${listId}`);
+    } catch (error) {
+      console.error('Error joining list room:', error);
+    }
+  });
+
+  // Handle leaving a list room
+  socket.on('leave-list', (listId) => {
+    socket.leave(`list-${listId}`);
+    removePresence(socket, listId);
+    console.log(`User ${socket.userEmail} left list-${listId}`);
+  });
+
+  // The item this socket has focused or is editing in the list it is viewing
+  socket.on('presence-update', ({ listId, itemId = null, editing = false } = {}) => {
+    if (!socket.data.presenceLists.has(String(listId))) return;
+    updatePresence(socket, listId, {
+      itemId: Number.isInteger(itemId) ? itemId : null,
+      editing: Boolean(editing) && Number.isInteger(itemId)
+    });
+  });
+
+  // After a reconnect the client sends the last sequence number it saw per list
+  // ({ [listId]: seq }) and gets back the missed events, or a snapshot marker
+  socket.on('resync', async (since, ack) => {
+    if (typeof ack !== 'function') return;
+
+    try {
+      const lists = [];
+      for (const [listId, seq] of Object.entries(since || {}).slice(0, MAX_RESYNC_LISTS)) {
+        if (!/^\d+$/.test(listId) || !Number.isInteger(seq) || seq < 0) continue;
+        lists.push(await getMissedListEvents(socket, Number(listId), seq));
+      }
+      ack({ lists });
+    } catch (error) {
+      console.error('Error resyncing lists:', error);
+      ack({ error: 'Failed to resync' });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    for (const listId of [...socket.data.presenceLists]) {
+      removePresence(socket, listId);
+    }
+    console.log(`User ${socket.userEmail} disconnected`);
+  });
+
   // Join rooms for all lists the user has access to
   try {
     const result = await pool.query(
       `SELECT DISTINCT l.id
        FROM lists l
        LEFT JOIN list_shares ls ON l.id = ls.list_id
-       WHERE l.user_id = $1 OR ls.user_id = $1`,
+       WHERE (l.user_id = $1 OR ls.user_id = $1) AND l.deleted_at IS NULL`,
       [socket.userId]
     );
 
@@ -75,667 +180,3962 @@ io.on('connection', async (socket) => {
   } catch (error) {
     console.error('Error joining rooms:', error);
   }
-
-  // Handle joining a specific list room
-  socket.on('join-list', (listId) => {
-    socket.join(`list-${listId}`);
-    console.log(`User ${socket.userEmail} joined list-${listId}`);
-  });
-
-  // Handle leaving a list room
-  socket.on('leave-list', (listId) => {
-    socket.leave(`list-${listId}`);
-    console.log(`User ${socket.userEmail} left list-${listId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log(`User ${socket.userEmail} disconnected`);
-  });
 });
 
-// Helper function to emit updates
-const emitListUpdate = (listId, event, data) => {
-  io.to(`list-${listId}`).emit(event, data);
-};
+// Every list room event gets the next sequence number of its list and is stored in
+// list_events, so clients that were disconnected can replay what they missed.
+// Events are sent as (data, { listId, seq }); emits for one list are queued so they
+// go out in sequence order.
+const LIST_EVENTS_KEPT = 500;
+
+// Events share link visitors receive - items and the list itself, nothing about collaborators
+const PUBLIC_LIST_EVENTS = new Set([
+  'list-updated', 'list-deleted', 'item-created', 'item-updated', 'item-deleted',
+  'item-restored', 'item-tags-updated'
+]);
+const listEventQueues = new Map(); // listId -> promise of the last queued emit
+
+// Item columns share-link viewers may see - no assignees, trash details or other internals
+const PUBLIC_ITEM_COLUMNS = [
+  'id', 'list_id', 'parent_id', 'text', 'notes', 'completed', 'position',
+  'due_date', 'due_time', 'recurrence', 'version', 'created_at', 'updated_at'
+];
 
-// Auth middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Tags without their owner or list - just what a chip needs
+const toPublicTag = ({ id, name, color }) => ({ id, name, color });
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+const toPublicItem = (item) => {
+  const publicItem = {};
+  for (const column of PUBLIC_ITEM_COLUMNS) {
+    if (item[column] !== undefined) publicItem[column] = item[column];
   }
-
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    req.user = user;
-    next();
-  });
+  if (item.tags) publicItem.tags = item.tags.map(toPublicTag);
+  return publicItem;
 };
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'healthy', auth: true, realtime: true });
-});
+// The part of a list event share-link viewers get
+const toPublicEvent = (event, data) => {
+  if (event === 'list-updated') {
+    return { id: data.id, name: data.name, description: data.description };
+  }
+  if (data.item) return { ...data, item: toPublicItem(data.item) };
+  if (data.items) return { ...data, items: data.items.map(toPublicItem) };
+  if (data.tags) return { ...data, tags: data.tags.map(toPublicTag) };
+  return data;
+};
 
-// Security status check (only shows configuration, not secrets)
-app.get('/api/security-status', (req, res) => {
-  res.json({
-    googleOAuth: GOOGLE_CLIENT_ID && !GOOGLE_CLIENT_ID.includes('your-') ? 'configured' : 'not configured',
-    signupMethod: GOOGLE_CLIENT_ID && !GOOGLE_CLIENT_ID.includes('your-') ? 'google-only' : 'email-password',
-    jwtSecure: JWT_SECRET !== 'your-secret-key-change-in-production',
-    rateLimiting: 'enabled',
-    csrfProtection: 'enabled',
-    cors: 'configured',
-    securityHeaders: 'enabled',
-    tokenExpiry: '24h',
-    passwordRequirements: {
-      minLength: 8,
-      requiresUppercase: true,
-      requiresLowercase: true,
-      requiresNumber: true
-    }
-  });
-});
+const recordListEvent = async (listId, event, data) => {
+  const result = await pool.query(
+    `WITH next AS (
+       UPDATE lists SET event_seq = event_seq + 1 WHERE id = $1 RETURNING id, event_seq
+     )
+     INSERT INTO list_events (list_id, seq, event, data)
+     SELECT id, event_seq, $2, $3 FROM next
+     RETURNING seq`,
+    [listId, event, JSON.stringify(data)]
+  );
+  if (result.rows.length === 0) return null;
+
+  const seq = Number(result.rows[0].seq);
+  if (seq % 100 === 0) {
+    await pool.query(
+      'DELETE FROM list_events WHERE list_id = $1 AND seq <= $2',
+      [listId, seq - LIST_EVENTS_KEPT]
+    );
+  }
+  return seq;
+};
 
-// Auth Routes
-app.post('/api/auth/register', async (req, res) => {
-  // Disable regular signup if Google OAuth is configured
-  if (GOOGLE_CLIENT_ID && !GOOGLE_CLIENT_ID.includes('your-') && GOOGLE_CLIENT_ID !== '') {
-    return res.status(403).json({
-      error: 'Registration is currently disabled. Please use Google Sign-In instead.'
+// Helper function to emit updates
+const emitListUpdate = (listId, event, data) => {
+  const key = String(listId);
+  const room = `list-${listId}`;
+
+  const queued = (listEventQueues.get(key) || Promise.resolve())
+    .then(() => recordListEvent(listId, event, data))
+    .then((seq) => {
+      const meta = seq === null ? [] : [{ listId: Number(listId), seq }];
+      io.to(room).emit(event, data, ...meta);
+      if (PUBLIC_LIST_EVENTS.has(event)) {
+        io.to(`public-list-${listId}`).emit(event, toPublicEvent(event, data), ...meta);
+      }
+    })
+    .catch((error) => {
+      // Still deliver the event live; reconnecting clients fall back to a snapshot
+      console.error('Error recording list event:', error);
+      io.to(room).emit(event, data);
+      if (PUBLIC_LIST_EVENTS.has(event)) {
+        io.to(`public-list-${listId}`).emit(event, toPublicEvent(event, data));
+      }
     });
-  }
 
-  const { email, password } = req.body;
+  listEventQueues.set(key, queued);
+  queued.then(() => {
+    if (listEventQueues.get(key) === queued) listEventQueues.delete(key);
+  });
+  return queued;
+};
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password required' });
-  }
+// Helper function to emit events to every connected socket of one user
+const emitUserUpdate = (userId, event, data) => {
+  io.to(`user-${userId}`).emit(event, data);
+};
 
+// Turn invitations sent to a new user's email into shares. Invites to lists that are
+// in the trash are converted too, so the share is there if the list is restored.
+const acceptPendingInvitations = async (user) => {
   try {
-    // Check if user exists (but don't reveal this to the user)
-    const existingUser = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
-      [email]
+    const result = await pool.query(
+      `WITH accepted AS (
+         DELETE FROM list_invitations WHERE email = LOWER($1) RETURNING *
+       ), shared AS (
+         INSERT INTO list_shares (list_id, user_id, permission)
+         SELECT list_id, $2, permission FROM accepted
+         ON CONFLICT (list_id, user_id) DO UPDATE SET permission = EXCLUDED.permission
+         RETURNING list_id, permission
+       )
+       SELECT s.list_id, s.permission, u.email AS shared_by
+       FROM shared s
+       JOIN accepted a ON a.list_id = s.list_id
+       LEFT JOIN users u ON a.invited_by = u.id`,
+      [user.email, user.id]
     );
 
-    if (existingUser.rows.length > 0) {
-      // Generic error to prevent user enumeration
-      return res.status(400).json({ error: 'Unable to create account. Please try again or use a different email.' });
+    for (const share of result.rows) {
+      const data = {
+        listId: share.list_id,
+        userId: user.id,
+        permission: share.permission,
+        sharedBy: share.shared_by
+      };
+      emitListUpdate(share.list_id, 'list-shared', data);
+      emitUserUpdate(user.id, 'list-shared', data);
     }
+  } catch (error) {
+    // Signing up still works - the invites stay pending
+    console.error('Error accepting invitations:', error);
+  }
+};
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+// A user's role on a list (see permissions.js), or null when the list is missing,
+// in the trash or not shared with them
+const getListAccess = async (listId, userId) => {
+  const result = await pool.query(
+    `SELECT l.user_id, ls.permission
+     FROM lists l
+     LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+     WHERE l.id = $1 AND l.deleted_at IS NULL`,
+    [listId, userId]
+  );
+  if (result.rows.length === 0) return null;
+  return { ownerId: result.rows[0].user_id, role: getRole(result.rows[0], userId) };
+};
 
-    // Create user
+const getListRole = async (listId, userId) => (await getListAccess(listId, userId))?.role ?? null;
+
+const canAccessList = async (listId, userId) => can(await getListRole(listId, userId), 'view');
+
+const canEditList = async (listId, userId) => can(await getListRole(listId, userId), 'edit');
+
+// Send an event to everyone who manages a list's shares (the owner and admins), e.g. about
+// pending invitations that other collaborators shouldn't see
+const emitToListManagers = async (listId, event, data) => {
+  try {
     const result = await pool.query(
-      'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email',
-      [email, hashedPassword]
+      `SELECT user_id FROM lists WHERE id = $1
+       UNION
+       SELECT user_id FROM list_shares WHERE list_id = $1 AND permission = 'admin'`,
+      [listId]
     );
+    result.rows.forEach(row => emitUserUpdate(row.user_id, event, data));
+  } catch (error) {
+    console.error('Error notifying list managers:', error);
+  }
+};
 
-    const user = result.rows[0];
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '24h' });
+// Events missed by a reconnecting socket since seq. Returns { listId, seq, events },
+// { listId, seq, snapshot: true } when the gap is too large to replay, or
+// { listId, removed: true } when the user lost access in the meantime.
+const LIST_REPLAY_LIMIT = 200;
+const MAX_RESYNC_LISTS = 500;
 
-    res.status(201).json({ token, user: { id: user.id, email: user.email } });
-  } catch (error) {
-    console.error('Error registering user:', error);
-    res.status(500).json({ error: 'Failed to register user' });
+const getMissedListEvents = async (socket, listId, since) => {
+  if (!(await canAccessList(listId, socket.userId))) {
+    socket.leave(`list-${listId}`);
+    return { listId, removed: true };
   }
-});
 
-app.post('/api/auth/login', async (req, res) => {
-  const { email, password } = req.body;
+  // Join first so nothing emitted after the read below is missed
+  socket.join(`list-${listId}`);
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password required' });
+  const current = await pool.query('SELECT event_seq FROM lists WHERE id = $1', [listId]);
+  if (current.rows.length === 0) {
+    return { listId, removed: true };
+  }
+  const seq = Number(current.rows[0].event_seq);
+  if (since === seq) {
+    return { listId, seq, events: [] };
+  }
+  if (since > seq || seq - since > LIST_REPLAY_LIMIT) {
+    return { listId, seq, snapshot: true };
   }
 
-  try {
-    const result = await pool.query(
-      'SELECT id, email, password_hash FROM users WHERE email = $1',
-      [email]
-    );
+  const result = await pool.query(
+    `SELECT seq, event, data FROM list_events
+     WHERE list_id = $1 AND seq > $2 AND seq <= $3
+     ORDER BY seq`,
+    [listId, since, seq]
+  );
 
-    if (result.rows.length === 0) {
-      // Use same generic error for both cases to prevent user enumeration
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+  // Older events may already have been pruned
+  if (result.rows.length !== seq - since) {
+    return { listId, seq, snapshot: true };
+  }
 
-    const user = result.rows[0];
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+  return {
+    listId,
+    seq,
+    events: result.rows.map(row => ({ seq: Number(row.seq), event: row.event, data: row.data }))
+  };
+};
 
-    if (!validPassword) {
-      // Same generic error message
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+// Live presence - who is viewing each list and which item they have focused or are editing.
+// Only sockets that sent join-list for a list count as viewers (everyone is in the rooms
+// of all their lists to receive updates).
+const listPresence = new Map(); // listId -> Map(socket.id -> viewer)
 
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '24h' });
-    res.json({ token, user: { id: user.id, email: user.email } });
-  } catch (error) {
-    console.error('Error logging in:', error);
-    res.status(500).json({ error: 'Authentication failed. Please try again.' });
+const broadcastPresence = (listId) => {
+  const viewers = [...(listPresence.get(String(listId))?.values() || [])];
+  // Ephemeral, so not sequenced or stored like emitListUpdate events
+  io.to(`list-${listId}`).emit('presence', { listId: Number(listId), viewers });
+};
+
+const updatePresence = (socket, listId, { itemId, editing }) => {
+  const key = String(listId);
+  if (!listPresence.has(key)) listPresence.set(key, new Map());
+  listPresence.get(key).set(socket.id, {
+    socketId: socket.id,
+    userId: socket.userId,
+    email: socket.userEmail,
+    itemId,
+    editing
+  });
+  socket.data.presenceLists.add(key);
+  broadcastPresence(listId);
+};
+
+const removePresence = (socket, listId) => {
+  const key = String(listId);
+  socket.data.presenceLists?.delete(key);
+  const viewers = listPresence.get(key);
+  if (!viewers || !viewers.delete(socket.id)) return;
+
+  if (viewers.size === 0) listPresence.delete(key);
+  broadcastPresence(listId);
+};
+
+// Remove sockets from a list room on the server side.
+// If userId is given only that user's sockets are removed, otherwise everyone is.
+const evictFromListRoom = async (listId, userId = null) => {
+  const room = `list-${listId}`;
+
+  if (userId === null) {
+    io.in(room).socketsLeave(room);
+    io.in(`public-list-${listId}`).disconnectSockets(true);
+    closeNoteSessions(listId);
+    listPresence.delete(String(listId));
+    return;
   }
-});
 
-// Google OAuth login endpoint
-app.post('/api/auth/google', async (req, res) => {
-  const { credential } = req.body;
+  const sockets = await io.in(room).fetchSockets();
+  for (const s of sockets) {
+    if (String(s.data.userId) === String(userId)) {
+      s.leave(room);
+      removePresence(io.sockets.sockets.get(s.id) || s, listId);
+    }
+  }
 
-  // Check if Google OAuth is configured
-  if (!GOOGLE_CLIENT_ID || GOOGLE_CLIENT_ID === '' || GOOGLE_CLIENT_ID.includes('your-')) {
-    return res.status(501).json({
-      error: 'Google OAuth not configured. Set GOOGLE_CLIENT_ID in environment variables.'
-    });
+  closeNoteSessions(listId, userId);
+};
+
+// Load tags for a set of item rows and attach them as item.tags
+const attachItemTags = async (items) => {
+  if (items.length === 0) return items;
+
+  const result = await pool.query(
+    `SELECT it.item_id, t.id, t.name, t.color, t.list_id, t.user_id
+     FROM item_tags it
+     JOIN tags t ON it.tag_id = t.id
+     WHERE it.item_id = ANY($1)
+     ORDER BY t.name`,
+    [items.map(item => item.id)]
+  );
+
+  const tagsByItem = {};
+  for (const { item_id, ...tag } of result.rows) {
+    (tagsByItem[item_id] = tagsByItem[item_id] || []).push(tag);
   }
 
-  try {
-    const client = new OAuth2Client(GOOGLE_CLIENT_ID);
+  return items.map(item => ({ ...item, tags: tagsByItem[item.id] || [] }));
+};
 
-    const ticket = await client.verifyIdToken({
-      idToken: credential,
-      audience: GOOGLE_CLIENT_ID
-    });
+// Mentions look like @alice@example.com in notes and comments
+const MENTION_PATTERN = /(?:^|[^\w.])@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
 
-    const payload = ticket.getPayload();
-    const email = payload.email;
-    const googleId = payload.sub;
+const extractMentions = (text) => {
+  if (typeof text !== 'string') return [];
+  const emails = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    emails.add(match[1].toLowerCase());
+  }
+  return [...emails];
+};
 
-    // Check if user exists
-    let user = await pool.query(
-      'SELECT id, email FROM users WHERE email = $1 OR google_id = $2',
-      [email, googleId]
+// Store and push a notification for every collaborator newly mentioned in text.
+// Mentions already present in previousText (an earlier version of the same notes/comment) are skipped.
+// Failures are logged only - the edit that contained the mention has already been saved.
+const notifyMentions = async ({ text, previousText = '', listId, itemId, itemText, commentId = null, actor }) => {
+  const previous = new Set(extractMentions(previousText));
+  const actorEmail = actor.email.toLowerCase();
+  const emails = extractMentions(text).filter(email => !previous.has(email) && email !== actorEmail);
+  if (emails.length === 0) return;
+
+  try {
+    // Only people who can see the list get notified
+    const recipients = await pool.query(
+      `SELECT u.id, u.email
+       FROM users u
+       JOIN lists l ON l.id = $2 AND l.deleted_at IS NULL
+       WHERE LOWER(u.email) = ANY($1)
+         AND (l.user_id = u.id OR EXISTS (
+           SELECT 1 FROM list_shares ls WHERE ls.list_id = l.id AND ls.user_id = u.id
+         ))`,
+      [emails, listId]
     );
 
-    if (user.rows.length === 0) {
-      // Create new user with Google OAuth (no password required)
+    const where = commentId ? 'a comment on' : 'the notes of';
+    const message = `${actor.email} mentioned you in ${where} "${itemText}"`;
+
+    for (const recipient of recipients.rows) {
       const result = await pool.query(
-        'INSERT INTO users (email, google_id, password_hash) VALUES ($1, $2, $3) RETURNING id, email',
-        [email, googleId, 'google-oauth-no-password']
-      );
-      user = result;
-    } else if (!user.rows[0].google_id) {
-      // Link existing account with Google
-      await pool.query(
-        'UPDATE users SET google_id = $1 WHERE email = $2',
-        [googleId, email]
+        `INSERT INTO notifications (user_id, actor_id, type, list_id, item_id, comment_id, message)
+         VALUES ($1, $2, 'mention', $3, $4, $5, $6)
+         RETURNING *`,
+        [recipient.id, actor.id, listId, itemId, commentId, message]
       );
+      emitUserUpdate(recipient.id, 'notification', { ...result.rows[0], actor_email: actor.email });
     }
-
-    const token = jwt.sign({
-      id: user.rows[0].id,
-      email: user.rows[0].email
-    }, JWT_SECRET, { expiresIn: '24h' });
-
-    res.json({ token, user: { id: user.rows[0].id, email: user.rows[0].email } });
   } catch (error) {
-    console.error('Google auth error:', error);
-    res.status(401).json({ error: 'Invalid Google token' });
+    console.error('Error sending mention notifications:', error);
   }
-});
+};
 
-// Lists Routes (protected) with real-time updates
-app.get('/api/lists', authenticateToken, async (req, res) => {
+// Optimistic concurrency - clients send the version they edited as body.version or an
+// If-Match header ("3" or W/"3"). Returns undefined when the request has no version,
+// null for If-Match: * (overwrite whatever is there) and NaN when it is malformed.
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  const raw = req.body.version ?? (header ? header.replace(/^W\//, '').replace(/"/g, '') : undefined);
+  if (raw === undefined || raw === null) return undefined;
+  if (raw === '*') return null;
+  const version = Number(raw);
+  return Number.isInteger(version) ? version : NaN;
+};
+
+// Updates must say which version they were based on, so nothing is overwritten unseen
+const VERSION_REQUIRED = {
+  error: 'Send the version you edited as body.version or an If-Match header',
+  code: 'VERSION_REQUIRED'
+};
+
+// Item history - fields tracked in the per-item change log
+const HISTORY_FIELDS = ['text', 'completed', 'notes', 'parent_id', 'position'];
+
+// Record an item mutation with a before/after diff of HISTORY_FIELDS and push it to the
+// list room. Pass before = null for a created item and after = null for a deleted one.
+// Failures are logged, not thrown - the mutation itself already succeeded.
+const recordItemHistory = async ({ itemId, listId, action, before, after, actor }) => {
   try {
+    const changes = {};
+    for (const field of HISTORY_FIELDS) {
+      const from = before ? before[field] ?? null : null;
+      const to = after ? after[field] ?? null : null;
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    }
+
+    // Updates that only touched untracked fields (tags, due dates...) aren't logged
+    if (action === 'updated' && Object.keys(changes).length === 0) return;
+
     const result = await pool.query(
-      `SELECT DISTINCT l.*
-       FROM lists l
-       LEFT JOIN list_shares ls ON l.id = ls.list_id
-       WHERE l.user_id = $1 OR ls.user_id = $1
-       ORDER BY l.created_at DESC`,
-      [req.user.id]
+      `INSERT INTO item_history (item_id, list_id, user_id, action, changes)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [itemId, listId, actor.id, action, JSON.stringify(changes)]
     );
-    res.json(result.rows);
+
+    const entry = {
+      ...result.rows[0],
+      actor_email: actor.email,
+      item_text: (after || before).text
+    };
+    emitListUpdate(listId, 'item-history', { listId: Number(listId), entry });
   } catch (error) {
-    console.error('Error fetching lists:', error);
-    res.status(500).json({ error: 'Failed to fetch lists' });
+    console.error('Error recording item history:', error);
   }
-});
+};
 
-app.post('/api/lists', authenticateToken, async (req, res) => {
-  let { name, description } = req.body;
+// Collaborative notes editing - one OT document per item (see notes-ot.js).
+// Clients send operations against a revision; the server transforms them over anything
+// applied since, broadcasts the result to the item's notes-<id> room and saves the text
+// back to list_items.notes shortly after edits stop. Documents stay loaded for a while
+// after the last editor leaves so a reconnecting client can catch up op by op.
+const NOTES_SAVE_DELAY = 1000;
+const NOTES_UNLOAD_DELAY = 5 * 60 * 1000;
+const NOTES_HISTORY_LIMIT = 500;
+const MAX_NOTES_LENGTH = TEXT_FIELDS.itemNotes.max;
+
+const noteDocs = new Map(); // itemId -> document
+
+const loadNoteDoc = async (itemId, listId) => {
+  if (noteDocs.has(itemId)) return noteDocs.get(itemId);
+
+  const result = await pool.query('SELECT notes FROM list_items WHERE id = $1', [itemId]);
+
+  // Another socket may have loaded it while we were waiting
+  if (noteDocs.has(itemId)) return noteDocs.get(itemId);
+
+  const text = result.rows[0]?.notes || '';
+  const doc = {
+    itemId,
+    listId,
+    sessionId: crypto.randomUUID(),
+    text,
+    savedText: text,
+    revision: 0,
+    baseRevision: 0, // revision before history[0]
+    history: [],
+    editors: new Map(), // socket.id -> { userId, email, canEdit, start, end }
+    lastEditor: null,
+    saveTimer: null,
+    unloadTimer: null
+  };
+  noteDocs.set(itemId, doc);
+  return doc;
+};
 
-  // Sanitize inputs
-  name = sanitizeInput(name);
-  description = sanitizeInput(description || '');
+const pushNoteOp = (doc, op, opId, socketId) => {
+  doc.text = notesOt.apply(doc.text, op);
+  doc.revision++;
+  doc.history.push({ op, opId, revision: doc.revision });
+  if (doc.history.length > NOTES_HISTORY_LIMIT) {
+    doc.history.shift();
+    doc.baseRevision++;
+  }
 
-  if (!name || name.length < 1) {
-    return res.status(400).json({ error: 'List name is required' });
+  // Keep stored carets in place for clients that open the document later
+  for (const editor of doc.editors.values()) {
+    if (editor.start !== null) {
+      editor.start = notesOt.transformIndex(editor.start, op);
+      editor.end = notesOt.transformIndex(editor.end, op);
+    }
   }
+  io.to(`notes-${doc.itemId}`).except(socketId || []).emit('notes-op', {
+    itemId: doc.itemId,
+    revision: doc.revision,
+    op,
+    opId
+  });
+};
+
+const saveNoteDoc = async (doc) => {
+  clearTimeout(doc.saveTimer);
+  doc.saveTimer = null;
+  if (doc.text === doc.savedText) return;
+
+  const previousText = doc.savedText;
+  doc.savedText = doc.text;
 
   try {
     const result = await pool.query(
-      'INSERT INTO lists (name, description, user_id) VALUES ($1, $2, $3) RETURNING *',
-      [name, description, req.user.id]
+      `UPDATE list_items SET notes = $1, updated_at = NOW(), version = version + 1
+       WHERE id = $2 AND deleted_at IS NULL
+       RETURNING *`,
+      [doc.savedText, doc.itemId]
     );
+    if (result.rows.length === 0) return;
+
+    const [item] = await attachItemTags(result.rows);
+    emitListUpdate(doc.listId, 'item-updated', { listId: doc.listId, item });
+
+    if (doc.lastEditor) {
+      await recordItemHistory({
+        itemId: item.id,
+        listId: doc.listId,
+        action: 'updated',
+        before: { ...item, notes: previousText },
+        after: item,
+        actor: doc.lastEditor
+      });
+      await notifyMentions({
+        text: item.notes,
+        previousText,
+        listId: doc.listId,
+        itemId: item.id,
+        itemText: item.text,
+        actor: doc.lastEditor
+      });
+    }
+  } catch (error) {
+    console.error('Error saving notes:', error);
+    // Try again with the next edit
+    doc.savedText = previousText;
+  }
+};
 
-    const newList = result.rows[0];
+// Bring an open document in line with notes changed through PUT /api/items/:id
+const syncNoteDoc = (itemId, notes) => {
+  const doc = noteDocs.get(Number(itemId));
+  const text = notes || '';
+  if (!doc || doc.text === text) return;
 
-    // Emit to all users who have access
+  pushNoteOp(doc, notesOt.fromDiff(doc.text, text), null, null);
+  doc.savedText = doc.text;
+};
+
+const leaveNoteDoc = (socket, itemId) => {
+  const doc = noteDocs.get(itemId);
+  socket.leave(`notes-${itemId}`);
+  socket.data.noteItems?.delete(itemId);
+  if (!doc || !doc.editors.delete(socket.id)) return;
+
+  // Remove this socket's caret for everyone else
+  socket.to(`notes-${itemId}`).emit('notes-cursor', { itemId, socketId: socket.id, start: null, end: null });
+
+  if (doc.editors.size === 0) {
+    saveNoteDoc(doc);
+    doc.unloadTimer = setTimeout(() => {
+      if (doc.editors.size === 0 && noteDocs.get(itemId) === doc) {
+        noteDocs.delete(itemId);
+      }
+    }, NOTES_UNLOAD_DELAY);
+  }
+};
+
+// Drop notes editors of a list, e.g. when their share is revoked or the list is deleted.
+// With reopen, clients open the notes again - for when the user's role changed.
+const closeNoteSessions = (listId, userId = null, { reopen = false } = {}) => {
+  for (const doc of noteDocs.values()) {
+    if (String(doc.listId) !== String(listId)) continue;
+
+    for (const [socketId, editor] of doc.editors) {
+      if (userId !== null && String(editor.userId) !== String(userId)) continue;
+      const editorSocket = io.sockets.sockets.get(socketId);
+      if (editorSocket) {
+        editorSocket.emit('notes-closed', { itemId: doc.itemId, reopen });
+        leaveNoteDoc(editorSocket, doc.itemId);
+      }
+    }
+  }
+};
+
+const registerNotesHandlers = (socket) => {
+  socket.data.noteItems = new Set();
+
+  // Open (or re-open after a reconnect) an item's notes document. Clients that still
+  // have the same session get the ops they missed instead of a fresh copy.
+  socket.on('notes-open', async ({ itemId, sessionId, revision } = {}, ack = () => {}) => {
+    try {
+      itemId = Number(itemId);
+      const access = await getItemAccess(itemId, socket.userId);
+      if (!access || !access.canView) {
+        return ack({ error: 'Not authorized' });
+      }
+
+      const doc = await loadNoteDoc(itemId, access.listId);
+      clearTimeout(doc.unloadTimer);
+      doc.editors.set(socket.id, {
+        userId: socket.userId,
+        email: socket.userEmail,
+        canEdit: access.canEdit,
+        start: null,
+        end: null
+      });
+      socket.data.noteItems.add(itemId);
+      socket.join(`notes-${itemId}`);
+
+      const carets = [...doc.editors]
+        .filter(([socketId, editor]) => socketId !== socket.id && editor.start !== null)
+        .map(([socketId, editor]) => ({ socketId, userId: editor.userId, email: editor.email, start: editor.start, end: editor.end }));
+
+      const response = {
+        sessionId: doc.sessionId,
+        revision: doc.revision,
+        text: doc.text,
+        canEdit: access.canEdit,
+        carets
+      };
+      if (sessionId === doc.sessionId && revision >= doc.baseRevision && revision <= doc.revision) {
+        response.ops = doc.history
+          .slice(revision - doc.baseRevision)
+          .map(({ op, opId }) => ({ op, opId }));
+      }
+      ack(response);
+    } catch (error) {
+      console.error('Error opening notes:', error);
+      ack({ error: 'Failed to open notes' });
+    }
+  });
+
+  socket.on('notes-op', ({ itemId, revision, op, opId } = {}, ack = () => {}) => {
+    itemId = Number(itemId);
+    const doc = noteDocs.get(itemId);
+    const editor = doc?.editors.get(socket.id);
+    if (!editor) {
+      return ack({ error: 'resync' });
+    }
+    if (!editor.canEdit) {
+      return ack({ error: 'No edit permission' });
+    }
+
+    // Re-sent after a reconnect but already applied
+    const applied = opId && doc.history.find(entry => entry.opId === opId);
+    if (applied) {
+      return ack({ revision: applied.revision });
+    }
+
+    if (!notesOt.isValidOperation(op) || !Number.isInteger(revision) ||
+        revision < doc.baseRevision || revision > doc.revision) {
+      return ack({ error: 'resync' });
+    }
+
+    try {
+      // Transform over everything applied since the client's revision
+      let transformed = op;
+      for (const entry of doc.history.slice(revision - doc.baseRevision)) {
+        transformed = notesOt.transform(entry.op, transformed)[1];
+      }
+
+      if (notesOt.apply(doc.text, transformed).length > MAX_NOTES_LENGTH) {
+        return ack({ error: `Notes are limited to ${MAX_NOTES_LENGTH} characters` });
+      }
+
+      pushNoteOp(doc, transformed, opId, socket.id);
+      ack({ revision: doc.revision });
+
+      // Save shortly after edits stop
+      doc.lastEditor = { id: socket.userId, email: socket.userEmail };
+      clearTimeout(doc.saveTimer);
+      doc.saveTimer = setTimeout(() => saveNoteDoc(doc), NOTES_SAVE_DELAY);
+    } catch (error) {
+      // Malformed op (wrong length etc.) - the client should reload the document
+      ack({ error: 'resync' });
+    }
+  });
+
+  socket.on('notes-cursor', ({ itemId, start, end } = {}) => {
+    itemId = Number(itemId);
+    const editor = noteDocs.get(itemId)?.editors.get(socket.id);
+    if (!editor || !Number.isInteger(start) || !Number.isInteger(end)) return;
+
+    editor.start = start;
+    editor.end = end;
+    socket.to(`notes-${itemId}`).emit('notes-cursor', {
+      itemId,
+      socketId: socket.id,
+      userId: socket.userId,
+      email: socket.userEmail,
+      start,
+      end
+    });
+  });
+
+  socket.on('notes-close', ({ itemId } = {}) => {
+    leaveNoteDoc(socket, Number(itemId));
+  });
+
+  socket.on('disconnect', () => {
+    for (const itemId of [...socket.data.noteItems]) {
+      leaveNoteDoc(socket, itemId);
+    }
+  });
+};
+
+// Due date helpers - dates are 'YYYY-MM-DD', times are 'HH:MM' or 'HH:MM:SS'
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DUE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isValidDueDate = (value) => {
+  if (value === null) return true;
+  if (typeof value !== 'string' || !DUE_DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const isValidDueTime = (value) => {
+  return value === null || (typeof value === 'string' && DUE_TIME_PATTERN.test(value));
+};
+
+// User ids come as numbers, or as strings from form values
+const isValidAssigneeId = (value) => {
+  if (value === null) return true;
+  return (typeof value === 'number' || typeof value === 'string') && Number.isInteger(Number(value)) && Number(value) > 0;
+};
+
+// Sign-in sessions
+// Every login starts a row in user_sessions. Access tokens are short-lived JWTs carrying the
+// session id (sid); the refresh token is a random string in an httpOnly cookie, of which only
+// a hash is stored. Each refresh replaces it, so a copied refresh token stops working as soon
+// as the real client uses its own - and presenting the replaced one revokes the session.
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days since the last refresh
+const REFRESH_COOKIE = 'refresh_token';
+// Tabs share the cookie, so two of them may refresh with the same token at once
+const REFRESH_REUSE_GRACE = 30 * 1000;
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // how often last_seen_at is updated
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign({ id: user.id, email: user.email, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_TTL
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (err) {
+        // Malformed escapes like %E0 - same as no cookie, so callers answer 401
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Start a session for a user who just proved who they are. Sets the refresh cookie and
+// returns the body of the login response.
+const startSession = async (req, res, user) => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const result = await pool.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), (req.headers['user-agent'] || '').slice(0, 500), req.ip,
+     new Date(Date.now() + REFRESH_TOKEN_TTL)]
+  );
+  const sessionId = result.rows[0].id;
+
+  setRefreshCookie(res, refreshToken);
+  return {
+    token: signAccessToken(user, sessionId),
+    user: toPublicUser(user),
+    csrf: issueCSRFToken(sessionId)
+  };
+};
+
+// The user object sent to clients, from a users row
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  emailVerified: Boolean(user.email_verified_at)
+});
+
+// Whether a session can still be used. Also records that it was seen.
+const isSessionActive = async (sessionId, userId) => {
+  // Tokens from before sessions existed have no sid
+  if (!sessionId) return false;
+
+  const result = await pool.query(
+    `SELECT last_seen_at FROM user_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  if (result.rows.length === 0) return false;
+
+  if (Date.now() - new Date(result.rows[0].last_seen_at).getTime() > SESSION_TOUCH_INTERVAL) {
+    pool.query('UPDATE user_sessions SET last_seen_at = NOW() WHERE id = $1', [sessionId])
+      .catch(err => console.error('Error updating session last seen:', err));
+  }
+  return true;
+};
+
+// Revoke sessions and drop everything tied to them: CSRF tokens and open sockets.
+// Returns the ids of the sessions that were still active.
+const revokeSessions = async (userId, { sessionId = null, exceptSessionId = null } = {}) => {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($2::int IS NULL OR id = $2)
+       AND ($3::int IS NULL OR id <> $3)
+     RETURNING id`,
+    [userId, sessionId, exceptSessionId]
+  );
+
+  const revokedIds = result.rows.map(row => row.id);
+  for (const id of revokedIds) {
+    revokeCSRFToken(id);
+    io.to(`session-${id}`).emit('session-revoked', { sessionId: id });
+    io.in(`session-${id}`).disconnectSockets(true);
+  }
+  return revokedIds;
+};
+
+// Single-use tokens sent by email, for password resets and email verification.
+// Only hashes are stored. Using a token marks it used; sending a new one retires the old.
+const EMAIL_TOKEN_TTL = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+const createEmailToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.query(
+    'UPDATE auth_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await pool.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), new Date(Date.now() + EMAIL_TOKEN_TTL[purpose])]
+  );
+  return token;
+};
+
+// Use up a token. Returns the user it was issued to, or null when it's unknown, used or expired.
+const consumeEmailToken = async (token, purpose, db = pool) => {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await db.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0]?.user_id ?? null;
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createEmailToken(user.id, 'password_reset');
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your CollaborList password',
+    text: [
+      'Someone asked to reset the password of your CollaborList account.',
+      '',
+      `Choose a new password here: ${APP_URL}/reset-password?token=${token}`,
+      '',
+      'The link works once and expires in 1 hour. If you didn\'t ask for it, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createEmailToken(user.id, 'email_verification');
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirm your email for CollaborList',
+    text: [
+      'Welcome to CollaborList!',
+      '',
+      `Confirm your email address here: ${APP_URL}/verify-email?token=${token}`,
+      '',
+      'The link expires in 24 hours. Lists shared with this address show up once it is confirmed.'
+    ].join('\n')
+  });
+};
+
+// Two-factor authentication (TOTP, see totp.js)
+// With it on, a correct password only earns a challenge token, which has to be sent to
+// /api/auth/login/2fa together with a code from the authenticator app or a recovery code.
+// Challenge tokens carry no session id, so they are useless as access tokens.
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_SETUP_WINDOW = 10 * 60 * 1000; // to confirm the first code after setup
+const TOTP_ISSUER = 'CollaborList';
+
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign({ id: user.id, purpose: '2fa-challenge' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+};
+
+// Sign in again before changing security settings. Returns the user row, or null when
+// the password is wrong (or the account has none).
+const reauthenticate = async (userId, password) => {
+  if (typeof password !== 'string' || password.length === 0) return null;
+
+  const result = await pool.query(
+    `SELECT id, email, password_hash, totp_secret, totp_enabled_at, totp_last_step,
+            totp_pending_secret, totp_pending_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || user.password_hash === 'google-oauth-no-password') return null;
+  return (await bcrypt.compare(password, user.password_hash)) ? user : null;
+};
+
+// Check an authenticator code or an unused recovery code of a user with 2FA on.
+// Either works only once.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const lastUsedStep = user.totp_last_step === null ? null : Number(user.totp_last_step);
+    const step = totp.verifyCode(user.totp_secret, code, { lastUsedStep });
+    if (step === null) return false;
+
+    // Two requests with the same code can't both claim its step
+    const result = await pool.query(
+      `UPDATE users SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+       RETURNING id`,
+      [step, user.id]
+    );
+    return result.rows.length > 0;
+  }
+
+  if (recoveryCode) {
+    const result = await pool.query(
+      `UPDATE recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [user.id, hashToken(totp.normalizeRecoveryCode(recoveryCode))]
+    );
+    return result.rows.length > 0;
+  }
+
+  return false;
+};
+
+// New set of recovery codes; the old ones stop working. The codes are only returned here.
+const replaceRecoveryCodes = async (userId, db = pool) => {
+  const codes = totp.generateRecoveryCodes();
+  await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    'INSERT INTO recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::text[])',
+    [userId, codes.map(code => hashToken(totp.normalizeRecoveryCode(code)))]
+  );
+  return codes;
+};
+
+// Auth middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) {
+      // Clients answer TOKEN_EXPIRED by refreshing the access token
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+      }
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+
+    try {
+      if (!(await isSessionActive(user.sid, user.id))) {
+        return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+      }
+    } catch (error) {
+      console.error('Error checking session:', error);
+      return res.status(500).json({ error: 'Authentication failed. Please try again.' });
+    }
+
+    req.user = user;
+    next();
+  });
+};
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'healthy', auth: true, realtime: true });
+});
+
+// Security status check (only shows configuration, not secrets)
+app.get('/api/security-status', (req, res) => {
+  res.json({
+    googleOAuth: GOOGLE_CLIENT_ID && !GOOGLE_CLIENT_ID.includes('your-') ? 'configured' : 'not configured',
+    signupMethod: GOOGLE_CLIENT_ID && !GOOGLE_CLIENT_ID.includes('your-') ? 'google-only' : 'email-password',
+    jwtSecure: JWT_SECRET !== 'your-secret-key-change-in-production',
+    rateLimiting: 'enabled',
+    csrfProtection: 'enabled',
+    cors: 'configured',
+    securityHeaders: 'enabled',
+    tokenExpiry: ACCESS_TOKEN_TTL,
+    refreshTokenExpiry: '30d',
+    passwordRequirements: {
+      minLength: 8,
+      requiresUppercase: true,
+      requiresLowercase: true,
+      requiresNumber: true
+    }
+  });
+});
+
+// Auth Routes
+app.post('/api/auth/register', async (req, res) => {
+  // Disable regular signup if Google OAuth is configured
+  if (GOOGLE_CLIENT_ID && !GOOGLE_CLIENT_ID.includes('your-') && GOOGLE_CLIENT_ID !== '') {
+    return res.status(403).json({
+      error: 'Registration is currently disabled. Please use Google Sign-In instead.'
+    });
+  }
+
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password required' });
+  }
+
+  try {
+    // Check if user exists (but don't reveal this to the user)
+    const existingUser = await pool.query(
+      'SELECT id FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (existingUser.rows.length > 0) {
+      // Generic error to prevent user enumeration
+      return res.status(400).json({ error: 'Unable to create account. Please try again or use a different email.' });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Create user
+    const result = await pool.query(
+      'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email, email_verified_at',
+      [email, hashedPassword]
+    );
+
+    // Invitations to this address wait until the user proves they own it
+    const user = result.rows[0];
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      // The account is still usable - the email can be sent again from the app
+      console.error('Error sending verification email:', error);
+    }
+
+    res.status(201).json(await startSession(req, res, user));
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register user' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, email, password_hash, email_verified_at, totp_enabled_at FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      // Use same generic error for both cases to prevent user enumeration
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const user = result.rows[0];
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+
+    if (!validPassword) {
+      // Same generic error message
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (user.totp_enabled_at) {
+      return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user) });
+    }
+
+    res.json(await startSession(req, res, user));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Authentication failed. Please try again.' });
+  }
+});
+
+// Google OAuth login endpoint
+app.post('/api/auth/google', async (req, res) => {
+  const { credential } = req.body;
+
+  // Check if Google OAuth is configured
+  if (!GOOGLE_CLIENT_ID || GOOGLE_CLIENT_ID === '' || GOOGLE_CLIENT_ID.includes('your-')) {
+    return res.status(501).json({
+      error: 'Google OAuth not configured. Set GOOGLE_CLIENT_ID in environment variables.'
+    });
+  }
+
+  try {
+    const client = new OAuth2Client(GOOGLE_CLIENT_ID);
+
+    const ticket = await client.verifyIdToken({
+      idToken: credential,
+      audience: GOOGLE_CLIENT_ID
+    });
+
+    const payload = ticket.getPayload();
+    const email = payload.email;
+    const googleId = payload.sub;
+
+    // Check if user exists
+    let user = await pool.query(
+      'SELECT id, email, google_id, email_verified_at, totp_enabled_at FROM users WHERE email = $1 OR google_id = $2',
+      [email, googleId]
+    );
+
+    // Google has confirmed the address, so the account counts as verified
+    if (user.rows.length === 0) {
+      // Create new user with Google OAuth (no password required)
+      const result = await pool.query(
+        `INSERT INTO users (email, google_id, password_hash, email_verified_at)
+         VALUES ($1, $2, $3, NOW()) RETURNING id, email, email_verified_at`,
+        [email, googleId, 'google-oauth-no-password']
+      );
+      user = result;
+      await acceptPendingInvitations(user.rows[0]);
+    } else if (!user.rows[0].google_id) {
+      // Link existing account with Google
+      const wasVerified = Boolean(user.rows[0].email_verified_at);
+      user = await pool.query(
+        `UPDATE users SET google_id = $1, email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE email = $2 RETURNING id, email, email_verified_at, totp_enabled_at`,
+        [googleId, email]
+      );
+      if (!wasVerified) {
+        await acceptPendingInvitations(user.rows[0]);
+      }
+    }
+
+    // Accounts that also have a password may have 2FA on - Google doesn't replace it
+    if (user.rows[0].totp_enabled_at) {
+      return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user.rows[0]) });
+    }
+
+    res.json(await startSession(req, res, user.rows[0]));
+  } catch (error) {
+    console.error('Google auth error:', error);
+    res.status(401).json({ error: 'Invalid Google token' });
+  }
+});
+
+// Second step of logging in with two-factor authentication: { challengeToken, code } or
+// { challengeToken, recoveryCode }
+app.post('/api/auth/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const expired = { error: 'This sign-in attempt has expired. Please log in again.', code: 'CHALLENGE_EXPIRED' };
+
+  let challenge;
+  try {
+    challenge = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json(expired);
+  }
+  if (challenge.purpose !== '2fa-challenge') {
+    return res.status(401).json(expired);
+  }
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'Authentication code required' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, email, email_verified_at, totp_secret, totp_enabled_at, totp_last_step
+       FROM users WHERE id = $1`,
+      [challenge.id]
+    );
+    const user = result.rows[0];
+    // 2FA was turned off in the meantime - start over
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json(expired);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+    }
+
+    res.json(await startSession(req, res, user));
+  } catch (error) {
+    console.error('Error verifying two-factor code:', error);
+    res.status(500).json({ error: 'Authentication failed. Please try again.' });
+  }
+});
+
+// Trade the refresh cookie for a new access token, replacing the cookie as we go
+app.post('/api/auth/refresh', async (req, res) => {
+  const refreshToken = readCookie(req, REFRESH_COOKIE);
+  if (!refreshToken) {
+    return res.status(401).json({ error: 'Not signed in', code: 'SESSION_EXPIRED' });
+  }
+
+  try {
+    const tokenHash = hashToken(refreshToken);
+    const result = await pool.query(
+      `SELECT s.id, s.user_id, s.refresh_token_hash, s.rotated_at, u.email, u.email_verified_at
+       FROM user_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE (s.refresh_token_hash = $1 OR s.previous_token_hash = $1)
+         AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [tokenHash]
+    );
+
+    if (result.rows.length === 0) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Session has expired', code: 'SESSION_EXPIRED' });
+    }
+
+    const session = result.rows[0];
+    const user = { id: session.user_id, email: session.email, email_verified_at: session.email_verified_at };
+    const body = () => ({
+      token: signAccessToken(user, session.id),
+      user: toPublicUser(user),
+      csrf: getCSRFToken(session.id)
+    });
+
+    if (session.refresh_token_hash !== tokenHash) {
+      // An already replaced token. Right after the rotation that's another tab refreshing
+      // at the same moment - it already has the new cookie. Later on, someone kept a copy.
+      if (Date.now() - new Date(session.rotated_at).getTime() > REFRESH_REUSE_GRACE) {
+        await revokeSessions(session.user_id, { sessionId: session.id });
+        clearRefreshCookie(res);
+        return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+      }
+      return res.json(body());
+    }
+
+    const nextToken = crypto.randomBytes(32).toString('hex');
+    const rotated = await pool.query(
+      `UPDATE user_sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1, rotated_at = NOW(),
+           last_seen_at = NOW(), expires_at = $2
+       WHERE id = $3 AND refresh_token_hash = $4
+       RETURNING id`,
+      [hashToken(nextToken), new Date(Date.now() + REFRESH_TOKEN_TTL), session.id, tokenHash]
+    );
+    // Lost a race with another refresh, which set the cookie already
+    if (rotated.rows.length > 0) {
+      setRefreshCookie(res, nextToken);
+    }
+
+    res.json(body());
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// End the session the refresh cookie belongs to
+app.post('/api/auth/logout', async (req, res) => {
+  const refreshToken = readCookie(req, REFRESH_COOKIE);
+  clearRefreshCookie(res);
+  if (!refreshToken) {
+    return res.json({ message: 'Logged out' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = $1 OR previous_token_hash = $1',
+      [hashToken(refreshToken)]
+    );
+    if (result.rows.length > 0) {
+      await revokeSessions(result.rows[0].user_id, { sessionId: result.rows[0].id });
+    }
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Email a password reset link. The answer is the same whether or not the account exists,
+// so this can't be used to find out who has one.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email required' });
+  }
+
+  try {
+    const result = await pool.query('SELECT id, email FROM users WHERE email = $1', [email]);
+    if (result.rows.length > 0) {
+      // Not awaited - a slower answer would give away that the account exists
+      sendPasswordResetEmail(result.rows[0])
+        .catch(err => console.error('Error sending password reset email:', err));
+    }
+    res.json({ message: 'If an account exists for that email, we sent it a link to reset the password.' });
+  } catch (error) {
+    console.error('Error looking up account for password reset:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token and password required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await client.query('BEGIN');
+    const userId = await consumeEmailToken(token, 'password_reset', client);
+    if (!userId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [hashedPassword, userId]);
+    await client.query('COMMIT');
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeSessions(userId);
+
+    res.json({ message: 'Your password has been changed. You can log in with it now.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Token required' });
+  }
+
+  try {
+    const userId = await consumeEmailToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1 RETURNING id, email`,
+      [userId]
+    );
+    const user = result.rows[0];
+    await acceptPendingInvitations(user);
+    emitUserUpdate(user.id, 'email-verified', { userId: user.id });
+
+    res.json({ message: 'Your email address is confirmed.' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+app.post('/api/auth/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Your email address is already confirmed' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: `We sent a new confirmation link to ${user.email}.` });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Two-factor authentication settings
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.password_hash, u.totp_enabled_at,
+              (SELECT COUNT(*)::int FROM recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_left
+       FROM users u WHERE u.id = $1`,
+      [req.user.id]
+    );
+    const user = result.rows[0];
+    res.json({
+      enabled: Boolean(user.totp_enabled_at),
+      // It protects password logins, so accounts without a password can't use it
+      available: user.password_hash !== 'google-oauth-no-password',
+      recoveryCodesLeft: user.recovery_codes_left
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start turning 2FA on: { password } -> a new secret to add to an authenticator app.
+// It is only used once /enable gets a code for it.
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await reauthenticate(req.user.id, req.body.password);
+    if (!user) {
+      return res.status(403).json({ error: 'Incorrect password' });
+    }
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+
+    const secret = totp.generateSecret();
+    await pool.query(
+      'UPDATE users SET totp_pending_secret = $1, totp_pending_at = NOW() WHERE id = $2',
+      [secret, user.id]
+    );
+
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    console.error('Error setting up two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+  }
+});
+
+// Finish turning 2FA on with a code from the app: { code } -> the recovery codes
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'SELECT totp_enabled_at, totp_pending_secret, totp_pending_at FROM users WHERE id = $1 FOR UPDATE',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+    const setupAge = user.totp_pending_at ? Date.now() - new Date(user.totp_pending_at).getTime() : Infinity;
+    if (!user.totp_pending_secret || setupAge > TWO_FACTOR_SETUP_WINDOW) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Setup has expired. Please start again.' });
+    }
+
+    const step = totp.verifyCode(user.totp_pending_secret, req.body.code);
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await client.query(
+      `UPDATE users
+       SET totp_secret = totp_pending_secret, totp_enabled_at = NOW(), totp_last_step = $1,
+           totp_pending_secret = NULL, totp_pending_at = NULL
+       WHERE id = $2`,
+      [step, req.user.id]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id, client);
+    await client.query('COMMIT');
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  } finally {
+    client.release();
+  }
+});
+
+// Turn 2FA off: { password, code } or { password, recoveryCode }
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    const user = await reauthenticate(req.user.id, password);
+    if (!user) {
+      return res.status(403).json({ error: 'Incorrect password' });
+    }
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(403).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+    }
+
+    await pool.query(
+      `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+       WHERE id = $1`,
+      [user.id]
+    );
+    await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [user.id]);
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes: { password } -> the new codes
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await reauthenticate(req.user.id, req.body.password);
+    if (!user) {
+      return res.status(403).json({ error: 'Incorrect password' });
+    }
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    res.json({ recoveryCodes: await replaceRecoveryCodes(user.id) });
+  } catch (error) {
+    console.error('Error replacing recovery codes:', error);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
+// Devices the user is signed in on
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_seen_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows.map(session => ({ ...session, current: session.id === req.user.sid })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out everywhere except here
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedIds = await revokeSessions(req.user.id, { exceptSessionId: req.user.sid });
+    res.json({ revoked: revokedIds.length });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to sign out other sessions' });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+  const sessionId = parseInt(req.params.id, 10);
+  if (Number.isNaN(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session id' });
+  }
+
+  try {
+    const revokedIds = await revokeSessions(req.user.id, { sessionId });
+    if (revokedIds.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (sessionId === req.user.sid) {
+      clearRefreshCookie(res);
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// CSRF token for the caller's session - sent back in X-CSRF-Token on every change.
+// Login and refresh responses include it; clients come here after a 403.
+app.get('/api/csrf-token', authenticateToken, (req, res) => {
+  res.json(getCSRFToken(req.user.sid));
+});
+
+// Lists Routes (protected) with real-time updates
+app.get('/api/lists', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT l.*, u.email AS owner_email, ls.permission
+       FROM lists l
+       JOIN users u ON l.user_id = u.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $1
+       WHERE (l.user_id = $1 OR ls.user_id = $1) AND l.deleted_at IS NULL
+       ORDER BY l.created_at DESC`,
+      [req.user.id]
+    );
+    // Each list comes with the caller's role on it so clients know what to offer
+    res.json(result.rows.map(({ permission, ...list }) => ({
+      ...list,
+      role: getRole({ user_id: list.user_id, permission }, req.user.id)
+    })));
+  } catch (error) {
+    console.error('Error fetching lists:', error);
+    res.status(500).json({ error: 'Failed to fetch lists' });
+  }
+});
+
+app.post('/api/lists', authenticateToken, async (req, res) => {
+  let { name, description } = req.body;
+
+  try {
+    name = normalizeText(name, 'listName');
+    description = normalizeText(description, 'listDescription');
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+
+  try {
+    const result = await pool.query(
+      'INSERT INTO lists (name, description, user_id) VALUES ($1, $2, $3) RETURNING *',
+      [name, description, req.user.id]
+    );
+
+    const newList = result.rows[0];
+
+    // Emit to all users who have access
     emitListUpdate(newList.id, 'list-created', newList);
 
-    res.status(201).json(newList);
+    res.status(201).json(newList);
+  } catch (error) {
+    console.error('Error creating list:', error);
+    res.status(500).json({ error: 'Failed to create list' });
+  }
+});
+
+app.put('/api/lists/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  let { name, description } = req.body;
+
+  try {
+    name = normalizeText(name, 'listName');
+    // Leave the description alone when it isn't sent
+    if (description !== undefined) {
+      description = normalizeText(description, 'listDescription');
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+
+  const expectedVersion = getExpectedVersion(req);
+  if (expectedVersion === undefined) {
+    return res.status(428).json(VERSION_REQUIRED);
+  }
+  if (Number.isNaN(expectedVersion)) {
+    return res.status(400).json({ error: 'Invalid version' });
+  }
+
+  try {
+    // Check permissions
+    const permCheck = await pool.query(
+      `SELECT l.user_id, ls.permission
+       FROM lists l
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+       WHERE l.id = $1 AND l.deleted_at IS NULL`,
+      [id, req.user.id]
+    );
+
+    if (permCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if (!can(getRole(permCheck.rows[0], req.user.id), 'edit')) {
+      return res.status(403).json({ error: 'No edit permission' });
+    }
+
+    // The version check is part of the UPDATE so two concurrent writes can't both pass it
+    const result = await pool.query(
+      `UPDATE lists SET name = $1, description = COALESCE($2, description), legacy_sanitized = FALSE,
+         updated_at = NOW(), version = version + 1
+       WHERE id = $3 AND ($4::int IS NULL OR version = $4)
+       RETURNING *`,
+      [name, description ?? null, id, expectedVersion]
+    );
+
+    if (result.rows.length === 0) {
+      const current = await pool.query('SELECT * FROM lists WHERE id = $1', [id]);
+      return res.status(409).json({
+        error: 'This list was changed by someone else',
+        list: current.rows[0]
+      });
+    }
+
+    const updatedList = result.rows[0];
+
+    // Emit update to all users viewing this list
+    emitListUpdate(id, 'list-updated', updatedList);
+
+    res.set('ETag', `"${updatedList.version}"`);
+    res.json(updatedList);
+  } catch (error) {
+    console.error('Error updating list:', error);
+    res.status(500).json({ error: 'Failed to update list' });
+  }
+});
+
+app.delete('/api/lists/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Only owner can delete. The list goes to the trash; items and shares are kept for restore.
+    const result = await pool.query(
+      `UPDATE lists SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+       RETURNING id`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'Not authorized to delete this list' });
+    }
+
+    // Emit delete event, then close the room
+    await emitListUpdate(id, 'list-deleted', { id });
+    await evictFromListRoom(id);
+
+    res.json({ message: 'List moved to trash' });
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    res.status(500).json({ error: 'Failed to delete list' });
+  }
+});
+
+// Hand a list to one of its collaborators. The previous owner stays on as an editor.
+app.post('/api/lists/:id/transfer', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const newOwnerId = Number(req.body.userId);
+
+  if (!Number.isInteger(newOwnerId)) {
+    return res.status(400).json({ error: 'userId is required' });
+  }
+  if (newOwnerId === req.user.id) {
+    return res.status(400).json({ error: 'You already own this list' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the list so two transfers can't race
+    const listResult = await client.query(
+      'SELECT user_id FROM lists WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [id]
+    );
+    if (listResult.rows.length === 0 || listResult.rows[0].user_id !== req.user.id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only the owner can transfer this list' });
+    }
+
+    // The new owner's share turns into ownership
+    const share = await client.query(
+      `DELETE FROM list_shares ls
+       USING users u
+       WHERE ls.list_id = $1 AND ls.user_id = $2 AND u.id = ls.user_id
+       RETURNING u.email`,
+      [id, newOwnerId]
+    );
+    if (share.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'The new owner must already be a collaborator on this list' });
+    }
+
+    const updated = await client.query(
+      'UPDATE lists SET user_id = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [newOwnerId, id]
+    );
+    await client.query(
+      `INSERT INTO list_shares (list_id, user_id, permission)
+       VALUES ($1, $2, 'editor')
+       ON CONFLICT (list_id, user_id) DO UPDATE SET permission = 'editor'`,
+      [id, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    const data = {
+      listId: Number(id),
+      listName: updated.rows[0].name,
+      previousOwnerId: req.user.id,
+      newOwnerId,
+      newOwnerEmail: share.rows[0].email
+    };
+    emitListUpdate(id, 'list-ownership-transferred', data);
+    // The new owner may not have the list open
+    emitUserUpdate(newOwnerId, 'list-ownership-transferred', data);
+    // Both roles changed - open notes reopen so they pick up the new permissions
+    closeNoteSessions(id, newOwnerId, { reopen: true });
+    closeNoteSessions(id, req.user.id, { reopen: true });
+
+    res.json({ ...updated.rows[0], owner_email: share.rows[0].email, role: 'editor' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error transferring list:', error);
+    res.status(500).json({ error: 'Failed to transfer list' });
+  } finally {
+    client.release();
+  }
+});
+
+// Sharing Routes with notifications
+const INVALID_ROLE_ERROR = `Permission must be one of: ${SHARE_ROLES.join(', ')}`;
+
+app.post('/api/lists/:id/share', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const permission = normalizeRole(req.body.permission ?? 'view');
+  const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+
+  if (!permission) {
+    return res.status(400).json({ error: INVALID_ROLE_ERROR });
+  }
+  if (!validateEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email format' });
+  }
+
+  try {
+    // Owners can give out any role, admins only the roles below their own
+    const access = await getListAccess(id, req.user.id);
+
+    if (!access || !canManageRole(access.role, permission)) {
+      return res.status(403).json({ error: 'Not authorized to share this list' });
+    }
+
+    // Find user by email
+    const userResult = await pool.query(
+      'SELECT id, email_verified_at FROM users WHERE LOWER(email) = $1',
+      [email]
+    );
+
+    if (userResult.rows[0]?.id === access.ownerId) {
+      return res.status(400).json({ error: 'The owner already has full access to this list' });
+    }
+
+    if (userResult.rows.length === 0 || !userResult.rows[0].email_verified_at) {
+      // No account yet, or one that hasn't confirmed this email - keep the invite until
+      // someone proves they own the address
+      const invitation = await pool.query(
+        `INSERT INTO list_invitations (list_id, email, permission, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (list_id, email)
+         DO UPDATE SET permission = $3, invited_by = $4
+         RETURNING *`,
+        [id, email, permission, req.user.id]
+      );
+
+      // Only the owner and admins see pending invites, so only they are told
+      emitToListManagers(id, 'list-shared', {
+        listId: id,
+        email,
+        permission,
+        pending: true,
+        sharedBy: req.user.email
+      });
+
+      return res.status(201).json({ ...invitation.rows[0], pending: true });
+    }
+
+    const shareUserId = userResult.rows[0].id;
+
+    // Changing an existing share needs the right to manage the role it has now, too
+    const existing = await pool.query(
+      'SELECT permission FROM list_shares WHERE list_id = $1 AND user_id = $2',
+      [id, shareUserId]
+    );
+    if (existing.rows.length > 0 && !canManageRole(access.role, getRole(existing.rows[0], null))) {
+      return res.status(403).json({ error: 'Not authorized to change this share' });
+    }
+
+    // Create or update share
+    const result = await pool.query(
+      `INSERT INTO list_shares (list_id, user_id, permission)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (list_id, user_id)
+       DO UPDATE SET permission = $3
+       RETURNING *`,
+      [id, shareUserId, permission]
+    );
+
+    // Open notes remember whether their editor could edit - make them reopen with the new role
+    if (existing.rows.length > 0 && can(getRole(existing.rows[0], null), 'edit') !== can(permission, 'edit')) {
+      closeNoteSessions(id, shareUserId, { reopen: true });
+    }
+
+    // Notify the shared user
+    emitListUpdate(id, 'list-shared', {
+      listId: id,
+      userId: shareUserId,
+      permission,
+      sharedBy: req.user.email
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error sharing list:', error);
+    res.status(500).json({ error: 'Failed to share list' });
+  }
+});
+
+app.get('/api/lists/:id/shares', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const role = await getListRole(id, req.user.id);
+
+    if (!can(role, 'view')) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const result = await pool.query(
+      `SELECT ls.*, u.email
+       FROM list_shares ls
+       JOIN users u ON ls.user_id = u.id
+       WHERE ls.list_id = $1`,
+      [id]
+    );
+
+    // Pending invitations hold emails of people without an account - only managers see them
+    if (!can(role, 'manage')) {
+      return res.json(result.rows);
+    }
+
+    const invitations = await pool.query(
+      `SELECT i.id AS invitation_id, i.list_id, NULL::int AS user_id, i.email, i.permission,
+              i.created_at, u.email AS invited_by_email, TRUE AS pending
+       FROM list_invitations i
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.list_id = $1
+       ORDER BY i.created_at`,
+      [id]
+    );
+
+    res.json([...result.rows, ...invitations.rows]);
+  } catch (error) {
+    console.error('Error fetching shares:', error);
+    res.status(500).json({ error: 'Failed to fetch shares' });
+  }
+});
+
+// Clean up after a collaborator's share is deleted, whether they were removed or left
+const afterShareRemoved = async (listId, userId) => {
+  // A removed collaborator can no longer be responsible for items on this list
+  const unassigned = await pool.query(
+    'UPDATE list_items SET assignee_id = NULL, updated_at = NOW() WHERE list_id = $1 AND assignee_id = $2 RETURNING *',
+    [listId, userId]
+  );
+  for (const item of await attachItemTags(unassigned.rows)) {
+    emitListUpdate(listId, 'item-updated', { listId: Number(listId), item });
+  }
+
+  // Notify removed user (also on their other devices), then drop their sockets from the room
+  const data = { listId: Number(listId), userId: Number(userId) };
+  await emitListUpdate(listId, 'share-removed', data);
+  emitUserUpdate(userId, 'share-removed', data);
+  await evictFromListRoom(listId, userId);
+};
+
+// Leave a list that was shared with you. Registered before /shares/:userId so 'me' isn't taken as an id.
+app.delete('/api/lists/:listId/shares/me', authenticateToken, async (req, res) => {
+  const { listId } = req.params;
+
+  try {
+    const access = await getListAccess(listId, req.user.id);
+
+    if (!access || !access.role) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+    if (access.role === 'owner') {
+      return res.status(400).json({ error: 'The owner cannot leave a list. Transfer ownership first.' });
+    }
+
+    await pool.query(
+      'DELETE FROM list_shares WHERE list_id = $1 AND user_id = $2',
+      [listId, req.user.id]
+    );
+    // Also closes the leaver's open notes - without reopening, they have no access left
+    await afterShareRemoved(listId, req.user.id);
+
+    res.json({ message: 'You left the list' });
+  } catch (error) {
+    console.error('Error leaving list:', error);
+    res.status(500).json({ error: 'Failed to leave list' });
+  }
+});
+
+app.delete('/api/lists/:listId/shares/:userId', authenticateToken, async (req, res) => {
+  const { listId, userId } = req.params;
+
+  try {
+    const role = await getListRole(listId, req.user.id);
+
+    if (!can(role, 'manage')) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const share = await pool.query(
+      'SELECT permission FROM list_shares WHERE list_id = $1 AND user_id = $2',
+      [listId, userId]
+    );
+
+    if (share.rows.length === 0) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    // Admins can't remove other admins
+    if (!canManageRole(role, getRole(share.rows[0], null))) {
+      return res.status(403).json({ error: 'Not authorized to remove this share' });
+    }
+
+    await pool.query(
+      'DELETE FROM list_shares WHERE list_id = $1 AND user_id = $2',
+      [listId, userId]
+    );
+    await afterShareRemoved(listId, userId);
+
+    res.json({ message: 'Share removed successfully' });
+  } catch (error) {
+    console.error('Error removing share:', error);
+    res.status(500).json({ error: 'Failed to remove share' });
+  }
+});
+
+app.delete('/api/lists/:id/invitations/:invitationId', authenticateToken, async (req, res) => {
+  const { id, invitationId } = req.params;
+
+  try {
+    const role = await getListRole(id, req.user.id);
+
+    if (!can(role, 'manage')) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const invitation = await pool.query(
+      'SELECT permission FROM list_invitations WHERE id = $1 AND list_id = $2',
+      [invitationId, id]
+    );
+
+    if (invitation.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (!canManageRole(role, invitation.rows[0].permission)) {
+      return res.status(403).json({ error: 'Not authorized to cancel this invitation' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM list_invitations WHERE id = $1 RETURNING email',
+      [invitationId]
+    );
+
+    emitToListManagers(id, 'share-removed', {
+      listId: id,
+      email: result.rows[0].email,
+      pending: true
+    });
+
+    res.json({ message: 'Invitation cancelled' });
+  } catch (error) {
+    console.error('Error cancelling invitation:', error);
+    res.status(500).json({ error: 'Failed to cancel invitation' });
+  }
+});
+
+// Share Link Routes - anyone with the link can open the list without an account.
+// Links carry their own permission (view or edit), an optional expiry and can be revoked.
+const SHARE_LINK_PERMISSIONS = ['view', 'edit'];
+const SHARE_LINK_ACTOR = { id: null, email: 'Guest (share link)' };
+
+const getActiveShareLink = async (token) => {
+  if (typeof token !== 'string' || !/^[A-Za-z0-9_-]{20,64}$/.test(token)) return null;
+
+  const result = await pool.query(
+    `SELECT sl.*, l.name AS list_name, l.description AS list_description
+     FROM list_share_links sl
+     JOIN lists l ON sl.list_id = l.id
+     WHERE sl.token = $1 AND sl.revoked_at IS NULL AND l.deleted_at IS NULL
+       AND (sl.expires_at IS NULL OR sl.expires_at > NOW())`,
+    [token]
+  );
+  return result.rows[0] || null;
+};
+
+// Resolve the :token of a public route to an active share link
+const authenticateShareLink = async (req, res, next) => {
+  try {
+    const link = await getActiveShareLink(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+    req.shareLink = link;
+    next();
+  } catch (error) {
+    console.error('Error checking share link:', error);
+    res.status(500).json({ error: 'Failed to open share link' });
+  }
+};
+
+// Share link sockets only join their list's public room, plus a room per link so
+// revoking it can disconnect everyone who opened it
+const registerShareLinkSocket = (socket) => {
+  const { id, listId, expiresAt } = socket.data.shareLink;
+  socket.join(`public-list-${listId}`);
+  socket.join(`share-link-${id}`);
+
+  if (expiresAt) {
+    const timer = setTimeout(() => {
+      socket.emit('share-link-expired');
+      socket.disconnect(true);
+    }, Math.min(new Date(expiresAt) - Date.now(), 2 ** 31 - 1));
+    socket.on('disconnect', () => clearTimeout(timer));
+  }
+};
+
+app.get('/api/lists/:id/links', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!can(await getListRole(id, req.user.id), 'manage')) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const result = await pool.query(
+      `SELECT *, (expires_at IS NOT NULL AND expires_at <= NOW()) AS expired
+       FROM list_share_links
+       WHERE list_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+});
+
+app.post('/api/lists/:id/links', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { permission = 'view', expiresAt = null } = req.body;
+
+  if (!SHARE_LINK_PERMISSIONS.includes(permission)) {
+    return res.status(400).json({ error: 'Permission must be view or edit' });
+  }
+
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && (Number.isNaN(expires.getTime()) || expires <= new Date())) {
+    return res.status(400).json({ error: 'Expiry must be a date in the future' });
+  }
+
+  try {
+    if (!can(await getListRole(id, req.user.id), 'manage')) {
+      return res.status(403).json({ error: 'Not authorized to share this list' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO list_share_links (list_id, token, permission, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *, FALSE AS expired`,
+      [id, crypto.randomBytes(24).toString('base64url'), permission, req.user.id, expires]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+app.delete('/api/lists/:id/links/:linkId', authenticateToken, async (req, res) => {
+  const { id, linkId } = req.params;
+
+  try {
+    if (!can(await getListRole(id, req.user.id), 'manage')) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const result = await pool.query(
+      `UPDATE list_share_links SET revoked_at = NOW()
+       WHERE id = $1 AND list_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [linkId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    // Cut off everyone currently viewing through the link
+    const room = `share-link-${linkId}`;
+    io.to(room).emit('share-link-revoked');
+    io.in(room).disconnectSockets(true);
+
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// Public (unauthenticated) routes for share link visitors
+app.get('/api/public/lists/:token', authenticateShareLink, async (req, res) => {
+  const link = req.shareLink;
+
+  try {
+    const items = await pool.query(
+      `SELECT ${PUBLIC_ITEM_COLUMNS.join(', ')} FROM list_items
+       WHERE list_id = $1 AND deleted_at IS NULL
+       ORDER BY position, created_at`,
+      [link.list_id]
+    );
+
+    res.json({
+      list: { id: link.list_id, name: link.list_name, description: link.list_description },
+      permission: link.permission,
+      expiresAt: link.expires_at,
+      items: (await attachItemTags(items.rows)).map(toPublicItem)
+    });
+  } catch (error) {
+    console.error('Error fetching shared list:', error);
+    res.status(500).json({ error: 'Failed to fetch list' });
+  }
+});
+
+app.post('/api/public/lists/:token/items', authenticateShareLink, async (req, res) => {
+  const link = req.shareLink;
+  const listId = link.list_id;
+  const { parent_id = null } = req.body;
+
+  if (link.permission !== 'edit') {
+    return res.status(403).json({ error: 'This link only allows viewing' });
+  }
+
+  let text;
+  try {
+    text = normalizeText(req.body.text, 'itemText');
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+
+  try {
+    if (parent_id) {
+      const parentCheck = await pool.query(
+        'SELECT id FROM list_items WHERE id = $1 AND list_id = $2 AND deleted_at IS NULL',
+        [parent_id, listId]
+      );
+      if (parentCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid parent item' });
+      }
+    }
+
+    const posResult = await pool.query(
+      'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM list_items WHERE list_id = $1 AND parent_id IS NOT DISTINCT FROM $2',
+      [listId, parent_id]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO list_items (list_id, text, position, parent_id)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [listId, text, posResult.rows[0].next_position, parent_id]
+    );
+    const newItem = { ...result.rows[0], tags: [] };
+
+    await recordItemHistory({ itemId: newItem.id, listId, action: 'created', before: null, after: newItem, actor: SHARE_LINK_ACTOR });
+    emitListUpdate(listId, 'item-created', { listId, item: newItem });
+
+    res.status(201).json(toPublicItem(newItem));
+  } catch (error) {
+    console.error('Error creating item via share link:', error);
+    res.status(500).json({ error: 'Failed to create item' });
+  }
+});
+
+// Share link editors can rename items and check them off
+app.put('/api/public/lists/:token/items/:id', authenticateShareLink, async (req, res) => {
+  const link = req.shareLink;
+  const listId = link.list_id;
+  const { id } = req.params;
+  const { completed } = req.body;
+  let { text } = req.body;
+
+  if (link.permission !== 'edit') {
+    return res.status(403).json({ error: 'This link only allows viewing' });
+  }
+  if (text !== undefined) {
+    try {
+      text = normalizeText(text, 'itemText');
+    } catch (err) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+  }
+  if (completed !== undefined && typeof completed !== 'boolean') {
+    return res.status(400).json({ error: 'completed must be true or false' });
+  }
+
+  const expectedVersion = getExpectedVersion(req);
+  if (expectedVersion === undefined) {
+    return res.status(428).json(VERSION_REQUIRED);
+  }
+  if (Number.isNaN(expectedVersion)) {
+    return res.status(400).json({ error: 'Invalid version' });
+  }
+
+  try {
+    const existing = await pool.query(
+      'SELECT * FROM list_items WHERE id = $1 AND list_id = $2 AND deleted_at IS NULL',
+      [id, listId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    const before = existing.rows[0];
+
+    // Completing a recurring item hands its rule over to the next occurrence
+    const spawnsNextOccurrence = completed === true && !before.completed && before.recurrence;
+
+    const result = await pool.query(
+      `UPDATE list_items
+       SET text = COALESCE($1, text),
+           legacy_sanitized = legacy_sanitized AND $1::text IS NULL,
+           completed = COALESCE($2, completed),
+           recurrence = CASE WHEN $3 THEN NULL ELSE recurrence END,
+           updated_at = NOW(), version = version + 1
+       WHERE id = $4 AND ($5::int IS NULL OR version = $5)
+       RETURNING *`,
+      [text ?? null, completed ?? null, Boolean(spawnsNextOccurrence), id, expectedVersion]
+    );
+
+    if (result.rows.length === 0) {
+      const [currentItem] = await attachItemTags(existing.rows);
+      return res.status(409).json({ error: 'This item was changed by someone else', item: toPublicItem(currentItem) });
+    }
+
+    const [updatedItem] = await attachItemTags(result.rows);
+    emitListUpdate(listId, 'item-updated', { listId, item: updatedItem });
+    await recordItemHistory({ itemId: updatedItem.id, listId, action: 'updated', before, after: updatedItem, actor: SHARE_LINK_ACTOR });
+
+    if (spawnsNextOccurrence) {
+      try {
+        const createdItems = await createNextOccurrence(updatedItem, before.recurrence);
+        for (const item of createdItems) {
+          emitListUpdate(listId, 'item-created', { listId, item });
+          await recordItemHistory({ itemId: item.id, listId, action: 'created', before: null, after: item, actor: SHARE_LINK_ACTOR });
+        }
+      } catch (err) {
+        console.error('Error creating next occurrence:', err);
+      }
+    }
+
+    res.set('ETag', `"${updatedItem.version}"`);
+    res.json(toPublicItem(updatedItem));
+  } catch (error) {
+    console.error('Error updating item via share link:', error);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+app.delete('/api/public/lists/:token/items/:id', authenticateShareLink, async (req, res) => {
+  const link = req.shareLink;
+  const listId = link.list_id;
+  const { id } = req.params;
+
+  if (link.permission !== 'edit') {
+    return res.status(403).json({ error: 'This link only allows viewing' });
+  }
+
+  try {
+    // Same as DELETE /api/items/:id - the subtree goes to the trash together
+    const result = await pool.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id FROM list_items WHERE id = $1 AND list_id = $2 AND deleted_at IS NULL
+         UNION ALL
+         SELECT li.id FROM list_items li JOIN subtree st ON li.parent_id = st.id
+         WHERE li.deleted_at IS NULL
+       )
+       UPDATE list_items SET deleted_at = NOW(), deleted_by = NULL
+       WHERE id IN (SELECT id FROM subtree)
+       RETURNING *`,
+      [id, listId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const itemIds = result.rows.map(row => row.id);
+    for (const item of result.rows) {
+      await recordItemHistory({ itemId: item.id, listId, action: 'deleted', before: item, after: null, actor: SHARE_LINK_ACTOR });
+    }
+    emitListUpdate(listId, 'item-deleted', { listId, itemId: id, itemIds });
+
+    res.json({ message: 'Item moved to trash', itemIds });
+  } catch (error) {
+    console.error('Error deleting item via share link:', error);
+    res.status(500).json({ error: 'Failed to delete item' });
+  }
+});
+
+// List Items Routes with real-time updates
+app.get('/api/lists/:listId/items', authenticateToken, async (req, res) => {
+  const { listId } = req.params;
+  const { tag } = req.query;
+
+  try {
+    // Check access
+    const hasAccess = await canAccessList(listId, req.user.id);
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Read before the items so the snapshot reflects at least every event up to this seq
+    const seqResult = await pool.query('SELECT event_seq FROM lists WHERE id = $1', [listId]);
+    res.set('X-List-Seq', String(seqResult.rows[0].event_seq));
+
+    let query = `SELECT li.*,
+                   (SELECT COUNT(*) FROM item_comments c WHERE c.item_id = li.id)::int AS comment_count
+                 FROM list_items li
+                 WHERE li.list_id = $1 AND li.deleted_at IS NULL`;
+    const params = [listId];
+
+    // Optional ?tag= filter by tag name (case-insensitive)
+    if (tag) {
+      query += ` AND EXISTS (
+        SELECT 1 FROM item_tags it JOIN tags t ON it.tag_id = t.id
+        WHERE it.item_id = li.id AND LOWER(t.name) = LOWER($2)
+      )`;
+      params.push(tag);
+    }
+
+    query += ' ORDER BY li.position, li.created_at';
+
+    const result = await pool.query(query, params);
+    res.json(await attachItemTags(result.rows));
+  } catch (error) {
+    console.error('Error fetching items:', error);
+    res.status(500).json({ error: 'Failed to fetch items' });
+  }
+});
+
+app.post('/api/lists/:listId/items', authenticateToken, async (req, res) => {
+  const { listId } = req.params;
+  let { text, completed = false, notes = '', parent_id = null, due_date = null, due_time = null, recurrence = null, assignee_id = null } = req.body;
+
+  try {
+    text = normalizeText(text, 'itemText');
+    notes = normalizeText(notes, 'itemNotes');
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+
+  // Treat empty strings from date/time inputs as "no due date"
+  due_date = due_date || null;
+  due_time = due_time || null;
+
+  if (!isValidDueDate(due_date)) {
+    return res.status(400).json({ error: 'Invalid due date' });
+  }
+  if (!isValidDueTime(due_time)) {
+    return res.status(400).json({ error: 'Invalid due time' });
+  }
+  if (due_time && !due_date) {
+    return res.status(400).json({ error: 'Due time requires a due date' });
+  }
+  if (!isValidAssigneeId(assignee_id)) {
+    return res.status(400).json({ error: 'Invalid assignee' });
+  }
+
+  try {
+    recurrence = anchorRecurrence(normalizeRecurrence(recurrence), due_date);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    // Check edit permission
+    const permCheck = await pool.query(
+      `SELECT l.user_id, ls.permission
+       FROM lists l
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+       WHERE l.id = $1 AND l.deleted_at IS NULL`,
+      [listId, req.user.id]
+    );
+
+    if (permCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if (!can(getRole(permCheck.rows[0], req.user.id), 'edit')) {
+      return res.status(403).json({ error: 'No edit permission' });
+    }
+
+    // Assignees must be the list owner or a collaborator
+    if (assignee_id && !(await canAccessList(listId, assignee_id))) {
+      return res.status(400).json({ error: 'Assignee must be a collaborator on this list' });
+    }
+
+    // If parent_id is provided, verify it exists and belongs to the same list
+    if (parent_id) {
+      const parentCheck = await pool.query(
+        'SELECT id FROM list_items WHERE id = $1 AND list_id = $2 AND deleted_at IS NULL',
+        [parent_id, listId]
+      );
+      if (parentCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid parent item' });
+      }
+    }
+
+    // Calculate position based on parent context
+    const posResult = await pool.query(
+      'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM list_items WHERE list_id = $1 AND parent_id IS NOT DISTINCT FROM $2',
+      [listId, parent_id]
+    );
+    const nextPosition = posResult.rows[0].next_position;
+
+    const result = await pool.query(
+      `INSERT INTO list_items (list_id, text, completed, position, notes, parent_id, due_date, due_time, recurrence, assignee_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [listId, text, completed, nextPosition, notes, parent_id, due_date, due_time, recurrence, assignee_id]
+    );
+
+    const newItem = { ...result.rows[0], tags: [] };
+
+    await recordItemHistory({
+      itemId: newItem.id,
+      listId,
+      action: 'created',
+      before: null,
+      after: newItem,
+      actor: req.user
+    });
+
+    await notifyMentions({
+      text: notes,
+      listId: Number(listId),
+      itemId: newItem.id,
+      itemText: newItem.text,
+      actor: req.user
+    });
+
+    // Emit item created event
+    emitListUpdate(listId, 'item-created', { listId, item: newItem });
+
+    if (newItem.assignee_id) {
+      emitUserUpdate(newItem.assignee_id, 'item-assigned', { listId: Number(listId), item: newItem, assignedBy: req.user.email });
+    }
+
+    res.status(201).json(newItem);
+  } catch (error) {
+    console.error('Error creating item:', error);
+    res.status(500).json({ error: 'Failed to create item' });
+  }
+});
+
+// Create the next occurrence of a completed recurring item, including its sub-items.
+// Returns the created rows, parent first, so they can be emitted in order.
+const createNextOccurrence = async (item, recurrence) => {
+  const today = formatDate(new Date());
+  const baseDate = item.due_date || today;
+
+  // Skip occurrences that are already in the past when an item was completed late
+  let nextDate = getNextOccurrence(recurrence, baseDate);
+  while (nextDate <= today) {
+    nextDate = getNextOccurrence(recurrence, nextDate);
+  }
+  const shiftDays = daysBetween(baseDate, nextDate);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const posResult = await client.query(
+      'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM list_items WHERE list_id = $1 AND parent_id IS NOT DISTINCT FROM $2',
+      [item.list_id, item.parent_id]
+    );
+
+    const rootResult = await client.query(
+      `INSERT INTO list_items (list_id, text, completed, position, notes, parent_id, due_date, due_time, recurrence, assignee_id, legacy_sanitized)
+       VALUES ($1, $2, FALSE, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [item.list_id, item.text, posResult.rows[0].next_position, item.notes, item.parent_id,
+       nextDate, item.due_time, recurrence, item.assignee_id, item.legacy_sanitized]
+    );
+    const created = [rootResult.rows[0]];
+    const copyTags = (fromId, toId) => client.query(
+      'INSERT INTO item_tags (item_id, tag_id) SELECT $2, tag_id FROM item_tags WHERE item_id = $1',
+      [fromId, toId]
+    );
+    await copyTags(item.id, rootResult.rows[0].id);
+
+    // Copy the sub-item tree, parents before children, as not-yet-completed items
+    const descendants = await client.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT *, 1 AS depth FROM list_items WHERE parent_id = $1 AND deleted_at IS NULL
+         UNION ALL
+         SELECT li.*, st.depth + 1 FROM list_items li JOIN subtree st ON li.parent_id = st.id
+         WHERE li.deleted_at IS NULL
+       )
+       SELECT * FROM subtree ORDER BY depth, position`,
+      [item.id]
+    );
+
+    const idMap = { [item.id]: rootResult.rows[0].id };
+    for (const child of descendants.rows) {
+      const childResult = await client.query(
+        `INSERT INTO list_items (list_id, text, completed, position, notes, parent_id, due_date, due_time, recurrence, assignee_id, legacy_sanitized)
+         VALUES ($1, $2, FALSE, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [child.list_id, child.text, child.position, child.notes, idMap[child.parent_id],
+         child.due_date ? addDays(child.due_date, shiftDays) : null, child.due_time, child.recurrence, child.assignee_id,
+         child.legacy_sanitized]
+      );
+      idMap[child.id] = childResult.rows[0].id;
+      created.push(childResult.rows[0]);
+      await copyTags(child.id, childResult.rows[0].id);
+    }
+
+    await client.query('COMMIT');
+    return attachItemTags(created);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+app.put('/api/items/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  let { text, completed, position, notes, parent_id, due_date, due_time, recurrence, assignee_id } = req.body;
+
+  try {
+    if (text !== undefined) text = normalizeText(text, 'itemText');
+    if (notes !== undefined) notes = normalizeText(notes, 'itemNotes');
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+
+  // Validate due date/time if provided (empty string or null clears them)
+  if (due_date !== undefined) {
+    due_date = due_date || null;
+    if (!isValidDueDate(due_date)) {
+      return res.status(400).json({ error: 'Invalid due date' });
+    }
+  }
+  if (due_time !== undefined) {
+    due_time = due_time || null;
+    if (!isValidDueTime(due_time)) {
+      return res.status(400).json({ error: 'Invalid due time' });
+    }
+  }
+
+  if (recurrence !== undefined) {
+    try {
+      recurrence = normalizeRecurrence(recurrence);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  if (assignee_id !== undefined && !isValidAssigneeId(assignee_id)) {
+    return res.status(400).json({ error: 'Invalid assignee' });
+  }
+
+  const expectedVersion = getExpectedVersion(req);
+  if (expectedVersion === undefined) {
+    return res.status(428).json(VERSION_REQUIRED);
+  }
+  if (Number.isNaN(expectedVersion)) {
+    return res.status(400).json({ error: 'Invalid version' });
+  }
+
+  try {
+    // Check edit permission through list
+    const permCheck = await pool.query(
+      `SELECT l.user_id, ls.permission, li.list_id, li.text, li.completed, li.position, li.parent_id,
+              li.recurrence, li.assignee_id, li.notes, li.due_date
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+       WHERE li.id = $1 AND li.deleted_at IS NULL AND l.deleted_at IS NULL`,
+      [id, req.user.id]
+    );
+
+    if (permCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (!can(getRole(permCheck.rows[0], req.user.id), 'edit')) {
+      return res.status(403).json({ error: 'No edit permission' });
+    }
+
+    const listId = permCheck.rows[0].list_id;
+
+    // If parent_id is being updated, verify it exists and belongs to the same list
+    // Also prevent circular references (item cannot be its own parent or descendant)
+    if (parent_id !== undefined && parent_id !== null) {
+      const parentCheck = await pool.query(
+        'SELECT id FROM list_items WHERE id = $1 AND list_id = $2 AND deleted_at IS NULL',
+        [parent_id, listId]
+      );
+      if (parentCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid parent item' });
+      }
+      // Prevent self-reference
+      if (parent_id == id) {
+        return res.status(400).json({ error: 'Item cannot be its own parent' });
+      }
+    }
+
+    // Assignees must be the list owner or a collaborator
+    if (assignee_id !== undefined && assignee_id !== null && !(await canAccessList(listId, assignee_id))) {
+      return res.status(400).json({ error: 'Assignee must be a collaborator on this list' });
+    }
+
+    let query = 'UPDATE list_items SET updated_at = NOW(), version = version + 1';
+    const params = [];
+    let paramCount = 1;
+
+    if (text !== undefined) {
+      query += `, text = $${paramCount++}, legacy_sanitized = FALSE`;
+      params.push(text);
+    }
+    if (completed !== undefined) {
+      query += `, completed = $${paramCount++}`;
+      params.push(completed);
+    }
+    if (position !== undefined) {
+      query += `, position = $${paramCount++}`;
+      params.push(position);
+    }
+    if (notes !== undefined) {
+      query += `, notes = $${paramCount++}`;
+      params.push(notes);
+    }
+    if (parent_id !== undefined) {
+      query += `, parent_id = $${paramCount++}`;
+      params.push(parent_id);
+    }
+    if (due_date !== undefined) {
+      query += `, due_date = $${paramCount++}`;
+      params.push(due_date);
+    }
+    if (due_time !== undefined) {
+      query += `, due_time = $${paramCount++}`;
+      params.push(due_time);
+    }
+    if (due_date !== undefined || due_time !== undefined) {
+      // Due date changed - allow the reminder to fire again
+      query += ', reminder_sent_at = NULL';
+    }
+
+    if (assignee_id !== undefined) {
+      query += `, assignee_id = $${paramCount++}`;
+      params.push(assignee_id);
+    }
+
+    // Monthly rules follow the due date's day of month, so moving the date moves the anchor
+    if (recurrence !== undefined || due_date !== undefined) {
+      const rule = recurrence !== undefined ? recurrence : permCheck.rows[0].recurrence;
+      const anchored = anchorRecurrence(rule, due_date !== undefined ? due_date : permCheck.rows[0].due_date);
+      if (anchored !== rule) recurrence = anchored;
+    }
+
+    // Completing a recurring item hands its rule over to the next occurrence
+    const effectiveRecurrence = recurrence !== undefined ? recurrence : permCheck.rows[0].recurrence;
+    const spawnsNextOccurrence = completed === true && !permCheck.rows[0].completed && effectiveRecurrence;
+
+    if (recurrence !== undefined || spawnsNextOccurrence) {
+      query += `, recurrence = $${paramCount++}`;
+      params.push(spawnsNextOccurrence ? null : recurrence);
+    }
+
+    // The version check is part of the UPDATE so two concurrent writes can't both pass it
+    query += ` WHERE id = $${paramCount++} AND ($${paramCount}::int IS NULL OR version = $${paramCount}) RETURNING *`;
+    params.push(id, expectedVersion);
+
+    const result = await pool.query(query, params);
+
+    if (result.rows.length === 0) {
+      const current = await pool.query('SELECT * FROM list_items WHERE id = $1', [id]);
+      const [currentItem] = await attachItemTags(current.rows);
+      return res.status(409).json({
+        error: 'This item was changed by someone else',
+        item: currentItem
+      });
+    }
+
+    const [updatedItem] = await attachItemTags(result.rows);
+
+    // Emit item updated event
+    emitListUpdate(listId, 'item-updated', { listId, item: updatedItem });
+
+    await recordItemHistory({
+      itemId: updatedItem.id,
+      listId,
+      action: 'updated',
+      before: permCheck.rows[0],
+      after: updatedItem,
+      actor: req.user
+    });
+
+    if (notes !== undefined) {
+      syncNoteDoc(updatedItem.id, updatedItem.notes);
+      await notifyMentions({
+        text: notes,
+        previousText: permCheck.rows[0].notes || '',
+        listId,
+        itemId: updatedItem.id,
+        itemText: updatedItem.text,
+        actor: req.user
+      });
+    }
+
+    // Let a newly assigned user know even when they aren't viewing this list
+    if (updatedItem.assignee_id && updatedItem.assignee_id !== permCheck.rows[0].assignee_id) {
+      emitUserUpdate(updatedItem.assignee_id, 'item-assigned', { listId, item: updatedItem, assignedBy: req.user.email });
+    }
+
+    if (spawnsNextOccurrence) {
+      try {
+        const createdItems = await createNextOccurrence(updatedItem, effectiveRecurrence);
+        for (const item of createdItems) {
+          emitListUpdate(listId, 'item-created', { listId, item });
+          await recordItemHistory({ itemId: item.id, listId, action: 'created', before: null, after: item, actor: req.user });
+        }
+      } catch (err) {
+        // The completion itself succeeded - don't fail the request over the follow-up item
+        console.error('Error creating next occurrence:', err);
+      }
+    }
+
+    res.set('ETag', `"${updatedItem.version}"`);
+    res.json(updatedItem);
+  } catch (error) {
+    console.error('Error updating item:', error);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+app.delete('/api/items/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Check edit permission
+    const permCheck = await pool.query(
+      `SELECT l.user_id, ls.permission, li.list_id
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+       WHERE li.id = $1 AND li.deleted_at IS NULL AND l.deleted_at IS NULL`,
+      [id, req.user.id]
+    );
+
+    if (permCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (!can(getRole(permCheck.rows[0], req.user.id), 'edit')) {
+      return res.status(403).json({ error: 'No edit permission' });
+    }
+
+    const listId = permCheck.rows[0].list_id;
+
+    // Move the item and its whole subtree to the trash. They share one deleted_at
+    // timestamp so the batch can be restored together.
+    const result = await pool.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id FROM list_items WHERE id = $1
+         UNION ALL
+         SELECT li.id FROM list_items li JOIN subtree st ON li.parent_id = st.id
+         WHERE li.deleted_at IS NULL
+       )
+       UPDATE list_items SET deleted_at = NOW(), deleted_by = $2
+       WHERE id IN (SELECT id FROM subtree)
+       RETURNING *`,
+      [id, req.user.id]
+    );
+    const itemIds = result.rows.map(row => row.id);
+
+    for (const item of result.rows) {
+      await recordItemHistory({ itemId: item.id, listId, action: 'deleted', before: item, after: null, actor: req.user });
+    }
+
+    // Emit item deleted event
+    emitListUpdate(listId, 'item-deleted', { listId, itemId: id, itemIds });
+
+    res.json({ message: 'Item moved to trash', itemIds });
+  } catch (error) {
+    console.error('Error deleting item:', error);
+    res.status(500).json({ error: 'Failed to delete item' });
+  }
+});
+
+// Trash Routes - soft-deleted lists and items can be restored until they are purged
+app.get('/api/trash', authenticateToken, async (req, res) => {
+  try {
+    // Only the owner can restore a list, so only their own lists show up here
+    const lists = await pool.query(
+      `SELECT l.id, l.name, l.description, l.deleted_at, u.email AS deleted_by_email,
+         (SELECT COUNT(*) FROM list_items li WHERE li.list_id = l.id AND li.deleted_at IS NULL)::int AS item_count
+       FROM lists l
+       LEFT JOIN users u ON l.deleted_by = u.id
+       WHERE l.user_id = $1 AND l.deleted_at IS NOT NULL
+       ORDER BY l.deleted_at DESC`,
+      [req.user.id]
+    );
+
+    // One entry per deleted subtree: items whose parent was not deleted in the same batch
+    const items = await pool.query(
+      `SELECT li.id, li.text, li.list_id, l.name AS list_name, li.deleted_at,
+         u.email AS deleted_by_email,
+         (SELECT COUNT(*) FROM list_items d
+          WHERE d.list_id = li.list_id AND d.deleted_at = li.deleted_at)::int AS item_count
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $1
+       LEFT JOIN list_items p ON li.parent_id = p.id
+       LEFT JOIN users u ON li.deleted_by = u.id
+       WHERE li.deleted_at IS NOT NULL
+         AND l.deleted_at IS NULL
+         AND (l.user_id = $1 OR ls.permission = ANY($2))
+         AND (p.id IS NULL OR p.deleted_at IS DISTINCT FROM li.deleted_at)
+       ORDER BY li.deleted_at DESC`,
+      [req.user.id, SHARE_ROLES.filter(role => can(role, 'edit'))]
+    );
+
+    res.json({
+      lists: lists.rows,
+      items: items.rows,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+app.post('/api/lists/:id/restore', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Only owner can restore
+    const result = await pool.query(
+      `UPDATE lists SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'List not found in trash' });
+    }
+
+    const list = { ...result.rows[0], owner_email: req.user.email };
+
+    // Shares were kept while the list was in the trash, so collaborators get it back too
+    const shares = await pool.query(
+      'SELECT user_id FROM list_shares WHERE list_id = $1',
+      [id]
+    );
+    const userIds = [req.user.id, ...shares.rows.map(row => row.user_id)];
+
+    for (const userId of userIds) {
+      io.in(`user-${userId}`).socketsJoin(`list-${list.id}`);
+    }
+    emitListUpdate(list.id, 'list-restored', list);
+
+    res.json(list);
+  } catch (error) {
+    console.error('Error restoring list:', error);
+    res.status(500).json({ error: 'Failed to restore list' });
+  }
+});
+
+app.post('/api/items/:id/restore', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Check edit permission
+    const permCheck = await pool.query(
+      `SELECT l.user_id, ls.permission, li.list_id, p.deleted_at AS parent_deleted_at
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+       LEFT JOIN list_items p ON li.parent_id = p.id
+       WHERE li.id = $1 AND li.deleted_at IS NOT NULL AND l.deleted_at IS NULL`,
+      [id, req.user.id]
+    );
+
+    if (permCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    if (!can(getRole(permCheck.rows[0], req.user.id), 'edit')) {
+      return res.status(403).json({ error: 'No edit permission' });
+    }
+
+    const { list_id: listId, parent_deleted_at: parentDeletedAt } = permCheck.rows[0];
+
+    // Restore the subtree that was deleted together with this item. The timestamp is
+    // compared in SQL because JS dates drop the microseconds Postgres stores.
+    const restored = await pool.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id, deleted_at FROM list_items WHERE id = $1
+         UNION ALL
+         SELECT li.id, li.deleted_at FROM list_items li JOIN subtree st ON li.parent_id = st.id
+         WHERE li.deleted_at = st.deleted_at
+       )
+       UPDATE list_items SET deleted_at = NULL, deleted_by = NULL
+       WHERE id IN (SELECT id FROM subtree)
+       RETURNING id`,
+      [id]
+    );
+
+    // If the parent is still in the trash, bring the item back at the top level
+    if (parentDeletedAt) {
+      await pool.query('UPDATE list_items SET parent_id = NULL WHERE id = $1', [id]);
+    }
+
+    const itemsResult = await pool.query(
+      `SELECT li.*,
+         (SELECT COUNT(*) FROM item_comments c WHERE c.item_id = li.id)::int AS comment_count
+       FROM list_items li
+       WHERE li.id = ANY($1)
+       ORDER BY li.position`,
+      [restored.rows.map(row => row.id)]
+    );
+    const items = await attachItemTags(itemsResult.rows);
+
+    emitListUpdate(listId, 'item-restored', { listId, items });
+
+    for (const item of items) {
+      await recordItemHistory({ itemId: item.id, listId, action: 'restored', before: null, after: item, actor: req.user });
+    }
+
+    res.json(items);
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+// History Routes - change log per item and activity feed per list
+const MAX_ACTIVITY_LIMIT = 200;
+const DEFAULT_ACTIVITY_LIMIT = 50;
+
+app.get('/api/items/:id/history', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const access = await getItemAccess(id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (!access.canView) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const result = await pool.query(
+      `SELECT h.*, u.email AS actor_email, li.text AS item_text
+       FROM item_history h
+       JOIN list_items li ON h.item_id = li.id
+       LEFT JOIN users u ON h.user_id = u.id
+       WHERE h.item_id = $1
+       ORDER BY h.created_at DESC, h.id DESC`,
+      [id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching item history:', error);
+    res.status(500).json({ error: 'Failed to fetch item history' });
+  }
+});
+
+// Newest first; pass ?before=<history id> to page back through older entries
+app.get('/api/lists/:id/activity', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_ACTIVITY_LIMIT, MAX_ACTIVITY_LIMIT);
+  const before = parseInt(req.query.before, 10) || null;
+
+  try {
+    if (!(await canAccessList(id, req.user.id))) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT h.*, u.email AS actor_email, li.text AS item_text
+       FROM item_history h
+       JOIN list_items li ON h.item_id = li.id
+       LEFT JOIN users u ON h.user_id = u.id
+       WHERE h.list_id = $1 AND ($2::int IS NULL OR h.id < $2)
+       ORDER BY h.id DESC
+       LIMIT $3`,
+      [id, before, limit]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching list activity:', error);
+    res.status(500).json({ error: 'Failed to fetch list activity' });
+  }
+});
+
+// Tags Routes - tags belong either to a user (personal labels) or to a list (shared labels)
+const TAG_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_TAG_COLOR = '#8b5cf6';
+
+// Personal tags can only be managed by their owner, list tags by anyone who can edit the list
+const canManageTag = async (tag, userId) => {
+  if (tag.user_id) return tag.user_id === userId;
+  return canEditList(tag.list_id, userId);
+};
+
+// Lists that display a tag - where it is defined or attached to an item
+const getTagListIds = async (tag) => {
+  const result = await pool.query(
+    `SELECT DISTINCT li.list_id
+     FROM item_tags it
+     JOIN list_items li ON it.item_id = li.id
+     WHERE it.tag_id = $1 AND li.deleted_at IS NULL`,
+    [tag.id]
+  );
+  const listIds = new Set(result.rows.map(row => row.list_id));
+  if (tag.list_id) listIds.add(tag.list_id);
+  return [...listIds];
+};
+
+app.get('/api/tags', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.*
+       FROM tags t
+       WHERE t.user_id = $1 OR t.list_id IN (
+         SELECT l.id
+         FROM lists l
+         LEFT JOIN list_shares ls ON l.id = ls.list_id
+         WHERE (l.user_id = $1 OR ls.user_id = $1) AND l.deleted_at IS NULL
+       )
+       ORDER BY t.name`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+app.post('/api/tags', authenticateToken, async (req, res) => {
+  let { name, color = DEFAULT_TAG_COLOR, listId = null } = req.body;
+
+  try {
+    name = normalizeText(name, 'tagName');
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+  if (!TAG_COLOR_PATTERN.test(color)) {
+    return res.status(400).json({ error: 'Tag color must be a hex color like #8b5cf6' });
+  }
+
+  try {
+    if (listId && !(await canEditList(listId, req.user.id))) {
+      return res.status(403).json({ error: 'No edit permission' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO tags (name, color, user_id, list_id) VALUES ($1, $2, $3, $4) RETURNING *',
+      [name, color, listId ? null : req.user.id, listId]
+    );
+    const newTag = result.rows[0];
+
+    if (listId) {
+      emitListUpdate(listId, 'tag-created', { listId: Number(listId), tag: newTag });
+    }
+
+    res.status(201).json(newTag);
   } catch (error) {
-    console.error('Error creating list:', error);
-    res.status(500).json({ error: 'Failed to create list' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
   }
 });
 
-app.put('/api/lists/:id', authenticateToken, async (req, res) => {
+app.put('/api/tags/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
-  let { name, description } = req.body;
+  let { name, color } = req.body;
 
-  // Sanitize inputs
-  name = sanitizeInput(name);
-  description = sanitizeInput(description);
+  if (name !== undefined) {
+    try {
+      name = normalizeText(name, 'tagName');
+    } catch (err) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+  }
+  if (color !== undefined && !TAG_COLOR_PATTERN.test(color)) {
+    return res.status(400).json({ error: 'Tag color must be a hex color like #8b5cf6' });
+  }
 
   try {
-    // Check permissions
-    const permCheck = await pool.query(
-      `SELECT l.user_id, ls.permission
-       FROM lists l
-       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
-       WHERE l.id = $1`,
-      [id, req.user.id]
+    const tagResult = await pool.query('SELECT * FROM tags WHERE id = $1', [id]);
+    if (tagResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    if (!(await canManageTag(tagResult.rows[0], req.user.id))) {
+      return res.status(403).json({ error: 'Not authorized to change this tag' });
+    }
+
+    const result = await pool.query(
+      `UPDATE tags SET name = COALESCE($1, name), color = COALESCE($2, color),
+         legacy_sanitized = legacy_sanitized AND $1::text IS NULL
+       WHERE id = $3 RETURNING *`,
+      [name, color, id]
     );
+    const updatedTag = result.rows[0];
 
-    if (permCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'List not found' });
+    for (const listId of await getTagListIds(updatedTag)) {
+      emitListUpdate(listId, 'tag-updated', { listId, tag: updatedTag });
     }
 
-    const canEdit = permCheck.rows[0].user_id === req.user.id ||
-                    permCheck.rows[0].permission === 'edit';
+    res.json(updatedTag);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
 
-    if (!canEdit) {
-      return res.status(403).json({ error: 'No edit permission' });
+app.delete('/api/tags/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const tagResult = await pool.query('SELECT * FROM tags WHERE id = $1', [id]);
+    if (tagResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
     }
 
-    const result = await pool.query(
-      'UPDATE lists SET name = $1, description = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
-      [name, description, id]
-    );
+    const tag = tagResult.rows[0];
+    if (!(await canManageTag(tag, req.user.id))) {
+      return res.status(403).json({ error: 'Not authorized to delete this tag' });
+    }
 
-    const updatedList = result.rows[0];
+    // Collect affected lists before the item_tags rows cascade away
+    const listIds = await getTagListIds(tag);
+    await pool.query('DELETE FROM tags WHERE id = $1', [id]);
 
-    // Emit update to all users viewing this list
-    emitListUpdate(id, 'list-updated', updatedList);
+    for (const listId of listIds) {
+      emitListUpdate(listId, 'tag-deleted', { listId, tagId: tag.id });
+    }
 
-    res.json(updatedList);
+    res.json({ message: 'Tag deleted successfully' });
   } catch (error) {
-    console.error('Error updating list:', error);
-    res.status(500).json({ error: 'Failed to update list' });
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
   }
 });
 
-app.delete('/api/lists/:id', authenticateToken, async (req, res) => {
+// Attach a tag to an item by tagId, or by name (reusing or creating a tag for the item's list)
+app.post('/api/items/:id/tags', authenticateToken, async (req, res) => {
   const { id } = req.params;
+  let { tagId, name, color = DEFAULT_TAG_COLOR } = req.body;
 
   try {
-    // Only owner can delete
-    const result = await pool.query(
-      'DELETE FROM lists WHERE id = $1 AND user_id = $2 RETURNING id',
+    // Check edit permission through list
+    const permCheck = await pool.query(
+      `SELECT l.user_id, ls.permission, li.list_id
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+       WHERE li.id = $1 AND li.deleted_at IS NULL AND l.deleted_at IS NULL`,
       [id, req.user.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Not authorized to delete this list' });
+    if (permCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (!can(getRole(permCheck.rows[0], req.user.id), 'edit')) {
+      return res.status(403).json({ error: 'No edit permission' });
+    }
+
+    const listId = permCheck.rows[0].list_id;
+    let tag;
+
+    if (tagId) {
+      // Only the user's own tags or tags of this list can be attached
+      const tagResult = await pool.query(
+        'SELECT * FROM tags WHERE id = $1 AND (user_id = $2 OR list_id = $3)',
+        [tagId, req.user.id, listId]
+      );
+      if (tagResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid tag' });
+      }
+      tag = tagResult.rows[0];
+    } else {
+      try {
+        name = normalizeText(name, 'tagName');
+      } catch (err) {
+        return res.status(400).json({ error: err.message, field: err.field });
+      }
+      if (!TAG_COLOR_PATTERN.test(color)) {
+        return res.status(400).json({ error: 'Tag color must be a hex color like #8b5cf6' });
+      }
+
+      const existing = await pool.query(
+        `SELECT * FROM tags
+         WHERE LOWER(name) = LOWER($1) AND (list_id = $2 OR user_id = $3)
+         ORDER BY list_id NULLS LAST
+         LIMIT 1`,
+        [name, listId, req.user.id]
+      );
+
+      if (existing.rows.length > 0) {
+        tag = existing.rows[0];
+      } else {
+        const created = await pool.query(
+          'INSERT INTO tags (name, color, list_id) VALUES ($1, $2, $3) RETURNING *',
+          [name, color, listId]
+        );
+        tag = created.rows[0];
+        emitListUpdate(listId, 'tag-created', { listId, tag });
+      }
     }
 
-    // Emit delete event
-    emitListUpdate(id, 'list-deleted', { id });
+    await pool.query(
+      'INSERT INTO item_tags (item_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [id, tag.id]
+    );
+
+    const [{ tags }] = await attachItemTags([{ id: Number(id) }]);
+    emitListUpdate(listId, 'item-tags-updated', { listId, itemId: Number(id), tags });
 
-    res.json({ message: 'List deleted successfully' });
+    res.status(201).json({ itemId: Number(id), tags });
   } catch (error) {
-    console.error('Error deleting list:', error);
-    res.status(500).json({ error: 'Failed to delete list' });
+    console.error('Error tagging item:', error);
+    res.status(500).json({ error: 'Failed to tag item' });
   }
 });
 
-// Sharing Routes with notifications
-app.post('/api/lists/:id/share', authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const { email, permission = 'view' } = req.body;
+app.delete('/api/items/:id/tags/:tagId', authenticateToken, async (req, res) => {
+  const { id, tagId } = req.params;
 
   try {
-    // Check if user owns the list
-    const ownerCheck = await pool.query(
-      'SELECT user_id FROM lists WHERE id = $1',
-      [id]
+    // Check edit permission through list
+    const permCheck = await pool.query(
+      `SELECT l.user_id, ls.permission, li.list_id
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+       WHERE li.id = $1 AND li.deleted_at IS NULL AND l.deleted_at IS NULL`,
+      [id, req.user.id]
     );
 
-    if (ownerCheck.rows.length === 0 || ownerCheck.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to share this list' });
+    if (permCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
     }
 
-    // Find user by email
-    const userResult = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
-      [email]
-    );
-
-    if (userResult.rows.length === 0) {
-      // Generic error - don't reveal if user exists
-      return res.status(400).json({ error: 'Unable to share list. Please check the email address.' });
+    if (!can(getRole(permCheck.rows[0], req.user.id), 'edit')) {
+      return res.status(403).json({ error: 'No edit permission' });
     }
 
-    const shareUserId = userResult.rows[0].id;
+    const listId = permCheck.rows[0].list_id;
 
-    // Create or update share
-    const result = await pool.query(
-      `INSERT INTO list_shares (list_id, user_id, permission)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (list_id, user_id)
-       DO UPDATE SET permission = $3
-       RETURNING *`,
-      [id, shareUserId, permission]
+    await pool.query(
+      'DELETE FROM item_tags WHERE item_id = $1 AND tag_id = $2',
+      [id, tagId]
     );
 
-    // Notify the shared user
-    emitListUpdate(id, 'list-shared', {
-      listId: id,
-      userId: shareUserId,
-      permission,
-      sharedBy: req.user.email
-    });
+    const [{ tags }] = await attachItemTags([{ id: Number(id) }]);
+    emitListUpdate(listId, 'item-tags-updated', { listId, itemId: Number(id), tags });
 
-    res.status(201).json(result.rows[0]);
+    res.json({ itemId: Number(id), tags });
   } catch (error) {
-    console.error('Error sharing list:', error);
-    res.status(500).json({ error: 'Failed to share list' });
+    console.error('Error removing tag from item:', error);
+    res.status(500).json({ error: 'Failed to remove tag' });
   }
 });
 
-app.get('/api/lists/:id/shares', authenticateToken, async (req, res) => {
-  const { id } = req.params;
+// Comment Routes - commenters and above can comment, authors manage their own comments
+
+// Look up the list behind an item and the user's role on it
+const getItemAccess = async (itemId, userId) => {
+  const permCheck = await pool.query(
+    `SELECT l.user_id, ls.permission, li.list_id, li.text
+     FROM list_items li
+     JOIN lists l ON li.list_id = l.id
+     LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
+     WHERE li.id = $1 AND li.deleted_at IS NULL AND l.deleted_at IS NULL`,
+    [itemId, userId]
+  );
+
+  if (permCheck.rows.length === 0) return null;
+
+  const row = permCheck.rows[0];
+  const role = getRole(row, userId);
+  return {
+    listId: row.list_id,
+    itemText: row.text,
+    role,
+    canView: can(role, 'view'),
+    canEdit: can(role, 'edit')
+  };
+};
 
+// Route guard for the comment routes: 404 for a missing item, 403 without the role for
+// action, otherwise the access info is on req.itemAccess
+const requireItemAccess = (action) => async (req, res, next) => {
   try {
-    // Check if user owns the list or has access
-    const accessCheck = await pool.query(
-      `SELECT l.user_id
-       FROM lists l
-       WHERE l.id = $1 AND (l.user_id = $2 OR EXISTS (
-         SELECT 1 FROM list_shares WHERE list_id = $1 AND user_id = $2
-       ))`,
-      [id, req.user.id]
-    );
+    const access = await getItemAccess(req.params.id, req.user.id);
 
-    if (accessCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Not authorized' });
+    if (!access) {
+      return res.status(404).json({ error: 'Item not found' });
     }
+    if (!can(access.role, action)) {
+      return res.status(403).json({ error: action === 'comment' ? 'No comment permission' : 'Not authorized' });
+    }
+
+    req.itemAccess = access;
+    next();
+  } catch (error) {
+    console.error('Error checking item access:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+const getCommentWithAuthor = async (commentId) => {
+  const result = await pool.query(
+    `SELECT c.*, u.email AS author_email
+     FROM item_comments c
+     LEFT JOIN users u ON c.user_id = u.id
+     WHERE c.id = $1`,
+    [commentId]
+  );
+  return result.rows[0];
+};
 
+// Comments come oldest first; replies point to their parent with parent_id
+app.get('/api/items/:id/comments', authenticateToken, requireItemAccess('view'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
     const result = await pool.query(
-      `SELECT ls.*, u.email
-       FROM list_shares ls
-       JOIN users u ON ls.user_id = u.id
-       WHERE ls.list_id = $1`,
+      `SELECT c.*, u.email AS author_email
+       FROM item_comments c
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE c.item_id = $1
+       ORDER BY c.created_at, c.id`,
       [id]
     );
-
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching shares:', error);
-    res.status(500).json({ error: 'Failed to fetch shares' });
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
   }
 });
 
-app.delete('/api/lists/:listId/shares/:userId', authenticateToken, async (req, res) => {
-  const { listId, userId } = req.params;
+// New comment { body }, or a reply { body, parent_id } to a comment on the same item
+app.post('/api/items/:id/comments', authenticateToken, requireItemAccess('comment'), async (req, res) => {
+  const { id } = req.params;
+  const { parent_id = null } = req.body;
+  const access = req.itemAccess;
 
+  let body;
   try {
-    // Check if user owns the list
-    const ownerCheck = await pool.query(
-      'SELECT user_id FROM lists WHERE id = $1',
-      [listId]
-    );
+    body = normalizeText(req.body.body, 'commentBody');
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+  if (parent_id !== null && !Number.isInteger(parent_id)) {
+    return res.status(400).json({ error: 'Invalid parent comment' });
+  }
 
-    if (ownerCheck.rows.length === 0 || ownerCheck.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+  try {
+    if (parent_id !== null) {
+      const parentCheck = await pool.query(
+        'SELECT id FROM item_comments WHERE id = $1 AND item_id = $2',
+        [parent_id, id]
+      );
+      if (parentCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid parent comment' });
+      }
     }
 
-    await pool.query(
-      'DELETE FROM list_shares WHERE list_id = $1 AND user_id = $2',
-      [listId, userId]
+    const result = await pool.query(
+      'INSERT INTO item_comments (item_id, user_id, body, parent_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      [id, req.user.id, body.trim(), parent_id]
     );
+    const comment = await getCommentWithAuthor(result.rows[0].id);
 
-    // Notify removed user
-    emitListUpdate(listId, 'share-removed', { listId, userId });
+    emitListUpdate(access.listId, 'comment-created', { listId: access.listId, itemId: Number(id), comment });
 
-    res.json({ message: 'Share removed successfully' });
+    await notifyMentions({
+      text: comment.body,
+      listId: access.listId,
+      itemId: Number(id),
+      itemText: access.itemText,
+      commentId: comment.id,
+      actor: req.user
+    });
+
+    res.status(201).json(comment);
   } catch (error) {
-    console.error('Error removing share:', error);
-    res.status(500).json({ error: 'Failed to remove share' });
+    console.error('Error creating comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
   }
 });
 
-// List Items Routes with real-time updates
-app.get('/api/lists/:listId/items', authenticateToken, async (req, res) => {
-  const { listId } = req.params;
+app.put('/api/items/:id/comments/:commentId', authenticateToken, requireItemAccess('comment'), async (req, res) => {
+  const { id, commentId } = req.params;
+  const access = req.itemAccess;
 
+  let body;
   try {
-    // Check access
-    const accessCheck = await pool.query(
-      `SELECT 1 FROM lists l
-       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
-       WHERE l.id = $1 AND (l.user_id = $2 OR ls.user_id = $2)`,
-      [listId, req.user.id]
+    body = normalizeText(req.body.body, 'commentBody');
+  } catch (err) {
+    return res.status(400).json({ error: err.message, field: err.field });
+  }
+
+  try {
+    // Only the author can edit a comment (the FROM subquery still sees the old body)
+    const result = await pool.query(
+      `UPDATE item_comments c SET body = $1, updated_at = NOW()
+       FROM (SELECT id, body AS previous_body FROM item_comments WHERE id = $2) old
+       WHERE c.id = old.id AND c.item_id = $3 AND c.user_id = $4
+       RETURNING c.id, old.previous_body`,
+      [body.trim(), commentId, id, req.user.id]
     );
 
-    if (accessCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Not authorized' });
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'Not authorized to edit this comment' });
     }
 
+    const comment = await getCommentWithAuthor(result.rows[0].id);
+
+    emitListUpdate(access.listId, 'comment-updated', { listId: access.listId, itemId: Number(id), comment });
+
+    await notifyMentions({
+      text: comment.body,
+      previousText: result.rows[0].previous_body,
+      listId: access.listId,
+      itemId: Number(id),
+      itemText: access.itemText,
+      commentId: comment.id,
+      actor: req.user
+    });
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+app.delete('/api/items/:id/comments/:commentId', authenticateToken, requireItemAccess('view'), async (req, res) => {
+  const { id, commentId } = req.params;
+  const access = req.itemAccess;
+
+  try {
+    // Authors can delete their own comments, the owner and admins can moderate any.
+    // Replies go with the comment they answer.
     const result = await pool.query(
-      'SELECT * FROM list_items WHERE list_id = $1 ORDER BY position, created_at',
-      [listId]
+      `WITH RECURSIVE thread AS (
+         SELECT id FROM item_comments
+         WHERE id = $1 AND item_id = $2 AND (user_id = $3 OR $4)
+         UNION ALL
+         SELECT c.id FROM item_comments c JOIN thread t ON c.parent_id = t.id
+       )
+       DELETE FROM item_comments WHERE id IN (SELECT id FROM thread)
+       RETURNING id`,
+      [commentId, id, req.user.id, can(access.role, 'manage')]
     );
-    res.json(result.rows);
+
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    }
+
+    emitListUpdate(access.listId, 'comment-deleted', {
+      listId: access.listId,
+      itemId: Number(id),
+      commentId: Number(commentId),
+      commentIds: result.rows.map(row => row.id)
+    });
+
+    res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
-    console.error('Error fetching items:', error);
-    res.status(500).json({ error: 'Failed to fetch items' });
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
   }
 });
 
-app.post('/api/lists/:listId/items', authenticateToken, async (req, res) => {
-  const { listId } = req.params;
-  let { text, completed = false, notes = '', parent_id = null } = req.body;
-
-  // Sanitize input
-  text = sanitizeInput(text);
+// Items with a given tag name across every list the user can access
+app.get('/api/tags/:tag/items', authenticateToken, async (req, res) => {
+  const { tag } = req.params;
 
-  if (!text || text.length < 1) {
-    return res.status(400).json({ error: 'Item text is required' });
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT li.*, l.name AS list_name
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       LEFT JOIN list_shares ls ON l.id = ls.list_id
+       JOIN item_tags it ON it.item_id = li.id
+       JOIN tags t ON it.tag_id = t.id
+       WHERE (l.user_id = $1 OR ls.user_id = $1)
+         AND LOWER(t.name) = LOWER($2)
+         AND li.deleted_at IS NULL AND l.deleted_at IS NULL
+       ORDER BY list_name, li.position`,
+      [req.user.id, tag]
+    );
+    res.json(await attachItemTags(result.rows));
+  } catch (error) {
+    console.error('Error fetching tagged items:', error);
+    res.status(500).json({ error: 'Failed to fetch tagged items' });
   }
+});
+
+// Notification Routes
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  const unreadOnly = req.query.unread === 'true';
 
   try {
-    // Check edit permission
-    const permCheck = await pool.query(
-      `SELECT l.user_id, ls.permission
-       FROM lists l
-       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
-       WHERE l.id = $1`,
-      [listId, req.user.id]
+    const result = await pool.query(
+      `SELECT n.*, u.email AS actor_email, l.name AS list_name
+       FROM notifications n
+       LEFT JOIN users u ON n.actor_id = u.id
+       LEFT JOIN lists l ON n.list_id = l.id
+       WHERE n.user_id = $1 ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+       ORDER BY n.created_at DESC
+       LIMIT 50`,
+      [req.user.id]
     );
 
-    if (permCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'List not found' });
-    }
+    const unread = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
 
-    const canEdit = permCheck.rows[0].user_id === req.user.id ||
-                    permCheck.rows[0].permission === 'edit';
+    res.json({ notifications: result.rows, unreadCount: unread.rows[0].count });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
 
-    if (!canEdit) {
-      return res.status(403).json({ error: 'No edit permission' });
-    }
+// Mark notifications read/unread - all of them, or only the given ids
+app.patch('/api/notifications', authenticateToken, async (req, res) => {
+  const { ids, read = true } = req.body;
 
-    // If parent_id is provided, verify it exists and belongs to the same list
-    if (parent_id) {
-      const parentCheck = await pool.query(
-        'SELECT id FROM list_items WHERE id = $1 AND list_id = $2',
-        [parent_id, listId]
-      );
-      if (parentCheck.rows.length === 0) {
-        return res.status(400).json({ error: 'Invalid parent item' });
-      }
-    }
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'ids must be an array of notification ids' });
+  }
+  if (typeof read !== 'boolean') {
+    return res.status(400).json({ error: 'read must be true or false' });
+  }
 
-    // Calculate position based on parent context
-    const posResult = await pool.query(
-      'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM list_items WHERE list_id = $1 AND parent_id IS NOT DISTINCT FROM $2',
-      [listId, parent_id]
+  try {
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = CASE WHEN $3::boolean THEN NOW() END
+       WHERE user_id = $1 AND ($2::int[] IS NULL OR id = ANY($2))
+       RETURNING id`,
+      [req.user.id, ids || null, read]
     );
-    const nextPosition = posResult.rows[0].next_position;
+    res.json({ updated: result.rows.map(row => row.id) });
+  } catch (error) {
+    console.error('Error updating notifications:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+app.patch('/api/notifications/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { read = true } = req.body;
+
+  if (typeof read !== 'boolean') {
+    return res.status(400).json({ error: 'read must be true or false' });
+  }
 
+  try {
     const result = await pool.query(
-      'INSERT INTO list_items (list_id, text, completed, position, notes, parent_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [listId, text, completed, nextPosition, notes, parent_id]
+      `UPDATE notifications SET read_at = CASE WHEN $3::boolean THEN NOW() END
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [id, req.user.id, read]
     );
 
-    const newItem = result.rows[0];
-
-    // Emit item created event
-    emitListUpdate(listId, 'item-created', { listId, item: newItem });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
 
-    res.status(201).json(newItem);
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error creating item:', error);
-    res.status(500).json({ error: 'Failed to create item' });
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
   }
 });
 
-app.put('/api/items/:id', authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  let { text, completed, position, notes, parent_id } = req.body;
-
-  // Sanitize text input if provided
-  if (text !== undefined) {
-    text = sanitizeInput(text);
-    if (text.length < 1) {
-      return res.status(400).json({ error: 'Item text cannot be empty' });
-    }
+// Items assigned to the current user across every list they can still access
+app.get('/api/me/assigned', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT li.*, l.name AS list_name
+       FROM list_items li
+       JOIN lists l ON li.list_id = l.id
+       WHERE li.assignee_id = $1
+         AND li.deleted_at IS NULL AND l.deleted_at IS NULL
+         AND (l.user_id = $1 OR EXISTS (
+           SELECT 1 FROM list_shares ls WHERE ls.list_id = l.id AND ls.user_id = $1
+         ))
+       ORDER BY li.completed, li.due_date NULLS LAST, l.name, li.position`,
+      [req.user.id]
+    );
+    res.json(await attachItemTags(result.rows));
+  } catch (error) {
+    console.error('Error fetching assigned items:', error);
+    res.status(500).json({ error: 'Failed to fetch assigned items' });
   }
+});
 
+// Due items across every list the user can access (for Overdue / Today / Upcoming views)
+app.get('/api/me/due', authenticateToken, async (req, res) => {
   try {
-    // Check edit permission through list
-    const permCheck = await pool.query(
-      `SELECT l.user_id, ls.permission, li.list_id
+    const result = await pool.query(
+      `SELECT li.*, l.name AS list_name
        FROM list_items li
        JOIN lists l ON li.list_id = l.id
-       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
-       WHERE li.id = $1`,
-      [id, req.user.id]
+       WHERE li.due_date IS NOT NULL
+         AND li.completed = FALSE
+         AND li.deleted_at IS NULL AND l.deleted_at IS NULL
+         AND (l.user_id = $1 OR EXISTS (
+           SELECT 1 FROM list_shares ls WHERE ls.list_id = l.id AND ls.user_id = $1
+         ))
+       ORDER BY li.due_date, li.due_time NULLS LAST, li.id`,
+      [req.user.id]
     );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching due items:', error);
+    res.status(500).json({ error: 'Failed to fetch due items' });
+  }
+});
 
-    if (permCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
+// Delta sync - lists, items and shares changed since a cursor, across every list the user
+// can access. Without ?since (or with an expired cursor) the response is a full snapshot
+// with reset: true. Deletions come back as tombstones in `deleted`.
+//
+// Rows record the transaction that last changed them (change_txid); adding or removing an
+// item's tags or comments counts as a change of the item. The cursor holds the
+// oldest transaction still running when we read, so changes committed later are never
+// skipped; a few rows may be sent twice, which clients treat as upserts.
+const SYNC_TOMBSTONE_DAYS = parseInt(process.env.SYNC_TOMBSTONE_DAYS, 10) || 30;
+
+const parseSyncCursor = (cursor) => {
+  const match = /^(\d+)\.(\d+)$/.exec(cursor || '');
+  return match ? { txid: match[1], issuedAt: Number(match[2]) } : null;
+};
 
-    const canEdit = permCheck.rows[0].user_id === req.user.id ||
-                    permCheck.rows[0].permission === 'edit';
+app.get('/api/sync', authenticateToken, async (req, res) => {
+  const { since } = req.query;
+  let cursor = null;
 
-    if (!canEdit) {
-      return res.status(403).json({ error: 'No edit permission' });
+  if (since !== undefined) {
+    cursor = parseSyncCursor(since);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid sync cursor' });
     }
+    // Tombstones this old may have been pruned - start over
+    if (Date.now() - cursor.issuedAt > SYNC_TOMBSTONE_DAYS * 24 * 60 * 60 * 1000) {
+      cursor = null;
+    }
+  }
 
-    const listId = permCheck.rows[0].list_id;
+  const userId = req.user.id;
+  const client = await pool.connect();
+  try {
+    // One snapshot for every query, so the cursor matches what we return
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const xmin = await client.query('SELECT txid_snapshot_xmin(txid_current_snapshot()) AS txid');
+    const sinceTxid = cursor ? cursor.txid : null;
+
+    // Every list the user can access, including ones in the trash. A share newer than the
+    // cursor means the list is new to this user, so it is sent in full. A changed role on
+    // an existing share resends the list with its new role.
+    const listsResult = await client.query(
+      `SELECT l.*, u.email AS owner_email, ms.permission AS my_permission,
+              ($2::bigint IS NULL OR (l.user_id <> $1 AND ms.change_txid >= $2)) AS is_new,
+              ($2::bigint IS NULL OR l.change_txid >= $2 OR ms.change_txid >= $2) AS is_changed
+       FROM lists l
+       JOIN users u ON l.user_id = u.id
+       LEFT JOIN list_shares ms ON ms.list_id = l.id AND ms.user_id = $1
+       WHERE l.user_id = $1 OR ms.user_id = $1`,
+      [userId, sinceTxid]
+    );
 
-    // If parent_id is being updated, verify it exists and belongs to the same list
-    // Also prevent circular references (item cannot be its own parent or descendant)
-    if (parent_id !== undefined && parent_id !== null) {
-      const parentCheck = await pool.query(
-        'SELECT id FROM list_items WHERE id = $1 AND list_id = $2',
-        [parent_id, listId]
-      );
-      if (parentCheck.rows.length === 0) {
-        return res.status(400).json({ error: 'Invalid parent item' });
-      }
-      // Prevent self-reference
-      if (parent_id == id) {
-        return res.status(400).json({ error: 'Item cannot be its own parent' });
+    const lists = [];
+    const deleted = { lists: [], items: [], shares: [] };
+    const fullIds = [];
+    const changedIds = [];
+
+    for (const { is_new: isNew, is_changed: isChanged, my_permission: permission, ...list } of listsResult.rows) {
+      if (list.deleted_at) {
+        if (cursor && (isNew || isChanged)) deleted.lists.push({ id: list.id });
+        continue;
       }
+      if (isNew || isChanged) lists.push({ ...list, role: getRole({ user_id: list.user_id, permission }, userId) });
+      (isNew ? fullIds : changedIds).push(list.id);
     }
 
-    let query = 'UPDATE list_items SET updated_at = NOW()';
-    const params = [];
-    let paramCount = 1;
+    // Items and shares: everything for new lists, changes for the rest
+    const itemsResult = await client.query(
+      `SELECT li.*,
+              (SELECT COUNT(*) FROM item_comments c WHERE c.item_id = li.id)::int AS comment_count
+       FROM list_items li
+       WHERE (li.list_id = ANY($1::int[]) AND li.deleted_at IS NULL)
+          OR (li.list_id = ANY($2::int[]) AND li.change_txid >= $3)
+       ORDER BY li.list_id, li.position, li.created_at`,
+      [fullIds, changedIds, sinceTxid]
+    );
 
-    if (text !== undefined) {
-      query += `, text = $${paramCount++}`;
-      params.push(text);
-    }
-    if (completed !== undefined) {
-      query += `, completed = $${paramCount++}`;
-      params.push(completed);
-    }
-    if (position !== undefined) {
-      query += `, position = $${paramCount++}`;
-      params.push(position);
-    }
-    if (notes !== undefined) {
-      query += `, notes = $${paramCount++}`;
-      params.push(notes);
-    }
-    if (parent_id !== undefined) {
-      query += `, parent_id = $${paramCount++}`;
-      params.push(parent_id);
+    const items = [];
+    for (const item of itemsResult.rows) {
+      if (item.deleted_at) {
+        deleted.items.push({ id: item.id, list_id: item.list_id });
+      } else {
+        items.push(item);
+      }
     }
 
-    query += ` WHERE id = $${paramCount} RETURNING *`;
-    params.push(id);
+    const sharesResult = await client.query(
+      `SELECT ls.*, u.email
+       FROM list_shares ls
+       JOIN users u ON ls.user_id = u.id
+       WHERE ls.list_id = ANY($1::int[])
+          OR (ls.list_id = ANY($2::int[]) AND ls.change_txid >= $3)`,
+      [fullIds, changedIds, sinceTxid]
+    );
 
-    const result = await pool.query(query, params);
-    const updatedItem = result.rows[0];
+    // Hard deletes: purged items, removed shares, and lists this user lost access to
+    if (cursor) {
+      const accessible = new Set(listsResult.rows.map(list => list.id));
+      const tombstones = await client.query(
+        `SELECT DISTINCT entity, entity_id, list_id, user_id
+         FROM sync_tombstones
+         WHERE change_txid >= $1
+           AND (list_id = ANY($2::int[]) OR user_id = $3)`,
+        [sinceTxid, changedIds, userId]
+      );
 
-    // Emit item updated event
-    emitListUpdate(listId, 'item-updated', { listId, item: updatedItem });
+      const goneListIds = new Set(deleted.lists.map(list => list.id));
+      for (const tombstone of tombstones.rows) {
+        if (tombstone.user_id === userId && tombstone.entity !== 'item' && !accessible.has(tombstone.list_id)) {
+          if (!goneListIds.has(tombstone.list_id)) {
+            goneListIds.add(tombstone.list_id);
+            deleted.lists.push({ id: tombstone.list_id });
+          }
+        } else if (tombstone.entity === 'item' && changedIds.includes(tombstone.list_id)) {
+          deleted.items.push({ id: tombstone.entity_id, list_id: tombstone.list_id });
+        } else if (tombstone.entity === 'share' && changedIds.includes(tombstone.list_id)) {
+          deleted.shares.push({ id: tombstone.entity_id, list_id: tombstone.list_id, user_id: tombstone.user_id });
+        }
+      }
+    }
 
-    res.json(updatedItem);
+    await client.query('COMMIT');
+
+    res.json({
+      cursor: `${xmin.rows[0].txid}.${Date.now()}`,
+      reset: !cursor,
+      lists,
+      items: await attachItemTags(items),
+      shares: sharesResult.rows,
+      deleted
+    });
   } catch (error) {
-    console.error('Error updating item:', error);
-    res.status(500).json({ error: 'Failed to update item' });
+    await client.query('ROLLBACK');
+    console.error('Error syncing changes:', error);
+    res.status(500).json({ error: 'Failed to sync changes' });
+  } finally {
+    client.release();
   }
 });
 
-app.delete('/api/items/:id', authenticateToken, async (req, res) => {
-  const { id } = req.params;
+// Due date reminders - periodically push 'reminder-due' for items that just came due
+const REMINDER_CHECK_INTERVAL = 60 * 1000; // 1 minute
 
+async function sendDueReminders() {
   try {
-    // Check edit permission
-    const permCheck = await pool.query(
-      `SELECT l.user_id, ls.permission, li.list_id
-       FROM list_items li
-       JOIN lists l ON li.list_id = l.id
-       LEFT JOIN list_shares ls ON l.id = ls.list_id AND ls.user_id = $2
-       WHERE li.id = $1`,
-      [id, req.user.id]
+    // Mark and fetch in one statement so each reminder is only sent once
+    const result = await pool.query(
+      `UPDATE list_items SET reminder_sent_at = NOW()
+       WHERE id IN (
+         SELECT id FROM list_items
+         WHERE due_date IS NOT NULL
+           AND completed = FALSE
+           AND deleted_at IS NULL
+           AND reminder_sent_at IS NULL
+           AND due_date + COALESCE(due_time, TIME '00:00') <= NOW()
+       )
+       RETURNING *`
     );
 
-    if (permCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
-
-    const canEdit = permCheck.rows[0].user_id === req.user.id ||
-                    permCheck.rows[0].permission === 'edit';
-
-    if (!canEdit) {
-      return res.status(403).json({ error: 'No edit permission' });
+    for (const item of result.rows) {
+      emitListUpdate(item.list_id, 'reminder-due', { listId: item.list_id, item });
     }
+  } catch (error) {
+    console.error('Error sending due reminders:', error);
+  }
+}
 
-    const listId = permCheck.rows[0].list_id;
+// Trash purge - permanently remove lists and items that have been in the trash too long
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
 
-    await pool.query('DELETE FROM list_items WHERE id = $1', [id]);
+async function purgeTrash() {
+  try {
+    // ON DELETE CASCADE takes care of sub-items, shares, tags and comments
+    const lists = await pool.query(
+      `DELETE FROM lists WHERE deleted_at < NOW() - make_interval(days => $1)`,
+      [TRASH_RETENTION_DAYS]
+    );
+    const items = await pool.query(
+      `DELETE FROM list_items WHERE deleted_at < NOW() - make_interval(days => $1)`,
+      [TRASH_RETENTION_DAYS]
+    );
 
-    // Emit item deleted event
-    emitListUpdate(listId, 'item-deleted', { listId, itemId: id });
+    if (lists.rowCount > 0 || items.rowCount > 0) {
+      console.log(`Purged ${lists.rowCount} lists and ${items.rowCount} items from trash`);
+    }
 
-    res.json({ message: 'Item deleted successfully' });
+    // Sync cursors older than this get a full snapshot, so their tombstones can go
+    await pool.query(
+      'DELETE FROM sync_tombstones WHERE created_at < NOW() - make_interval(days => $1)',
+      [SYNC_TOMBSTONE_DAYS]
+    );
   } catch (error) {
-    console.error('Error deleting item:', error);
-    res.status(500).json({ error: 'Failed to delete item' });
+    console.error('Error purging trash:', error);
   }
-});
+}
 
 // Security check for production environment
 function checkProductionSecurity() {
@@ -774,6 +4174,376 @@ const migrations = [
       CREATE INDEX IF NOT EXISTS idx_list_items_list_parent ON list_items(list_id, parent_id);
     `
   },
+  {
+    name: '003_add_item_due_dates',
+    sql: `
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS due_date DATE;
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS due_time TIME;
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_list_items_due_date ON list_items(due_date) WHERE due_date IS NOT NULL;
+    `
+  },
+  {
+    name: '004_add_item_recurrence',
+    sql: `ALTER TABLE list_items ADD COLUMN IF NOT EXISTS recurrence JSONB`
+  },
+  {
+    name: '005_add_tags',
+    sql: `
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        color VARCHAR(7) NOT NULL DEFAULT '#8b5cf6',
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        list_id INTEGER REFERENCES lists(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        CHECK ((user_id IS NULL) <> (list_id IS NULL))
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name)) WHERE user_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_list_name ON tags(list_id, LOWER(name)) WHERE list_id IS NOT NULL;
+      CREATE TABLE IF NOT EXISTS item_tags (
+        item_id INTEGER REFERENCES list_items(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (item_id, tag_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_item_tags_tag_id ON item_tags(tag_id);
+    `
+  },
+  {
+    name: '006_add_item_assignee',
+    sql: `
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_list_items_assignee_id ON list_items(assignee_id) WHERE assignee_id IS NOT NULL;
+    `
+  },
+  {
+    name: '007_add_item_comments',
+    sql: `
+      CREATE TABLE IF NOT EXISTS item_comments (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES list_items(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_item_comments_item_id ON item_comments(item_id, created_at);
+    `
+  },
+  {
+    name: '008_add_notifications',
+    sql: `
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        type VARCHAR(30) NOT NULL,
+        list_id INTEGER REFERENCES lists(id) ON DELETE CASCADE,
+        item_id INTEGER REFERENCES list_items(id) ON DELETE CASCADE,
+        comment_id INTEGER REFERENCES item_comments(id) ON DELETE CASCADE,
+        message TEXT NOT NULL,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+    `
+  },
+  {
+    name: '009_add_soft_delete',
+    sql: `
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_lists_deleted_at ON lists(deleted_at) WHERE deleted_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_list_items_deleted_at ON list_items(deleted_at) WHERE deleted_at IS NOT NULL;
+    `
+  },
+  {
+    name: '010_add_item_history',
+    sql: `
+      CREATE TABLE IF NOT EXISTS item_history (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES list_items(id) ON DELETE CASCADE,
+        list_id INTEGER NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(20) NOT NULL,
+        changes JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_item_history_item_id ON item_history(item_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_item_history_list_id ON item_history(list_id, id DESC);
+    `
+  },
+  {
+    name: '011_add_versions',
+    sql: `
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    `
+  },
+  {
+    name: '012_add_list_events',
+    sql: `
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS event_seq BIGINT NOT NULL DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS list_events (
+        list_id INTEGER NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+        seq BIGINT NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (list_id, seq)
+      );
+    `
+  },
+  {
+    // Delta sync: rows remember the transaction that last changed them, and hard deletes
+    // leave a tombstone. Bookkeeping columns (event_seq) don't count as a change.
+    name: '013_add_sync_tracking',
+    sql: `
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS change_txid BIGINT NOT NULL DEFAULT txid_current();
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS change_txid BIGINT NOT NULL DEFAULT txid_current();
+      ALTER TABLE list_shares ADD COLUMN IF NOT EXISTS change_txid BIGINT NOT NULL DEFAULT txid_current();
+      CREATE INDEX IF NOT EXISTS idx_list_items_change_txid ON list_items(list_id, change_txid);
+      CREATE INDEX IF NOT EXISTS idx_list_shares_change_txid ON list_shares(list_id, change_txid);
+
+      CREATE TABLE IF NOT EXISTS sync_tombstones (
+        id SERIAL PRIMARY KEY,
+        entity VARCHAR(10) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        list_id INTEGER NOT NULL,
+        user_id INTEGER,
+        change_txid BIGINT NOT NULL DEFAULT txid_current(),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_sync_tombstones_change_txid ON sync_tombstones(change_txid);
+
+      CREATE OR REPLACE FUNCTION set_change_txid() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'UPDATE' AND
+           (to_jsonb(NEW) - 'change_txid' - 'event_seq') = (to_jsonb(OLD) - 'change_txid' - 'event_seq') THEN
+          RETURN NEW;
+        END IF;
+        NEW.change_txid := txid_current();
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE OR REPLACE FUNCTION record_sync_tombstone() RETURNS trigger AS $$
+      BEGIN
+        IF TG_TABLE_NAME = 'lists' THEN
+          INSERT INTO sync_tombstones (entity, entity_id, list_id, user_id) VALUES ('list', OLD.id, OLD.id, OLD.user_id);
+        ELSIF TG_TABLE_NAME = 'list_items' THEN
+          INSERT INTO sync_tombstones (entity, entity_id, list_id) VALUES ('item', OLD.id, OLD.list_id);
+        ELSE
+          INSERT INTO sync_tombstones (entity, entity_id, list_id, user_id) VALUES ('share', OLD.id, OLD.list_id, OLD.user_id);
+        END IF;
+        RETURN OLD;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS lists_change_txid ON lists;
+      CREATE TRIGGER lists_change_txid BEFORE UPDATE ON lists
+        FOR EACH ROW EXECUTE PROCEDURE set_change_txid();
+      DROP TRIGGER IF EXISTS list_items_change_txid ON list_items;
+      CREATE TRIGGER list_items_change_txid BEFORE UPDATE ON list_items
+        FOR EACH ROW EXECUTE PROCEDURE set_change_txid();
+      DROP TRIGGER IF EXISTS list_shares_change_txid ON list_shares;
+      CREATE TRIGGER list_shares_change_txid BEFORE UPDATE ON list_shares
+        FOR EACH ROW EXECUTE PROCEDURE set_change_txid();
+
+      DROP TRIGGER IF EXISTS lists_tombstone ON lists;
+      CREATE TRIGGER lists_tombstone AFTER DELETE ON lists
+        FOR EACH ROW EXECUTE PROCEDURE record_sync_tombstone();
+      DROP TRIGGER IF EXISTS list_items_tombstone ON list_items;
+      CREATE TRIGGER list_items_tombstone AFTER DELETE ON list_items
+        FOR EACH ROW EXECUTE PROCEDURE record_sync_tombstone();
+      DROP TRIGGER IF EXISTS list_shares_tombstone ON list_shares;
+      CREATE TRIGGER list_shares_tombstone AFTER DELETE ON list_shares
+        FOR EACH ROW EXECUTE PROCEDURE record_sync_tombstone();
+    `
+  },
+  {
+    name: '014_add_share_links',
+    sql: `
+      CREATE TABLE IF NOT EXISTS list_share_links (
+        id SERIAL PRIMARY KEY,
+        list_id INTEGER NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+        token VARCHAR(64) UNIQUE NOT NULL,
+        permission VARCHAR(20) NOT NULL DEFAULT 'view',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_list_share_links_list_id ON list_share_links(list_id);
+    `
+  },
+  {
+    name: '015_add_list_invitations',
+    sql: `
+      CREATE TABLE IF NOT EXISTS list_invitations (
+        id SERIAL PRIMARY KEY,
+        list_id INTEGER NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        permission VARCHAR(20) NOT NULL DEFAULT 'view',
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(list_id, email)
+      );
+      CREATE INDEX IF NOT EXISTS idx_list_invitations_email ON list_invitations(email);
+    `
+  },
+  {
+    name: '016_add_share_roles',
+    sql: `
+      -- 'view' shares could already comment, so they become commenters
+      UPDATE list_shares SET permission = CASE permission
+        WHEN 'edit' THEN 'editor'
+        WHEN 'view' THEN 'commenter'
+        ELSE 'viewer'
+      END
+      WHERE permission IS NULL OR permission NOT IN ('admin', 'editor', 'commenter', 'viewer');
+      UPDATE list_invitations SET permission = CASE permission
+        WHEN 'edit' THEN 'editor'
+        WHEN 'view' THEN 'commenter'
+        ELSE 'viewer'
+      END
+      WHERE permission NOT IN ('admin', 'editor', 'commenter', 'viewer');
+
+      ALTER TABLE list_shares ALTER COLUMN permission SET DEFAULT 'viewer';
+      ALTER TABLE list_shares ALTER COLUMN permission SET NOT NULL;
+      ALTER TABLE list_shares ADD CONSTRAINT list_shares_permission_check
+        CHECK (permission IN ('admin', 'editor', 'commenter', 'viewer'));
+      ALTER TABLE list_invitations ALTER COLUMN permission SET DEFAULT 'viewer';
+      ALTER TABLE list_invitations ADD CONSTRAINT list_invitations_permission_check
+        CHECK (permission IN ('admin', 'editor', 'commenter', 'viewer'));
+    `
+  },
+  {
+    name: '017_flag_sanitized_text',
+    sql: `
+      -- Text saved before this migration went through the old sanitizer, which silently
+      -- removed characters like ' ( ) ; and cut text at 1000 characters. Removed characters
+      -- leave no trace, so any existing row may have lost some and all of them are flagged -
+      -- clients should treat the flag as a hint, not a warning. Editing the text clears it.
+      -- Adding the column with DEFAULT TRUE flags existing rows without firing update triggers.
+      ALTER TABLE lists ADD COLUMN IF NOT EXISTS legacy_sanitized BOOLEAN NOT NULL DEFAULT TRUE;
+      ALTER TABLE lists ALTER COLUMN legacy_sanitized SET DEFAULT FALSE;
+      ALTER TABLE list_items ADD COLUMN IF NOT EXISTS legacy_sanitized BOOLEAN NOT NULL DEFAULT TRUE;
+      ALTER TABLE list_items ALTER COLUMN legacy_sanitized SET DEFAULT FALSE;
+      ALTER TABLE tags ADD COLUMN IF NOT EXISTS legacy_sanitized BOOLEAN NOT NULL DEFAULT TRUE;
+      ALTER TABLE tags ALTER COLUMN legacy_sanitized SET DEFAULT FALSE;
+    `
+  },
+
+  {
+    name: '018_user_sessions',
+    sql: `
+      -- One row per login. Only hashes of refresh tokens are stored; the previous one is
+      -- kept to recognise a replaced token being used again.
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+        previous_token_hash VARCHAR(64),
+        rotated_at TIMESTAMP,
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_seen_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+    `
+  },
+
+  {
+    name: '019_email_verification_and_reset_tokens',
+    sql: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+      -- Accounts from before verification existed keep working as they did
+      UPDATE users SET email_verified_at = COALESCE(created_at, NOW()) WHERE email_verified_at IS NULL;
+
+      -- Single-use links sent by email. Only hashes of the tokens are stored.
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose);
+    `
+  },
+
+  {
+    name: '020_two_factor_auth',
+    sql: `
+      -- totp_last_step is the time step of the last accepted code, so no code works twice.
+      -- The pending secret is the one being set up until the first code confirms it.
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_at TIMESTAMP;
+
+      -- Only hashes of recovery codes are stored
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+    `
+  },
+  {
+    // Synced items carry their tags and comment count, so changes to those count as a
+    // change of the item for delta sync
+    name: '021_sync_item_tags_and_comments',
+    sql: `
+      CREATE OR REPLACE FUNCTION touch_item_change_txid() RETURNS trigger AS $$
+      BEGIN
+        IF TG_TABLE_NAME = 'tags' THEN
+          UPDATE list_items SET change_txid = txid_current()
+          WHERE id IN (SELECT item_id FROM item_tags WHERE tag_id = NEW.id);
+        ELSIF TG_OP = 'DELETE' THEN
+          UPDATE list_items SET change_txid = txid_current() WHERE id = OLD.item_id;
+        ELSE
+          UPDATE list_items SET change_txid = txid_current() WHERE id = NEW.item_id;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS item_tags_touch_item ON item_tags;
+      CREATE TRIGGER item_tags_touch_item AFTER INSERT OR DELETE ON item_tags
+        FOR EACH ROW EXECUTE PROCEDURE touch_item_change_txid();
+      DROP TRIGGER IF EXISTS item_comments_touch_item ON item_comments;
+      CREATE TRIGGER item_comments_touch_item AFTER INSERT OR DELETE ON item_comments
+        FOR EACH ROW EXECUTE PROCEDURE touch_item_change_txid();
+      -- Renaming or recoloring a tag changes every item that has it
+      DROP TRIGGER IF EXISTS tags_touch_items ON tags;
+      CREATE TRIGGER tags_touch_items AFTER UPDATE ON tags
+        FOR EACH ROW EXECUTE PROCEDURE touch_item_change_txid();
+    `
+  },
+
+  {
+    name: '022_add_comment_replies',
+    sql: `
+      ALTER TABLE item_comments ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES item_comments(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS idx_item_comments_parent_id ON item_comments(parent_id) WHERE parent_id IS NOT NULL;
+    `
+  },
+
   // Add future migrations here with incrementing numbers, e.g.:
   // {
   //   name: '003_add_tags_table',
@@ -894,6 +4664,8 @@ checkProductionSecurity();
 initializeDatabase().then(() => {
   server.listen(PORT, () => {
     console.log(`Server with auth and real-time updates is running on port ${PORT}`);
+    setInterval(sendDueReminders, REMINDER_CHECK_INTERVAL);
+    setInterval(purgeTrash, TRASH_PURGE_INTERVAL);
     console.log(`Security status: ${GOOGLE_CLIENT_ID && !GOOGLE_CLIENT_ID.includes('your-') ? 'Google OAuth enabled (signup disabled)' : 'Traditional auth enabled'}`);
   });
 });
\ No newline at end of file
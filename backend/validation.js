@@ -0,0 +1,46 @@
+// Validation for user-entered text
+//
+// Text is stored exactly as the user typed it. Every query is parameterized and the
+// frontend escapes on output (React does this for us), so nothing needs to be stripped.
+// What we do check is that each field is a string within its length limit - and reject
+// it with a message saying so, rather than quietly changing it.
+
+const TEXT_FIELDS = {
+  listName: { label: 'List name', max: 255, required: true },
+  listDescription: { label: 'List description', max: 2000 },
+  itemText: { label: 'Item text', max: 1000, required: true },
+  itemNotes: { label: 'Notes', max: 20000, multiline: true },
+  tagName: { label: 'Tag name', max: 50, required: true },
+  commentBody: { label: 'Comment', max: 5000, required: true, multiline: true }
+};
+
+// Validate a text field from a request body and return the value to store.
+// Single-line fields are trimmed; multi-line ones are kept as they are.
+// Throws an error with a user-facing message (and the field name on err.field).
+const normalizeText = (input, field) => {
+  const { label, max, required = false, multiline = false } = TEXT_FIELDS[field];
+  const fail = (message) => Object.assign(new Error(message), { field });
+
+  if (input === undefined || input === null) input = '';
+  if (typeof input !== 'string') {
+    throw fail(`${label} must be text`);
+  }
+
+  const value = multiline ? input : input.trim();
+  if (required && value.trim().length === 0) {
+    throw fail(`${label} is required`);
+  }
+  if (value.length > max) {
+    throw fail(`${label} must be at most ${max} characters (got ${value.length})`);
+  }
+  // Postgres can't store NUL characters in text columns
+  if (value.includes('\u0000')) {
+    throw fail(`${label} contains an invalid character`);
+  }
+  return value;
+};
+
+module.exports = {
+  TEXT_FIELDS,
+  normalizeText
+};
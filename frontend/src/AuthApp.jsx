@@ -226,7 +226,8 @@ function AuthApp() {
   const toggleItemComplete = async (item) => {
     try {
       const response = await axios.put(`${API_BASE}/items/${item.id}`, {
-        completed: !item.completed
+        completed: !item.completed,
+        version: item.version
       });
       setItems(items.map(i => i.id === item.id ? response.data : i));
     } catch (err) {
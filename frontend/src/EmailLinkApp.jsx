@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import Logo from './components/Logo';
+
+// Pages for the links in our emails: /reset-password?token=... lets the user choose a new
+// password, /verify-email?token=... confirms their address as soon as it opens.
+const API_BASE = '/api';
+
+function EmailLinkApp({ page, token }) {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(page === 'verify-email');
+  const [error, setError] = useState(token ? null : 'This link is incomplete. Open it again from the email.');
+  const [message, setMessage] = useState(null);
+  const verifyStarted = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use - StrictMode's second effect run must not spend it again
+    if (page !== 'verify-email' || !token || verifyStarted.current) return;
+    verifyStarted.current = true;
+
+    axios.post(`${API_BASE}/auth/verify-email`, { token })
+      .then(response => setMessage(response.data.message))
+      .catch(err => setError(err.response?.data?.error || 'Failed to verify email'))
+      .finally(() => setIsLoading(false));
+  }, [page, token]);
+
+  const resetPassword = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('The passwords don\'t match');
+      return;
+    }
+
+    setError(null);
+    setIsLoading(true);
+    try {
+      const response = await axios.post(`${API_BASE}/auth/reset-password`, { token, password });
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-indigo-50 to-purple-100 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-xl shadow-xl w-96 border border-purple-100">
+        <div className="flex justify-center mb-6">
+          <Logo size="lg" />
+        </div>
+        <h1 className="text-center text-lg font-semibold text-gray-800 mb-4">
+          {page === 'reset-password' ? 'Choose a new password' : 'Confirm your email'}
+        </h1>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded mb-4">
+            {message}
+          </div>
+        ) : page === 'verify-email' ? (
+          isLoading && <p className="text-center text-gray-600 mb-4">Confirming...</p>
+        ) : token && (
+          <form onSubmit={resetPassword}>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="New password"
+              autoComplete="new-password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md mb-3 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              required
+            />
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Repeat new password"
+              autoComplete="new-password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md mb-2 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              required
+            />
+            <p className="text-xs text-gray-500 mb-4">
+              At least 8 characters, with an uppercase letter, a lowercase letter and a number.
+            </p>
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full py-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-md hover:from-purple-700 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 font-semibold"
+            >
+              {isLoading ? 'Saving...' : 'Change password'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <a href="/" className="text-sm text-purple-600 hover:text-purple-800">
+            {page === 'reset-password' && !message ? 'Back to login' : 'Go to CollaborList'}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EmailLinkApp;
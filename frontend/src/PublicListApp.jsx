@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { io } from 'socket.io-client';
+import Logo from './components/Logo';
+
+// Page for /shared/<token> links - lets people without an account view (and, for edit
+// links, change) a single list. Live updates come over a socket scoped to the link.
+const API_BASE = '/api';
+const WS_URL = window.location.port === '5173'  // Vite dev server port
+  ? 'http://localhost:3001'
+  : '';
+
+const organizeItems = (items) => {
+  const itemMap = {};
+  const rootItems = [];
+
+  items.forEach(item => {
+    itemMap[item.id] = { ...item, children: [] };
+  });
+  items.forEach(item => {
+    if (item.parent_id && itemMap[item.parent_id]) {
+      itemMap[item.parent_id].children.push(itemMap[item.id]);
+    } else {
+      rootItems.push(itemMap[item.id]);
+    }
+  });
+
+  const sortByPosition = (itemList) => {
+    itemList.sort((a, b) => a.position - b.position);
+    itemList.forEach(item => sortByPosition(item.children));
+  };
+  sortByPosition(rootItems);
+
+  return rootItems;
+};
+
+function PublicListApp({ token }) {
+  const [list, setList] = useState(null);
+  const [items, setItems] = useState([]);
+  const [permission, setPermission] = useState('view');
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [unavailable, setUnavailable] = useState(null);
+  const [error, setError] = useState(null);
+  const [connectionStatus, setConnectionStatus] = useState('disconnected');
+  const [newItemText, setNewItemText] = useState('');
+  const socketRef = useRef(null);
+
+  const fetchList = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/public/lists/${token}`);
+      setList(response.data.list);
+      setItems(response.data.items);
+      setPermission(response.data.permission);
+      setExpiresAt(response.data.expiresAt);
+      return true;
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setUnavailable('This link is invalid, has expired or was revoked.');
+      } else {
+        setError('Failed to load the list');
+      }
+      return false;
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const connect = async () => {
+      if (!(await fetchList()) || cancelled) return;
+
+      const socket = io(WS_URL, { auth: { shareToken: token } });
+      socketRef.current = socket;
+
+      let connectedBefore = false;
+      socket.on('connect', () => {
+        setConnectionStatus('connected');
+        // Events sent while we were disconnected are lost - reload instead of replaying
+        if (connectedBefore) fetchList();
+        connectedBefore = true;
+      });
+      socket.on('disconnect', () => setConnectionStatus('disconnected'));
+      socket.on('connect_error', (err) => {
+        setConnectionStatus('error');
+        if (err.message === 'Share link not found') {
+          setUnavailable('This link is invalid, has expired or was revoked.');
+          socket.disconnect();
+        }
+      });
+
+      socket.on('share-link-revoked', () => {
+        setUnavailable('The owner revoked this link.');
+      });
+      socket.on('share-link-expired', () => {
+        setUnavailable('This link has expired.');
+      });
+      socket.on('list-deleted', () => {
+        setUnavailable('This list was deleted.');
+      });
+
+      socket.on('list-updated', (data) => {
+        setList(prev => ({ ...prev, name: data.name, description: data.description }));
+      });
+      socket.on('item-created', (data) => {
+        setItems(prev => prev.some(item => item.id === data.item.id) ? prev : [...prev, data.item]);
+      });
+      socket.on('item-updated', (data) => {
+        setItems(prev => prev.map(item => (item.id === data.item.id ? data.item : item)));
+      });
+      socket.on('item-deleted', (data) => {
+        const deletedIds = (data.itemIds || [data.itemId]).map(String);
+        setItems(prev => prev.filter(item => !deletedIds.includes(String(item.id))));
+      });
+      socket.on('item-restored', (data) => {
+        const restoredIds = data.items.map(item => item.id);
+        setItems(prev => [...prev.filter(item => !restoredIds.includes(item.id)), ...data.items]);
+      });
+      socket.on('item-tags-updated', (data) => {
+        setItems(prev => prev.map(item =>
+          item.id === data.itemId ? { ...item, tags: data.tags } : item
+        ));
+      });
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      socketRef.current?.disconnect();
+    };
+  }, [token]);
+
+  // A revoked or expired link stops all live updates
+  useEffect(() => {
+    if (unavailable) socketRef.current?.disconnect();
+  }, [unavailable]);
+
+  const handleRequestError = (err, fallback) => {
+    if (err.response?.status === 404 && err.response.data?.error?.includes('link')) {
+      setUnavailable('This link is invalid, has expired or was revoked.');
+    } else {
+      setError(err.response?.data?.error || fallback);
+    }
+  };
+
+  const createItem = async (e) => {
+    e.preventDefault();
+    if (!newItemText.trim()) return;
+
+    try {
+      const response = await axios.post(`${API_BASE}/public/lists/${token}/items`, { text: newItemText });
+      setItems(prev => prev.some(item => item.id === response.data.id) ? prev : [...prev, response.data]);
+      setNewItemText('');
+      setError(null);
+    } catch (err) {
+      handleRequestError(err, 'Failed to add item');
+    }
+  };
+
+  const toggleItem = async (item) => {
+    try {
+      const response = await axios.put(`${API_BASE}/public/lists/${token}/items/${item.id}`, {
+        completed: !item.completed,
+        version: item.version
+      });
+      setItems(prev => prev.map(i => (i.id === item.id ? response.data : i)));
+    } catch (err) {
+      if (err.response?.status === 409) {
+        // Someone changed it first - show their version
+        setItems(prev => prev.map(i => (i.id === item.id ? err.response.data.item : i)));
+      } else {
+        handleRequestError(err, 'Failed to update item');
+      }
+    }
+  };
+
+  const deleteItem = async (itemId) => {
+    try {
+      const response = await axios.delete(`${API_BASE}/public/lists/${token}/items/${itemId}`);
+      const deletedIds = response.data.itemIds.map(String);
+      setItems(prev => prev.filter(item => !deletedIds.includes(String(item.id))));
+    } catch (err) {
+      handleRequestError(err, 'Failed to delete item');
+    }
+  };
+
+  const canEdit = permission === 'edit';
+
+  const renderItem = (item, depth = 0) => (
+    <li key={item.id}>
+      <div
+        className="flex items-center gap-3 p-3 border-b border-gray-100"
+        style={{ paddingLeft: `${depth * 1.5 + 0.75}rem` }}
+      >
+        <input
+          type="checkbox"
+          checked={item.completed}
+          disabled={!canEdit}
+          onChange={() => toggleItem(item)}
+          className="w-5 h-5 text-purple-600 rounded"
+        />
+        <span className={`flex-1 ${item.completed ? 'line-through text-gray-400' : ''}`}>
+          {item.text}
+        </span>
+        {item.tags?.map(tag => (
+          <span
+            key={tag.id}
+            className="text-xs px-2 py-0.5 rounded-full text-white"
+            style={{ backgroundColor: tag.color }}
+          >
+            {tag.name}
+          </span>
+        ))}
+        {canEdit && (
+          <button
+            onClick={() => deleteItem(item.id)}
+            className="text-sm text-red-500 hover:text-red-700"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+      {item.children.length > 0 && (
+        <ul>{item.children.map(child => renderItem(child, depth + 1))}</ul>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-purple-50 to-white">
+      <header className="bg-white shadow-sm border-b border-purple-100">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex justify-between items-center">
+          <Logo size="md" />
+          {!unavailable && list && (
+            <div className="flex items-center gap-2 px-3 py-1 bg-gray-50 rounded-full">
+              <div className={`w-2 h-2 rounded-full animate-pulse ${
+                connectionStatus === 'connected' ? 'bg-green-500' :
+                connectionStatus === 'error' ? 'bg-red-500' : 'bg-gray-400'
+              }`}></div>
+              <span className="text-xs text-gray-600 font-medium">
+                {connectionStatus === 'connected' ? '⚡ Live Sync' :
+                 connectionStatus === 'error' ? 'Connection Error' : 'Connecting...'}
+              </span>
+            </div>
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-8">
+        {unavailable ? (
+          <div className="bg-white rounded-lg shadow p-6 text-center text-gray-600">
+            <p className="mb-4">{unavailable}</p>
+            <a href="/" className="text-purple-600 hover:text-purple-800">Go to CollaborList</a>
+          </div>
+        ) : !list ? (
+          <div className="text-center py-12 text-gray-500">{error || 'Loading...'}</div>
+        ) : (
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="mb-4">
+              <h1 className="text-2xl font-bold text-gray-800">{list.name}</h1>
+              {list.description && <p className="text-gray-600 mt-1">{list.description}</p>}
+              <p className="text-xs text-gray-500 mt-2">
+                {canEdit ? 'You can edit this list' : 'View only'}
+                {expiresAt && ` · Link expires ${new Date(expiresAt).toLocaleString()}`}
+              </p>
+            </div>
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">{error}</div>
+            )}
+
+            {canEdit && (
+              <form onSubmit={createItem} className="flex gap-2 mb-4">
+                <input
+                  type="text"
+                  value={newItemText}
+                  onChange={(e) => setNewItemText(e.target.value)}
+                  placeholder="Add an item..."
+                  maxLength={1000}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-purple-500 text-white rounded-md hover:bg-purple-600"
+                >
+                  Add
+                </button>
+              </form>
+            )}
+
+            {items.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">This list is empty</div>
+            ) : (
+              <ul>{organizeItems(items).map(item => renderItem(item))}</ul>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default PublicListApp;
@@ -1,9 +1,12 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import axios from 'axios';
 import { io } from 'socket.io-client';
+import { QRCodeSVG } from 'qrcode.react';
 import Logo from './components/Logo';
 import PrivacyPolicy from './components/PrivacyPolicy';
 import TermsOfService from './components/TermsOfService';
+import * as notesOt from './notesOt';
+import * as offline from './offline';
 import {
   DndContext,
   closestCenter,
@@ -29,18 +32,297 @@ const WS_URL = window.location.port === '5173'  // Vite dev server port
   ? 'http://localhost:3001'
   : '';
 
-// Set axios default auth header and CSRF token
+// Access token for API requests and the socket. It lasts 15 minutes and is only kept in
+// memory; the httpOnly refresh cookie gets a new one from POST /api/auth/refresh.
+let accessToken = null;
+let refreshRequest = null;
+// Set by the app - called when the session can't be refreshed any more
+let onSessionEnded = () => {};
+
+// Set axios default auth header. A new session starts without a CSRF token.
 const setAuthHeader = (token) => {
+  accessToken = token || null;
   if (token) {
     axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    // Add CSRF token for security (using a simple client-generated token)
-    axios.defaults.headers.common['X-CSRF-Token'] = Math.random().toString(36).substring(2);
   } else {
     delete axios.defaults.headers.common['Authorization'];
-    delete axios.defaults.headers.common['X-CSRF-Token'];
   }
+  setCSRFToken(null);
+};
+
+// Requests that find the access token expired at the same time share one refresh
+const refreshSession = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(`${API_BASE}/auth/refresh`)
+      .then(response => {
+        setAuthHeader(response.data.token);
+        setCSRFToken(response.data.csrf);
+        return response.data;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// CSRF token for the current session, from the login response or GET /api/csrf-token.
+// Every request that changes something sends it in X-CSRF-Token.
+let csrfToken = null;
+let csrfTokenExpiresAt = 0;
+let csrfTokenRequest = null;
+const CSRF_REFRESH_MARGIN = 60 * 1000; // fetch a new one a minute before it expires
+
+const setCSRFToken = (csrf) => {
+  csrfToken = csrf?.token || null;
+  csrfTokenExpiresAt = csrf ? new Date(csrf.expiresAt).getTime() : 0;
+};
+
+// Requests that need a token while one is being fetched share that fetch
+const fetchCSRFToken = () => {
+  if (!csrfTokenRequest) {
+    csrfTokenRequest = axios.get(`${API_BASE}/csrf-token`)
+      .then(response => setCSRFToken(response.data))
+      .finally(() => {
+        csrfTokenRequest = null;
+      });
+  }
+  return csrfTokenRequest;
+};
+
+const isSafeMethod = (method) => ['get', 'head', 'options'].includes((method || 'get').toLowerCase());
+// Requests that run without a session - a 401 from them is an answer, not an expired token
+const isSessionlessRequest = (url = '') => /\/auth\/(login|login\/2fa|register|google|refresh|logout)$/.test(url);
+
+axios.interceptors.request.use(async (config) => {
+  if (!accessToken) return config;
+
+  // Retried requests still carry the headers of their first attempt
+  config.headers['Authorization'] = `Bearer ${accessToken}`;
+  if (!isSafeMethod(config.method) && !isSessionlessRequest(config.url)) {
+    if (!csrfToken || Date.now() > csrfTokenExpiresAt - CSRF_REFRESH_MARGIN) {
+      await fetchCSRFToken();
+    }
+    config.headers['X-CSRF-Token'] = csrfToken;
+  }
+  return config;
+});
+
+axios.interceptors.response.use(null, async (err) => {
+  const { config, response } = err;
+  if (!config) return Promise.reject(err);
+
+  // The access token expired (or we have none yet after a reload) - refresh it and try once more
+  if (response?.status === 401 && !config.authRetried && !isSessionlessRequest(config.url)) {
+    try {
+      await refreshSession();
+    } catch (refreshErr) {
+      if (refreshErr.response?.status === 401) onSessionEnded();
+      return Promise.reject(err);
+    }
+    return axios({ ...config, authRetried: true });
+  }
+
+  // The server forgets CSRF tokens when it restarts - get a new one and try once more
+  if (response?.status === 403 && response.data?.code === 'CSRF_TOKEN_INVALID' && !config.csrfRetried) {
+    setCSRFToken(null);
+    return axios({ ...config, csrfRetried: true });
+  }
+  return Promise.reject(err);
+});
+
+// Two-factor code fields take either a 6-digit code from the app or a recovery code
+const secondFactorPayload = (value) => (
+  /^\d{6}$/.test(value.replace(/\s/g, '')) ? { code: value } : { recoveryCode: value }
+);
+
+// Short description of the browser and OS a session was started from
+const describeDevice = (userAgent = '') => {
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\//.test(userAgent) ? 'Opera'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+  if (!browser && !os) return 'Unknown device';
+  return [browser, os].filter(Boolean).join(' on ');
+};
+
+// Due date helpers - due_date is 'YYYY-MM-DD', due_time is 'HH:MM:SS' or null
+const toLocalDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const getDueStatus = (item, now = new Date()) => {
+  if (!item.due_date || item.completed) return null;
+
+  const today = toLocalDateString(now);
+  if (item.due_date < today) return 'overdue';
+  if (item.due_date > today) return 'upcoming';
+
+  // Due today - a specific time that has passed counts as overdue
+  if (item.due_time && new Date(`${item.due_date}T${item.due_time}`) < now) {
+    return 'overdue';
+  }
+  return 'today';
 };
 
+const formatDue = (item) => {
+  if (!item.due_date) return '';
+  const date = new Date(`${item.due_date}T00:00:00`);
+  const label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return item.due_time ? `${label} ${item.due_time.substring(0, 5)}` : label;
+};
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// List roles from least to most privileged, and the least role each action needs.
+// Mirrors backend/permissions.js, which is what actually enforces them.
+const ROLES = ['viewer', 'commenter', 'editor', 'admin', 'owner'];
+const ACTION_ROLES = { view: 'viewer', comment: 'commenter', edit: 'editor', manage: 'admin', own: 'owner' };
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  editor: 'Editor',
+  commenter: 'Commenter',
+  viewer: 'Viewer'
+};
+
+const canRole = (role, action) => ROLES.indexOf(role) >= ROLES.indexOf(ACTION_ROLES[action]);
+
+// The owner manages everyone, admins the roles below their own
+const canManageRole = (role, targetRole) => {
+  return canRole(role, 'manage') && (role === 'owner' || ROLES.indexOf(role) > ROLES.indexOf(targetRole));
+};
+
+const formatRecurrence = (rule) => {
+  if (!rule) return '';
+  switch (rule.type) {
+    case 'daily':
+      return 'Daily';
+    case 'weekly':
+      return `Weekly on ${rule.weekdays.map(d => WEEKDAY_LABELS[d]).join(', ')}`;
+    case 'monthly':
+      return 'Monthly';
+    case 'interval':
+      return `Every ${rule.days} days`;
+    default:
+      return '';
+  }
+};
+
+// Tag chips use the tag color for text/border over a translucent fill
+// One-line summary of an item history entry, e.g. 'checked off "Milk"'
+const describeHistoryEntry = (entry) => {
+  const name = `"${entry.item_text}"`;
+  const changes = entry.changes || {};
+
+  if (entry.action !== 'updated') {
+    return `${entry.action} ${name}`;
+  }
+
+  const parts = [];
+  if (changes.completed) parts.push(changes.completed.to ? 'checked off' : 'unchecked');
+  if (changes.text) parts.push('renamed');
+  if (changes.parent_id) parts.push('moved');
+  else if (changes.position) parts.push('reordered');
+  if (changes.notes) parts.push('edited the notes of');
+  return `${parts.join(', ') || 'updated'} ${name}`;
+};
+
+// Items created optimistically (or offline) carry a temporary id until the server answers
+const isTempId = (id) => typeof id === 'string' && id.startsWith('temp-');
+
+const describeSyncConflict = ({ mutation, status, orphaned }) => {
+  const name = `"${mutation.itemText ?? mutation.body?.text ?? 'an item'}"`;
+  if (orphaned) return `Your offline change to ${name} was not saved because an item it depends on could not be created`;
+  if (status === 409) return `${name} was changed by someone else while you were offline`;
+  if (status === 404) return `${name} was deleted while you were offline`;
+  if (status === 403) return `You no longer have edit access to the list with ${name}`;
+  return `Your offline change to ${name} could not be saved`;
+};
+
+const tagChipStyle = (tag) => ({
+  color: tag.color,
+  borderColor: tag.color,
+  backgroundColor: `${tag.color}1a`
+});
+
+const itemHasTag = (item, tagName) => (
+  (item.tags || []).some(tag => tag.name.toLowerCase() === tagName.toLowerCase())
+);
+
+const dueBadgeClasses = {
+  overdue: 'bg-red-100 text-red-700',
+  today: 'bg-amber-100 text-amber-700',
+  upcoming: 'bg-gray-100 text-gray-600'
+};
+
+// Caret colors for other people editing the same notes
+const CARET_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899'];
+
+const caretColor = (key) => {
+  let hash = 0;
+  for (const ch of String(key)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return CARET_COLORS[Math.abs(hash) % CARET_COLORS.length];
+};
+
+// Mirrors a notes textarea (same box, padding and wrapping) with transparent text so
+// remote carets and selections line up with the characters underneath
+function NotesCaretOverlay({ text, carets, overlayRef }) {
+  const markers = Object.values(carets)
+    .filter(caret => caret.start !== null)
+    .map(caret => ({
+      ...caret,
+      start: Math.min(caret.start, caret.end, text.length),
+      end: Math.min(Math.max(caret.start, caret.end), text.length)
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const parts = [];
+  let index = 0;
+  markers.forEach(caret => {
+    const color = caretColor(caret.email);
+    const start = Math.max(caret.start, index);
+    parts.push(text.slice(index, start));
+    if (caret.end > start) {
+      parts.push(
+        <span key={`${caret.socketId}-sel`} style={{ backgroundColor: `${color}33` }}>
+          {text.slice(start, caret.end)}
+        </span>
+      );
+    }
+    parts.push(
+      <span
+        key={caret.socketId}
+        className="relative inline-block w-0 align-top"
+        title={caret.email}
+      >
+        <span className="absolute left-0 top-0 w-0.5 h-5" style={{ backgroundColor: color }} />
+      </span>
+    );
+    index = Math.max(caret.end, start);
+  });
+  parts.push(text.slice(index));
+
+  return (
+    <div
+      ref={overlayRef}
+      aria-hidden="true"
+      className="absolute inset-0 px-3 py-2 border border-transparent whitespace-pre-wrap break-words overflow-hidden pointer-events-none text-transparent"
+    >
+      {parts}
+    </div>
+  );
+}
+
 // Sortable Item Component
 function SortableItem({ id, children, canEdit }) {
   const {
@@ -79,12 +361,17 @@ function DroppableItem({ id, children, isOver }) {
 
 function RealtimeApp() {
   // Auth state
-  const [token, setToken] = useState(localStorage.getItem('token'));
   const [user, setUser] = useState(null);
   const [isAuthView, setIsAuthView] = useState(true);
   const [authMode, setAuthMode] = useState('login');
   const [googleEnabled, setGoogleEnabled] = useState(false);
 
+  // Devices signed in to this account
+  const [sessions, setSessions] = useState([]);
+  const [showSessions, setShowSessions] = useState(false);
+  // Two-factor settings dialog: { status, step, password, code, secret, otpauthUri, recoveryCodes, error }
+  const [twoFactorDialog, setTwoFactorDialog] = useState(null);
+
   // App state
   const [lists, setLists] = useState([]);
   const [selectedList, setSelectedList] = useState(null);
@@ -93,7 +380,11 @@ function RealtimeApp() {
   const [newListName, setNewListName] = useState('');
   const [newItemText, setNewItemText] = useState('');
   const [shareEmail, setShareEmail] = useState('');
-  const [sharePermission, setSharePermission] = useState('view');
+  const [sharePermission, setSharePermission] = useState('viewer');
+  const [shareLinks, setShareLinks] = useState([]);
+  const [linkPermission, setLinkPermission] = useState('view');
+  const [linkExpiryDays, setLinkExpiryDays] = useState('');
+  const [copiedLinkId, setCopiedLinkId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
@@ -121,18 +412,98 @@ function RealtimeApp() {
       // ignore storage failures
     }
   };
+  // Lists whose notice about text changed by older versions has been dismissed
+  const [hiddenLegacyNotices, setHiddenLegacyNotices] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('hiddenLegacyNotices')) || [];
+    } catch {
+      return [];
+    }
+  });
+  const hideLegacyNotice = (listId) => {
+    const next = [...hiddenLegacyNotices, listId];
+    setHiddenLegacyNotices(next);
+    try {
+      localStorage.setItem('hiddenLegacyNotices', JSON.stringify(next));
+    } catch {
+      // ignore storage failures
+    }
+  };
 
   // Notes state
   const [expandedNotes, setExpandedNotes] = useState({});
   const [editingNotes, setEditingNotes] = useState({});
   const [savingNotes, setSavingNotes] = useState({});
   const notesDebounceTimeout = useRef({});
+  // Item version each unsaved notes edit is based on, sent so stale saves get a 409
+  const notesBaseVersion = useRef({});
+  const [notesConflict, setNotesConflict] = useState(null); // { itemId, mine, merged, server }
+
+  // Collaborative notes: one OT session per expanded notes panel (see notesOt.js)
+  const noteSessions = useRef({}); // itemId -> session
+  const [noteAccess, setNoteAccess] = useState({}); // itemId -> 'opening' | 'edit' | 'view'
+  const [noteCarets, setNoteCarets] = useState({}); // itemId -> { socketId: { email, start, end } }
+  const notesTextareas = useRef({});
+  const notesOverlays = useRef({});
+  const pendingSelections = useRef({}); // itemId -> { start, end } to restore after a remote edit
+  const lastSentCaret = useRef({});
+  const notesUndoBase = useRef({}); // itemId -> notes before the current burst of typing
+  const notesUndoTimeout = useRef({});
+
+  // Comments state
+  const [expandedComments, setExpandedComments] = useState({});
+  const [comments, setComments] = useState({}); // itemId -> comments, loaded when a thread is opened
+  const [commentDrafts, setCommentDrafts] = useState({});
+  const [editingComment, setEditingComment] = useState(null); // { id, body }
+  const [replyingTo, setReplyingTo] = useState(null); // { itemId, commentId, body }
 
   // Hierarchy state
   const [expandedItems, setExpandedItems] = useState({});
   const [addingSubItemTo, setAddingSubItemTo] = useState(null);
   const [newSubItemText, setNewSubItemText] = useState('');
 
+  // Notification inbox state
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [showNotifications, setShowNotifications] = useState(false);
+
+  // Cross-list overview shown instead of a list: 'due' | 'assigned' | 'tag' | 'trash'
+  const [overview, setOverview] = useState(null);
+  const [toasts, setToasts] = useState([]);
+
+  // Due date state
+  const [dueItems, setDueItems] = useState([]);
+  const [editingDueFor, setEditingDueFor] = useState(null);
+  const [dueDraft, setDueDraft] = useState({ date: '', time: '', repeat: 'none', weekdays: [], days: 2 });
+
+  // Assignment state
+  const [assignedItems, setAssignedItems] = useState([]);
+  const [assigningItemId, setAssigningItemId] = useState(null);
+
+  // Tag state
+  const [tags, setTags] = useState([]);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [taggingItemId, setTaggingItemId] = useState(null);
+  const [newTagName, setNewTagName] = useState('');
+  const [tagView, setTagView] = useState(null); // { name, items } for the cross-list tag view
+
+  // Trash state
+  const [trash, setTrash] = useState({ lists: [], items: [], retentionDays: null });
+
+  // History side panel: { mode: 'item' | 'list', id, title, entries, hasMore }
+  const [historyPanel, setHistoryPanel] = useState(null);
+
+  // Offline mode: changes made without a connection wait in an IndexedDB queue
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const [pendingChanges, setPendingChanges] = useState(0);
+  const [syncConflicts, setSyncConflicts] = useState([]); // [{ id, message, mutation, server }]
+
+  // Live presence for the selected list: [{ socketId, userId, email, itemId, editing }]
+  const [viewers, setViewers] = useState([]);
+
+  // Undo/redo state - the stacks live in refs so the keyboard handler always sees the latest
+  const [undoToast, setUndoToast] = useState(null); // { message, canUndo, canRedo }
+
   // Drag and drop state
   const [activeId, setActiveId] = useState(null);
   const [overId, setOverId] = useState(null);
@@ -140,6 +511,10 @@ function RealtimeApp() {
   // Auth form state
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [authNotice, setAuthNotice] = useState(null);
+  // Set after a correct password when the account has two-factor authentication on
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   // Page navigation state
   const [currentPage, setCurrentPage] = useState('main');
@@ -147,8 +522,20 @@ function RealtimeApp() {
   // Socket ref
   const socketRef = useRef(null);
   const selectedListRef = useRef(null);
+  const userRef = useRef(null); // Current user for socket handlers, which outlive renders
+  const itemsRef = useRef([]);
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const undoToastTimeout = useRef(null);
   const editingNotesRef = useRef({});
   const expandedNotesRef = useRef({});
+  const presenceFocusRef = useRef({ itemId: null, editing: false });
+  const listSeqs = useRef({}); // listId -> last list event sequence number applied
+  const resyncState = useRef({ inFlight: false, again: false });
+  const itemsListRef = useRef(null); // List the items state was loaded for, for the offline cache
+  const listsLoadedRef = useRef(false);
+  const pendingChangesRef = useRef(0);
+  const replayingRef = useRef(false);
   const lastFetchListsTime = useRef(0); // Track last fetchLists() call to prevent rapid requests
 
   useEffect(() => {
@@ -156,14 +543,29 @@ function RealtimeApp() {
     const googleClientId = import.meta.env.VITE_GOOGLE_CLIENT_ID || '';
     setGoogleEnabled(googleClientId && !googleClientId.includes('your-') && googleClientId !== '');
 
-    if (token) {
-      setAuthHeader(token);
-      const savedUser = localStorage.getItem('user');
-      if (savedUser) {
-        setUser(JSON.parse(savedUser));
-        setIsAuthView(false);
-        initializeSocket(token);
-      }
+    // Access tokens used to be kept here - they only live in memory now
+    localStorage.removeItem('token');
+    onSessionEnded = () => logout();
+
+    const savedUser = localStorage.getItem('user');
+    if (savedUser) {
+      setUser(JSON.parse(savedUser));
+      setIsAuthView(false);
+      // Offline, the socket keeps trying and refreshes once it gets through
+      refreshSession()
+        .then(data => {
+          // The saved copy may be out of date, e.g. the email was confirmed since
+          localStorage.setItem('user', JSON.stringify(data.user));
+          setUser(data.user);
+          initializeSocket();
+        })
+        .catch(err => {
+          if (err.response?.status === 401) {
+            logout();
+          } else {
+            initializeSocket();
+          }
+        });
     }
 
     return () => {
@@ -173,36 +575,149 @@ function RealtimeApp() {
     };
   }, []);
 
-  const initializeSocket = (authToken) => {
+  const initializeSocket = () => {
     if (socketRef.current) {
       socketRef.current.disconnect();
     }
 
+    // Read on every (re)connect so reconnects use the latest access token
     socketRef.current = io(WS_URL, {
-      auth: {
-        token: authToken
-      }
+      auth: (cb) => cb({ token: accessToken })
     });
 
     const socket = socketRef.current;
+    listSeqs.current = {};
+    resyncState.current = { inFlight: false, again: false };
+
+    // List room events carry { listId, seq } - they are applied in order and gaps are replayed
+    const onListEvent = (event, handler) => {
+      socket.on(event, (data, meta) => {
+        if (acceptListEvent(meta)) handler(data);
+      });
+    };
 
     socket.on('connect', () => {
       console.log('Connected to server');
       setConnectionStatus('connected');
+      refreshedForSocket = false;
+
+      // Presence is per connection - announce ourselves again after a reconnect
+      const list = selectedListRef.current;
+      if (list) {
+        socket.emit('join-list', list.id);
+        if (presenceFocusRef.current.itemId !== null) {
+          socket.emit('presence-update', { listId: list.id, ...presenceFocusRef.current });
+        }
+      }
+
+      // Catch up on list events sent while we were away, then send our own offline changes
+      resyncLists();
+      replayOfflineChanges();
+
+      // (Re-)open notes panels; sessions catch up on edits made while disconnected
+      Object.keys(expandedNotesRef.current)
+        .filter(itemId => expandedNotesRef.current[itemId])
+        .forEach(itemId => openNoteSession(Number(itemId)));
     });
 
     socket.on('disconnect', () => {
       console.log('Disconnected from server');
       setConnectionStatus('disconnected');
+
+      // Acks for in-flight notes ops are lost - resend them after reconnecting
+      Object.values(noteSessions.current).forEach(session => {
+        if (session.pending) session.pending.sent = false;
+      });
+      setNoteCarets({});
+      setViewers([]);
+    });
+
+    socket.on('presence', (data) => {
+      if (data.listId === selectedListRef.current?.id) {
+        setViewers(data.viewers);
+      }
+    });
+
+    socket.on('notes-op', (data) => {
+      const session = noteSessions.current[data.itemId];
+      if (!session || data.revision <= session.revision) return;
+      if (data.revision !== session.revision + 1) {
+        // Missed an op - catch up from the server
+        openNoteSession(data.itemId);
+        return;
+      }
+
+      const op = notesOt.applyRemoteOp(session, data.op, data.revision);
+      showNoteText(data.itemId, session.text, op);
+      setNoteCarets(prev => {
+        const carets = prev[data.itemId];
+        if (!carets) return prev;
+        const moved = {};
+        Object.entries(carets).forEach(([socketId, caret]) => {
+          moved[socketId] = caret.start === null ? caret : {
+            ...caret,
+            start: notesOt.transformIndex(caret.start, op),
+            end: notesOt.transformIndex(caret.end, op)
+          };
+        });
+        return { ...prev, [data.itemId]: moved };
+      });
+    });
+
+    socket.on('notes-cursor', (data) => {
+      if (!noteSessions.current[data.itemId]) return;
+      setNoteCarets(prev => {
+        const carets = { ...(prev[data.itemId] || {}) };
+        if (data.start === null) {
+          delete carets[data.socketId];
+        } else {
+          carets[data.socketId] = data;
+        }
+        return { ...prev, [data.itemId]: carets };
+      });
     });
 
+    socket.on('notes-closed', (data) => {
+      // Access to the item was revoked, or our role changed and the notes need opening again
+      dropNoteSession(data.itemId);
+      if (data.reopen && expandedNotesRef.current[data.itemId]) {
+        openNoteSession(data.itemId);
+      }
+    });
+
+    // Set when a rejected connection was answered with a refresh, so it's only tried once
+    let refreshedForSocket = false;
+
     socket.on('connect_error', (error) => {
       console.error('Connection error:', error);
       setConnectionStatus('error');
+
+      // Turned away by the server rather than unreachable - the access token expired
+      if (!socket.active && !refreshedForSocket) {
+        refreshedForSocket = true;
+        refreshSession()
+          .then(() => socket.connect())
+          .catch(err => {
+            if (err.response?.status === 401) logout();
+          });
+      }
+    });
+
+    socket.on('email-verified', () => {
+      setUser(prev => {
+        const updated = { ...prev, emailVerified: true };
+        localStorage.setItem('user', JSON.stringify(updated));
+        return updated;
+      });
+    });
+
+    socket.on('session-revoked', () => {
+      logout();
+      setError('You were signed out from another device.');
     });
 
     // Real-time event listeners
-    socket.on('list-created', (data) => {
+    onListEvent('list-created', (data) => {
       // Use WebSocket payload instead of making HTTP call
       if (data && data.id) {
         setLists(prev => {
@@ -219,16 +734,17 @@ function RealtimeApp() {
       }
     });
 
-    socket.on('list-updated', (data) => {
+    onListEvent('list-updated', (data) => {
+      // Merge so fields joined in by GET /api/lists (e.g. owner_email) survive
       setLists(prev => prev.map(list =>
-        list.id === data.id ? data : list
+        list.id === data.id ? { ...list, ...data } : list
       ));
       if (selectedList?.id === data.id) {
         setSelectedList(data);
       }
     });
 
-    socket.on('list-deleted', (data) => {
+    onListEvent('list-deleted', (data) => {
       setLists(prev => prev.filter(list => list.id !== data.id));
       if (selectedList?.id === data.id) {
         setSelectedList(null);
@@ -236,7 +752,7 @@ function RealtimeApp() {
       }
     });
 
-    socket.on('item-created', (data) => {
+    onListEvent('item-created', (data) => {
       if (selectedListRef.current?.id == data.listId) {
         setItems(prev => {
           // Check if item already exists (from optimistic update or HTTP response)
@@ -264,24 +780,28 @@ function RealtimeApp() {
       }
     });
 
-    socket.on('item-updated', (data) => {
+    onListEvent('item-updated', (data) => {
       if (selectedListRef.current?.id == data.listId) {
         setItems(prev => prev.map(item => {
           if (item.id === data.item.id) {
             // Only preserve local notes if user is ACTIVELY TYPING (has pending debounce)
-            const hasPendingNotesUpdate = notesDebounceTimeout.current[item.id] !== undefined;
+            // or edits them in a collaborative session, which keeps them in sync itself
+            const hasPendingNotesUpdate = notesDebounceTimeout.current[item.id] !== undefined ||
+                                          noteSessions.current[item.id] !== undefined;
+            // Merge so client-side fields like comment_count survive
             if (hasPendingNotesUpdate) {
               // Keep local notes, update everything else
-              return { ...data.item, notes: item.notes };
+              return { ...item, ...data.item, notes: item.notes };
             }
-            return data.item;
+            return { ...item, ...data.item };
           }
           return item;
         }));
 
         // Update the editing notes state if not actively typing
         setEditingNotes(prev => {
-          const hasPendingNotesUpdate = notesDebounceTimeout.current[data.item.id] !== undefined;
+          const hasPendingNotesUpdate = notesDebounceTimeout.current[data.item.id] !== undefined ||
+                                        noteSessions.current[data.item.id] !== undefined;
           if (!hasPendingNotesUpdate && expandedNotesRef.current[data.item.id]) {
             // If notes are expanded but user is not typing, sync the notes
             return { ...prev, [data.item.id]: data.item.notes || '' };
@@ -291,46 +811,151 @@ function RealtimeApp() {
       }
     });
 
-    socket.on('item-deleted', (data) => {
+    onListEvent('item-deleted', (data) => {
       if (selectedListRef.current?.id == data.listId) {
+        // The whole subtree goes to the trash together
+        const deletedIds = (data.itemIds || [data.itemId]).map(String);
+
         setItems(prev => {
-          // Remove the item if it exists (handle both string and number IDs)
-          const filtered = prev.filter(item => item.id != data.itemId);
+          // Remove the items if they exist (handle both string and number IDs)
+          const filtered = prev.filter(item => !deletedIds.includes(String(item.id)));
           return filtered.length !== prev.length ? filtered : prev;
         });
 
-        // Clean up notes state for deleted item
-        setEditingNotes(prev => {
-          const newState = { ...prev };
-          delete newState[data.itemId];
-          return newState;
-        });
-        setExpandedNotes(prev => {
-          const newState = { ...prev };
-          delete newState[data.itemId];
-          return newState;
-        });
-        setSavingNotes(prev => {
+        // Clean up notes state for deleted items
+        const withoutDeleted = (prev) => {
           const newState = { ...prev };
-          delete newState[data.itemId];
+          deletedIds.forEach(id => delete newState[id]);
           return newState;
+        };
+        setEditingNotes(withoutDeleted);
+        setExpandedNotes(withoutDeleted);
+        setSavingNotes(withoutDeleted);
+        deletedIds.forEach(id => closeNoteSession(Number(id)));
+      }
+    });
+
+    onListEvent('item-restored', (data) => {
+      if (selectedListRef.current?.id == data.listId) {
+        setItems(prev => {
+          const restoredIds = data.items.map(item => item.id);
+          return [...prev.filter(item => !restoredIds.includes(item.id)), ...data.items]
+            .sort((a, b) => a.position - b.position);
         });
       }
+      setTrash(prev => ({ ...prev, items: prev.items.filter(item => !data.items.some(i => i.id === item.id)) }));
     });
 
-    socket.on('list-shared', (data) => {
-      if (data.userId === user?.id) {
-        // Only refresh lists if someone actually shared a NEW list with us
-        // This prevents unnecessary API calls when permissions are just updated
-        fetchLists();
+    onListEvent('item-history', (data) => {
+      // Keep an open history panel live
+      setHistoryPanel(prev => {
+        if (!prev) return prev;
+        const matches = prev.mode === 'list'
+          ? prev.id == data.listId
+          : prev.id === data.entry.item_id;
+        return matches ? { ...prev, entries: [data.entry, ...prev.entries] } : prev;
+      });
+    });
+
+    onListEvent('list-restored', (data) => {
+      setLists(prev => prev.some(list => list.id === data.id) ? prev : [data, ...prev]);
+      setTrash(prev => ({ ...prev, lists: prev.lists.filter(list => list.id !== data.id) }));
+    });
+
+    onListEvent('reminder-due', (data) => {
+      showToast(`reminder-${data.item.id}`, '⏰ Due now', data.item.text);
+      if (selectedListRef.current?.id == data.listId) {
+        setItems(prev => prev.map(item => item.id === data.item.id ? { ...item, ...data.item } : item));
+      }
+    });
+
+    socket.on('notification', (notification) => {
+      setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+      setUnreadCount(prev => prev + 1);
+    });
+
+    socket.on('item-assigned', (data) => {
+      setAssignedItems(prev => [data.item, ...prev.filter(item => item.id !== data.item.id)]);
+      if (data.assignedBy !== userRef.current?.email) {
+        showToast(`assigned-${data.item.id}`, `👤 Assigned by ${data.assignedBy}`, data.item.text);
+      }
+    });
+
+    onListEvent('comment-created', (data) => {
+      if (selectedListRef.current?.id != data.listId) return;
+      setComments(prev => {
+        const thread = prev[data.itemId];
+        if (!thread || thread.some(c => c.id === data.comment.id)) return prev;
+        return { ...prev, [data.itemId]: [...thread, data.comment] };
+      });
+      setItems(prev => prev.map(item =>
+        item.id === data.itemId ? { ...item, comment_count: (item.comment_count || 0) + 1 } : item
+      ));
+    });
+
+    onListEvent('comment-updated', (data) => {
+      if (selectedListRef.current?.id != data.listId) return;
+      setComments(prev => {
+        const thread = prev[data.itemId];
+        if (!thread) return prev;
+        return { ...prev, [data.itemId]: thread.map(c => c.id === data.comment.id ? data.comment : c) };
+      });
+    });
+
+    onListEvent('comment-deleted', (data) => {
+      if (selectedListRef.current?.id != data.listId) return;
+      // Replies are deleted with the comment they answer
+      const deletedIds = data.commentIds || [data.commentId];
+      setComments(prev => {
+        const thread = prev[data.itemId];
+        if (!thread) return prev;
+        return { ...prev, [data.itemId]: thread.filter(c => !deletedIds.includes(c.id)) };
+      });
+      setItems(prev => prev.map(item =>
+        item.id === data.itemId ? { ...item, comment_count: Math.max(0, (item.comment_count || 0) - deletedIds.length) } : item
+      ));
+    });
+
+    onListEvent('item-tags-updated', (data) => {
+      if (selectedListRef.current?.id == data.listId) {
+        setItems(prev => prev.map(item =>
+          item.id === data.itemId ? { ...item, tags: data.tags } : item
+        ));
+      }
+    });
+
+    onListEvent('tag-created', (data) => {
+      setTags(prev => prev.some(tag => tag.id === data.tag.id) ? prev : [...prev, data.tag]);
+    });
+
+    onListEvent('tag-updated', (data) => {
+      setTags(prev => prev.map(tag => tag.id === data.tag.id ? data.tag : tag));
+      setItems(prev => prev.map(item => ({
+        ...item,
+        tags: (item.tags || []).map(tag => tag.id === data.tag.id ? { ...tag, ...data.tag } : tag)
+      })));
+    });
+
+    onListEvent('tag-deleted', (data) => {
+      setTags(prev => prev.filter(tag => tag.id !== data.tagId));
+      setItems(prev => prev.map(item => ({
+        ...item,
+        tags: (item.tags || []).filter(tag => tag.id !== data.tagId)
+      })));
+    });
+
+    onListEvent('list-shared', (data) => {
+      if (data.userId === userRef.current?.id) {
+        // A new list, or a new role on one we have - either way the lists need refreshing
+        fetchLists(true);
       }
       if (selectedList?.id === data.listId) {
         fetchShares(data.listId);
       }
     });
 
-    socket.on('share-removed', (data) => {
-      if (data.userId === user?.id) {
+    onListEvent('share-removed', (data) => {
+      if (data.userId === userRef.current?.id) {
         // List was unshared from us
         setLists(prev => prev.filter(list => list.id !== data.listId));
         if (selectedList?.id === data.listId) {
@@ -342,23 +967,112 @@ function RealtimeApp() {
         fetchShares(data.listId);
       }
     });
+
+    onListEvent('list-ownership-transferred', (data) => {
+      const me = userRef.current?.id;
+      // Sent to the list room and the new owner's own room - applying it twice is harmless
+      setLists(prev => prev.map(list => {
+        if (list.id !== data.listId) return list;
+        const role = data.newOwnerId === me ? 'owner' : data.previousOwnerId === me ? 'editor' : list.role;
+        return { ...list, user_id: data.newOwnerId, owner_email: data.newOwnerEmail, role };
+      }));
+      if (selectedListRef.current?.id === data.listId) {
+        setSelectedList(prev => ({ ...prev, user_id: data.newOwnerId, owner_email: data.newOwnerEmail }));
+        fetchShares(data.listId);
+      }
+      if (data.newOwnerId === me) {
+        showToast(`transfer-${data.listId}`, '👑 You are now the owner', data.listName);
+      }
+    });
   };
 
   useEffect(() => {
     if (user && !isAuthView) {
       fetchLists();
+      fetchTags();
+      fetchNotifications();
+
+      // Changes queued offline in an earlier session
+      offline.getMutations()
+        .then(mutations => {
+          pendingChangesRef.current = mutations.length;
+          setPendingChanges(mutations.length);
+          replayOfflineChanges();
+        })
+        .catch(err => console.error('Failed to read offline changes:', err));
     }
   }, [user, isAuthView]);
 
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOffline(false);
+      replayOfflineChanges();
+    };
+    const handleOffline = () => setIsOffline(true);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) for item operations. Text fields keep their native undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   useEffect(() => {
     // Update the ref whenever selectedList changes
     selectedListRef.current = selectedList;
 
+    // Notes sessions belong to the previous list's items
+    Object.keys(noteSessions.current).forEach(itemId => closeNoteSession(Number(itemId)));
+    setExpandedNotes({});
+
+    // Undo history is per list - it is checked against the items currently loaded
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    setUndoToast(null);
+    setHistoryPanel(null);
+    setViewers([]);
+    presenceFocusRef.current = { itemId: null, editing: false };
+
     if (selectedList && socketRef.current) {
       // Join the room for this list
       socketRef.current.emit('join-list', selectedList.id);
       fetchItems(selectedList.id);
       fetchShares(selectedList.id);
+      if (canRole(getListRole(selectedList), 'manage')) {
+        fetchShareLinks(selectedList.id);
+      } else {
+        setShareLinks([]);
+      }
 
       return () => {
         // Leave the room when switching lists
@@ -367,6 +1081,21 @@ function RealtimeApp() {
     }
   }, [selectedList]);
 
+  // Keep the offline cache current, including changes pushed by other users.
+  // Declared after the selectedList effect so a deselected list's items aren't saved as empty.
+  useEffect(() => {
+    if (listsLoadedRef.current) {
+      offline.saveLists(lists).catch(err => console.error('Failed to cache lists:', err));
+    }
+  }, [lists]);
+
+  useEffect(() => {
+    const listId = itemsListRef.current;
+    if (listId && selectedListRef.current?.id === listId) {
+      offline.saveItems(listId, items).catch(err => console.error('Failed to cache items:', err));
+    }
+  }, [items]);
+
   useEffect(() => {
     editingNotesRef.current = editingNotes;
   }, [editingNotes]);
@@ -375,6 +1104,14 @@ function RealtimeApp() {
     expandedNotesRef.current = expandedNotes;
   }, [expandedNotes]);
 
+  // Put the local caret back where it belongs after a remote edit re-rendered the notes
+  useLayoutEffect(() => {
+    Object.entries(pendingSelections.current).forEach(([itemId, selection]) => {
+      notesTextareas.current[itemId]?.setSelectionRange(selection.start, selection.end);
+    });
+    pendingSelections.current = {};
+  }, [editingNotes]);
+
   // Auth functions
   const handleAuth = async (e) => {
     e.preventDefault();
@@ -388,16 +1125,13 @@ function RealtimeApp() {
         password
       });
 
-      const { token, user } = response.data;
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setAuthHeader(token);
-      setToken(token);
-      setUser(user);
-      setIsAuthView(false);
-      setEmail('');
-      setPassword('');
-      initializeSocket(token);
+      if (response.data.twoFactorRequired) {
+        setTwoFactorChallenge(response.data.challengeToken);
+        setTwoFactorCode('');
+        setPassword('');
+        return;
+      }
+      completeLogin(response.data);
     } catch (err) {
       if (err.response?.data?.error) {
         setError(err.response.data.error);
@@ -409,6 +1143,73 @@ function RealtimeApp() {
     }
   };
 
+  const completeLogin = ({ token, user, csrf }) => {
+    localStorage.setItem('user', JSON.stringify(user));
+    setAuthHeader(token);
+    setCSRFToken(csrf);
+    setUser(user);
+    setIsAuthView(false);
+    setEmail('');
+    setPassword('');
+    setTwoFactorChallenge(null);
+    setTwoFactorCode('');
+    initializeSocket();
+  };
+
+  const handleTwoFactorLogin = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsLoading(true);
+
+    try {
+      const response = await axios.post(`${API_BASE}/auth/login/2fa`, {
+        challengeToken: twoFactorChallenge,
+        ...secondFactorPayload(twoFactorCode)
+      });
+      completeLogin(response.data);
+    } catch (err) {
+      // Took too long - the password has to be entered again
+      if (err.response?.data?.code === 'CHALLENGE_EXPIRED') {
+        setTwoFactorChallenge(null);
+      }
+      setTwoFactorCode('');
+      setError(err.response?.data?.error || 'Failed to login');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsLoading(true);
+
+    try {
+      const response = await axios.post(`${API_BASE}/auth/forgot-password`, { email });
+      setAuthNotice(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send reset email');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const switchAuthMode = (mode) => {
+    setAuthMode(mode);
+    setAuthNotice(null);
+    setError(null);
+    setTwoFactorChallenge(null);
+  };
+
+  const resendVerificationEmail = async () => {
+    try {
+      const response = await axios.post(`${API_BASE}/auth/verify-email/resend`);
+      showToast('verification-sent', '✉️ Email sent', response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send verification email');
+    }
+  };
+
   const handleGoogleLogin = async () => {
     // Check if Google Sign-In is available
     if (!window.google?.accounts?.id) {
@@ -436,16 +1237,12 @@ function RealtimeApp() {
             credential: response.credential
           });
 
-          const { token, user } = res.data;
-          localStorage.setItem('token', token);
-          localStorage.setItem('user', JSON.stringify(user));
-          setAuthHeader(token);
-          setToken(token);
-          setUser(user);
-          setIsAuthView(false);
-          setEmail('');
-          setPassword('');
-          initializeSocket(token);
+          if (res.data.twoFactorRequired) {
+            setTwoFactorChallenge(res.data.challengeToken);
+            setTwoFactorCode('');
+            return;
+          }
+          completeLogin(res.data);
         } catch (err) {
           if (err.response?.data?.error) {
             setError(err.response.data.error);
@@ -466,17 +1263,39 @@ function RealtimeApp() {
     if (socketRef.current) {
       socketRef.current.disconnect();
     }
-    localStorage.removeItem('token');
+    // Ends the session on the server and clears the refresh cookie
+    axios.post(`${API_BASE}/auth/logout`).catch(err => console.error('Failed to end session:', err));
     localStorage.removeItem('user');
     setAuthHeader(null);
-    setToken(null);
     setUser(null);
+    setSessions([]);
+    setShowSessions(false);
+    setTwoFactorDialog(null);
     setIsAuthView(true);
     setLists([]);
     setSelectedList(null);
     setItems([]);
     setShares([]);
+    setDueItems([]);
+    setAssignedItems([]);
+    setNotifications([]);
+    setUnreadCount(0);
+    setShowNotifications(false);
+    setOverview(null);
+    setToasts([]);
+    setTags([]);
+    setTagFilter(null);
+    setTagView(null);
     setConnectionStatus('disconnected');
+    listSeqs.current = {};
+
+    // Don't leave this account's data (or unsent changes) on the device
+    listsLoadedRef.current = false;
+    itemsListRef.current = null;
+    pendingChangesRef.current = 0;
+    setPendingChanges(0);
+    setSyncConflicts([]);
+    offline.clearOfflineData().catch(err => console.error('Failed to clear offline data:', err));
   };
 
   // List functions
@@ -495,7 +1314,27 @@ function RealtimeApp() {
     try {
       const response = await axios.get(`${API_BASE}/lists`);
       setLists(response.data);
+      listsLoadedRef.current = true;
+
+      // Starting points for missed-event replay. The selected list gets its own from
+      // fetchItems, since the lists snapshot doesn't cover item events.
+      response.data.forEach(list => {
+        if (listSeqs.current[list.id] === undefined && list.id !== selectedListRef.current?.id) {
+          listSeqs.current[list.id] = Number(list.event_seq);
+        }
+      });
     } catch (err) {
+      if (offline.isNetworkError(err)) {
+        // No connection - fall back to the lists saved on this device
+        setIsOffline(true);
+        const cached = await offline.getLists().catch(() => []);
+        if (cached.length > 0) {
+          setLists(cached);
+          listsLoadedRef.current = true;
+          return;
+        }
+      }
+
       // Better error handling for rate limiting
       if (err.response?.status === 429) {
         const retryAfter = err.response.data?.retryAfter || 15;
@@ -511,35 +1350,673 @@ function RealtimeApp() {
   };
 
   const fetchItems = async (listId) => {
-    setIsLoading(true);
-    try {
-      const response = await axios.get(`${API_BASE}/lists/${listId}/items`);
-      setItems(response.data);
+    const showItems = (data) => {
+      setItems(data);
+      itemsListRef.current = listId;
       // Clear state when loading new items
       setEditingNotes({});
       setExpandedNotes({});
       setExpandedItems({});
       setAddingSubItemTo(null);
       setNewSubItemText('');
+      setTagFilter(null);
+      setTaggingItemId(null);
+      setAssigningItemId(null);
+      setExpandedComments({});
+      setComments({});
+      setCommentDrafts({});
+      setEditingComment(null);
+      setReplyingTo(null);
+    };
+
+    setIsLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE}/lists/${listId}/items`);
+      showItems(response.data);
+      trackListSeq(listId, response.headers['x-list-seq']);
+    } catch (err) {
+      if (offline.isNetworkError(err)) {
+        // No connection - show what was saved on this device
+        setIsOffline(true);
+        const cached = await offline.getItems(listId).catch(() => null);
+        if (cached) {
+          showItems(cached);
+          return;
+        }
+      }
+
+      if (err.response?.status === 429) {
+        const retryAfter = err.response.data?.retryAfter || 15;
+        setError(`Too many requests. Please wait ${retryAfter} minute(s). Try logging out and back in to reset.`);
+      } else {
+        setError('Failed to fetch items');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Reload a list's items without resetting the UI, e.g. after missing too many events
+  const refreshItems = async (listId) => {
+    try {
+      const response = await axios.get(`${API_BASE}/lists/${listId}/items`);
+      trackListSeq(listId, response.headers['x-list-seq']);
+      if (selectedListRef.current?.id === listId) {
+        setItems(response.data);
+        itemsListRef.current = listId;
+      }
+    } catch (err) {
+      console.error('Failed to refresh items:', err);
+    }
+  };
+
+  // The items snapshot reflects every event up to seq
+  const trackListSeq = (listId, seq) => {
+    const value = Number(seq);
+    if (Number.isFinite(value) && !(listSeqs.current[listId] >= value)) {
+      listSeqs.current[listId] = value;
+    }
+  };
+
+  // Apply list events strictly in sequence order. Returns false for events already applied,
+  // and for events after a gap - those come back through the replay.
+  const acceptListEvent = (meta) => {
+    if (!meta?.seq) return true;
+
+    const last = listSeqs.current[meta.listId];
+    if (last === undefined || meta.seq === last + 1) {
+      listSeqs.current[meta.listId] = meta.seq;
+      return true;
+    }
+    if (meta.seq > last + 1) {
+      resyncLists();
+    }
+    return false;
+  };
+
+  // Ask the server for everything after the last seen sequence number of each list
+  const resyncLists = () => {
+    const socket = socketRef.current;
+    if (!socket?.connected || Object.keys(listSeqs.current).length === 0) return;
+
+    if (resyncState.current.inFlight) {
+      // Events that arrive while waiting may be past the server's answer
+      resyncState.current.again = true;
+      return;
+    }
+    resyncState.current = { inFlight: true, again: false };
+
+    socket.emit('resync', { ...listSeqs.current }, (response) => {
+      if (socket !== socketRef.current) return;
+      const { again } = resyncState.current;
+      resyncState.current = { inFlight: false, again: false };
+
+      if (response?.error) {
+        // Fall back to full snapshots
+        fetchLists(true);
+        if (selectedListRef.current) refreshItems(selectedListRef.current.id);
+      } else {
+        applyResync(socket, response.lists);
+      }
+
+      if (again) resyncLists();
+    });
+  };
+
+  const applyResync = (socket, entries) => {
+    let listsChanged = false;
+
+    entries.forEach(entry => {
+      if (entry.removed) {
+        delete listSeqs.current[entry.listId];
+        setLists(prev => prev.filter(list => list.id !== entry.listId));
+        if (selectedListRef.current?.id === entry.listId) {
+          setSelectedList(null);
+          setItems([]);
+        }
+      } else if (entry.snapshot) {
+        listSeqs.current[entry.listId] = entry.seq;
+        listsChanged = true;
+        if (selectedListRef.current?.id === entry.listId) {
+          refreshItems(entry.listId);
+        }
+      } else {
+        // Replay through the normal handlers, which skip anything already applied
+        entry.events.forEach(({ seq, event, data }) => {
+          socket.listeners(event).forEach(listener => listener(data, { listId: entry.listId, seq }));
+        });
+      }
+    });
+
+    if (listsChanged) {
+      fetchLists(true);
+    }
+  };
+
+  // Item changes made while offline go to the queue. Once anything is queued, later
+  // changes queue behind it so they replay in order.
+  const shouldQueueOffline = (...itemIds) => {
+    return !navigator.onLine || pendingChangesRef.current > 0 || itemIds.some(isTempId);
+  };
+
+  const queueOfflineChange = async (mutation) => {
+    setIsOffline(!navigator.onLine || !socketRef.current?.connected);
+    try {
+      await offline.queueMutation(mutation);
+      pendingChangesRef.current += 1;
+      setPendingChanges(pendingChangesRef.current);
+    } catch (err) {
+      console.error('Failed to queue offline change:', err);
+      setError('Could not save your change on this device');
+    }
+  };
+
+  // Send queued offline changes. Rejected ones are shown as conflicts, and everything is
+  // refetched afterwards to pick up what others did in the meantime.
+  const replayOfflineChanges = async () => {
+    if (replayingRef.current || pendingChangesRef.current === 0 || !navigator.onLine) return;
+    replayingRef.current = true;
+
+    const conflicts = [];
+    let finished = false;
+    let remaining = pendingChangesRef.current;
+    try {
+      finished = await offline.replayMutations(axios, API_BASE, (conflict) => conflicts.push(conflict));
+      remaining = (await offline.getMutations()).length;
+    } catch (err) {
+      console.error('Failed to replay offline changes:', err);
+    } finally {
+      replayingRef.current = false;
+    }
+
+    pendingChangesRef.current = remaining;
+    setPendingChanges(remaining);
+    if (conflicts.length > 0) {
+      setSyncConflicts(prev => [
+        ...prev,
+        ...conflicts.map(conflict => ({ ...conflict, id: `${conflict.mutation.id}`, message: describeSyncConflict(conflict) }))
+      ]);
+    }
+
+    if (finished) {
+      setIsOffline(false);
+      fetchLists(true);
+      if (selectedListRef.current) refreshItems(selectedListRef.current.id);
+      // Changes queued while we were replaying
+      if (remaining > 0) replayOfflineChanges();
+    }
+  };
+
+  // "Keep mine" for a conflicting offline change: apply it over the other person's edit
+  const keepMyChange = async (conflict) => {
+    try {
+      const response = await axios.put(`${API_BASE}/items/${conflict.server.id}`, {
+        ...conflict.mutation.body,
+        version: conflict.server.version
+      });
+      setItems(prev => prev.map(i => i.id === response.data.id ? { ...i, ...response.data } : i));
+      setSyncConflicts(prev => prev.filter(c => c.id !== conflict.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update item');
+    }
+  };
+
+  const dismissConflict = (conflictId) => {
+    setSyncConflicts(prev => prev.filter(c => c.id !== conflictId));
+  };
+
+  const fetchShares = async (listId) => {
+    try {
+      const response = await axios.get(`${API_BASE}/lists/${listId}/shares`);
+      setShares(response.data);
+    } catch (err) {
+      // Silently fail - user might not have permission to see shares
+      setShares([]);
+    }
+  };
+
+  const fetchShareLinks = async (listId) => {
+    try {
+      const response = await axios.get(`${API_BASE}/lists/${listId}/links`);
+      setShareLinks(response.data);
+    } catch (err) {
+      setShareLinks([]);
+    }
+  };
+
+  const fetchDueItems = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/me/due`);
+      setDueItems(response.data);
+    } catch (err) {
+      setError('Failed to fetch due items');
+    }
+  };
+
+  const openDueView = () => {
+    setOverview('due');
+    fetchDueItems();
+  };
+
+  const fetchAssignedItems = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/me/assigned`);
+      setAssignedItems(response.data);
+    } catch (err) {
+      setError('Failed to fetch assigned items');
+    }
+  };
+
+  const openAssignedView = () => {
+    setOverview('assigned');
+    fetchAssignedItems();
+  };
+
+  const fetchTrash = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/trash`);
+      setTrash(response.data);
+    } catch (err) {
+      setError('Failed to fetch trash');
+    }
+  };
+
+  const openTrashView = () => {
+    setOverview('trash');
+    fetchTrash();
+  };
+
+  const restoreList = async (listId) => {
+    try {
+      await axios.post(`${API_BASE}/lists/${listId}/restore`);
+      // The list comes back via the 'list-restored' WebSocket event
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore list');
+    }
+  };
+
+  const restoreItem = async (itemId) => {
+    try {
+      await axios.post(`${API_BASE}/items/${itemId}/restore`);
+      // Items come back via the 'item-restored' WebSocket event
+    } catch (err) {
+      if (err.response?.status === 403) {
+        setError("You don't have permission to edit this list");
+      } else {
+        setError(err.response?.data?.error || 'Failed to restore item');
+      }
+    }
+  };
+
+  const ACTIVITY_PAGE_SIZE = 50;
+
+  const openItemHistory = async (item) => {
+    setHistoryPanel({ mode: 'item', id: item.id, title: item.text, entries: [], hasMore: false });
+    try {
+      const response = await axios.get(`${API_BASE}/items/${item.id}/history`);
+      setHistoryPanel(prev => prev?.mode === 'item' && prev.id === item.id
+        ? { ...prev, entries: response.data }
+        : prev);
+    } catch (err) {
+      setError('Failed to fetch item history');
+    }
+  };
+
+  // Load the list activity feed, or the next older page when before is given
+  const fetchListActivity = async (listId, before = null) => {
+    try {
+      const response = await axios.get(`${API_BASE}/lists/${listId}/activity`, {
+        params: { limit: ACTIVITY_PAGE_SIZE, ...(before ? { before } : {}) }
+      });
+      setHistoryPanel(prev => prev?.mode === 'list' && prev.id === listId
+        ? {
+            ...prev,
+            entries: before ? [...prev.entries, ...response.data] : response.data,
+            hasMore: response.data.length === ACTIVITY_PAGE_SIZE
+          }
+        : prev);
+    } catch (err) {
+      setError('Failed to fetch list activity');
+    }
+  };
+
+  const openListActivity = () => {
+    if (!selectedList) return;
+    setHistoryPanel({ mode: 'list', id: selectedList.id, title: selectedList.name, entries: [], hasMore: false });
+    fetchListActivity(selectedList.id);
+  };
+
+  // Open a list from one of the cross-list views (due dates, assigned, tags)
+  const openListFromOverview = (listId) => {
+    const list = lists.find(l => l.id === listId);
+    if (list) {
+      setSelectedList(list);
+    }
+    setOverview(null);
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/notifications`);
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      // Non-critical - the bell just stays empty
+      console.error('Failed to fetch notifications:', err);
+    }
+  };
+
+  const openNotification = async (notification) => {
+    setShowNotifications(false);
+    if (notification.list_id) {
+      openListFromOverview(notification.list_id);
+    }
+    if (notification.read_at) return;
+
+    setNotifications(prev => prev.map(n =>
+      n.id === notification.id ? { ...n, read_at: new Date().toISOString() } : n
+    ));
+    setUnreadCount(prev => Math.max(0, prev - 1));
+    try {
+      await axios.patch(`${API_BASE}/notifications/${notification.id}`, { read: true });
+    } catch (err) {
+      fetchNotifications();
+    }
+  };
+
+  const markAllNotificationsRead = async () => {
+    try {
+      await axios.patch(`${API_BASE}/notifications`, { read: true });
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(n => n.read_at ? n : { ...n, read_at: now }));
+      setUnreadCount(0);
+    } catch (err) {
+      setError('Failed to update notifications');
+    }
+  };
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/auth/sessions`);
+      setSessions(response.data);
+    } catch (err) {
+      setError('Failed to fetch sessions');
+    }
+  };
+
+  const toggleSessions = () => {
+    if (!showSessions) fetchSessions();
+    setShowSessions(prev => !prev);
+  };
+
+  const revokeSession = async (session) => {
+    // Signing out this device is a normal logout
+    if (session.current) {
+      logout();
+      return;
+    }
+    try {
+      await axios.delete(`${API_BASE}/auth/sessions/${session.id}`);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign out device');
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    if (!window.confirm('Sign out on all other devices?')) return;
+    try {
+      await axios.delete(`${API_BASE}/auth/sessions`);
+      setSessions(prev => prev.filter(s => s.current));
+    } catch (err) {
+      setError('Failed to sign out other devices');
+    }
+  };
+
+  const openTwoFactorDialog = async () => {
+    setShowSessions(false);
+    try {
+      const response = await axios.get(`${API_BASE}/auth/2fa`);
+      setTwoFactorDialog({ status: response.data, step: 'overview', password: '', code: '', error: null });
+    } catch (err) {
+      setError('Failed to fetch two-factor settings');
+    }
+  };
+
+  const updateTwoFactorDialog = (changes) => {
+    setTwoFactorDialog(prev => prev && { ...prev, ...changes });
+  };
+
+  // Moves to another step of the dialog with the inputs cleared
+  const showTwoFactorStep = (step, changes = {}) => {
+    updateTwoFactorDialog({ step, password: '', code: '', error: null, ...changes });
+  };
+
+  const submitTwoFactorDialog = async (e) => {
+    e.preventDefault();
+    const { step, password, code, status } = twoFactorDialog;
+
+    try {
+      if (step === 'setup') {
+        const response = await axios.post(`${API_BASE}/auth/2fa/setup`, { password });
+        showTwoFactorStep('scan', { secret: response.data.secret, otpauthUri: response.data.otpauthUri });
+      } else if (step === 'scan') {
+        const response = await axios.post(`${API_BASE}/auth/2fa/enable`, { code });
+        showTwoFactorStep('codes', {
+          recoveryCodes: response.data.recoveryCodes,
+          status: { ...status, enabled: true, recoveryCodesLeft: response.data.recoveryCodes.length }
+        });
+      } else if (step === 'regenerate') {
+        const response = await axios.post(`${API_BASE}/auth/2fa/recovery-codes`, { password });
+        showTwoFactorStep('codes', {
+          recoveryCodes: response.data.recoveryCodes,
+          status: { ...status, recoveryCodesLeft: response.data.recoveryCodes.length }
+        });
+      } else if (step === 'disable') {
+        await axios.post(`${API_BASE}/auth/2fa/disable`, { password, ...secondFactorPayload(code) });
+        showTwoFactorStep('overview', { status: { ...status, enabled: false, recoveryCodesLeft: 0 } });
+        showToast('2fa-disabled', '🔓 Two-factor authentication off', 'Logging in now only needs your password.');
+      }
+    } catch (err) {
+      updateTwoFactorDialog({ error: err.response?.data?.error || 'Something went wrong. Please try again.' });
+    }
+  };
+
+  const showToast = (id, title, text) => {
+    setToasts(prev => prev.some(t => t.id === id) ? prev : [...prev, { id, title, text }]);
+  };
+
+  const dismissToast = (id) => {
+    setToasts(prev => prev.filter(t => t.id !== id));
+  };
+
+  // Undo/redo for item operations.
+  // Field changes are recorded as { type: 'update', itemId, before, after } and deletes as
+  // { type: 'delete', itemId }. Before reverting a field change the item must still hold the
+  // 'after' values; if a collaborator changed it in the meantime the action is dropped
+  // instead of overwriting their work.
+  const MAX_UNDO_STEPS = 50;
+  const NOTES_UNDO_MERGE_MS = 5000; // Debounced notes saves within this window undo as one step
+
+  const showUndoToast = (message) => {
+    clearTimeout(undoToastTimeout.current);
+    setUndoToast({
+      message,
+      canUndo: undoStackRef.current.length > 0,
+      canRedo: redoStackRef.current.length > 0
+    });
+    undoToastTimeout.current = setTimeout(() => setUndoToast(null), 6000);
+  };
+
+  const recordUndo = (action) => {
+    const stack = undoStackRef.current;
+    const last = stack[stack.length - 1];
+
+    // Merge consecutive notes saves for the same item, keeping the original 'before'
+    if (action.mergeKey && last?.mergeKey === action.mergeKey &&
+        redoStackRef.current.length === 0 &&
+        Date.now() - last.at < NOTES_UNDO_MERGE_MS) {
+      undoStackRef.current = [...stack.slice(0, -1), { ...action, before: last.before }];
+    } else {
+      undoStackRef.current = [...stack, action].slice(-MAX_UNDO_STEPS);
+    }
+    redoStackRef.current = [];
+    showUndoToast(action.label);
+  };
+
+  const applyHistoryAction = async (action, direction) => {
+    if (action.type === 'delete') {
+      if (direction === 'undo') {
+        // Restored items come back via the 'item-restored' WebSocket event
+        await axios.post(`${API_BASE}/items/${action.itemId}/restore`);
+      } else {
+        await axios.delete(`${API_BASE}/items/${action.itemId}`);
+      }
+      return true;
+    }
+
+    const expected = direction === 'undo' ? action.after : action.before;
+    const target = direction === 'undo' ? action.before : action.after;
+    const item = itemsRef.current.find(i => i.id === action.itemId);
+    const session = noteSessions.current[action.itemId];
+    // Notes being edited collaboratively are newer in the session than in items
+    const current = item && session ? { ...item, notes: session.text } : item;
+    const changedElsewhere = !current || Object.keys(expected).some(field =>
+      (current[field] ?? null) !== (expected[field] ?? null)
+    );
+    if (changedElsewhere) {
+      return false;
+    }
+
+    const response = await axios.put(`${API_BASE}/items/${action.itemId}`, { ...target, version: item.version });
+    setItems(prev => prev.map(i => i.id === action.itemId ? { ...i, ...response.data } : i));
+    // An open notes session receives the change as a remote op instead
+    if ('notes' in target && !noteSessions.current[action.itemId]) {
+      setEditingNotes(prev => prev[action.itemId] !== undefined
+        ? { ...prev, [action.itemId]: response.data.notes || '' }
+        : prev);
+    }
+    return true;
+  };
+
+  const stepHistory = async (direction) => {
+    const fromStack = direction === 'undo' ? undoStackRef : redoStackRef;
+    const toStack = direction === 'undo' ? redoStackRef : undoStackRef;
+    const action = fromStack.current[fromStack.current.length - 1];
+    if (!action) return;
+
+    fromStack.current = fromStack.current.slice(0, -1);
+
+    try {
+      const applied = await applyHistoryAction(action, direction);
+      if (!applied) {
+        showUndoToast(`Can't ${direction}: "${action.itemText}" was changed by someone else`);
+        return;
+      }
+      toStack.current = [...toStack.current, action];
+      showUndoToast(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${action.label}`);
+    } catch (err) {
+      if (showServerCopy(err)) {
+        showUndoToast(`Can't ${direction}: "${action.itemText}" was changed by someone else`);
+      } else if (err.response?.status === 403) {
+        setError("You don't have permission to edit this list");
+      } else if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError(`Failed to ${direction}`);
+      }
+    }
+  };
+
+  const undo = () => stepHistory('undo');
+  const redo = () => stepHistory('redo');
+
+  const fetchTags = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/tags`);
+      setTags(response.data);
+    } catch (err) {
+      setError('Failed to fetch tags');
+    }
+  };
+
+  const openTagView = async (tagName) => {
+    try {
+      const response = await axios.get(`${API_BASE}/tags/${encodeURIComponent(tagName)}/items`);
+      setTagView({ name: tagName, items: response.data });
+      setOverview('tag');
+    } catch (err) {
+      setError('Failed to fetch tagged items');
+    }
+  };
+
+  // Attach by tagId, or by name (the server reuses or creates a tag for this list)
+  const addTagToItem = async (itemId, tagRef) => {
+    try {
+      const response = await axios.post(`${API_BASE}/items/${itemId}/tags`, tagRef);
+      setItems(prev => prev.map(i => i.id === itemId ? { ...i, tags: response.data.tags } : i));
+      setNewTagName('');
+      if (tagRef.name) {
+        fetchTags();
+      }
+    } catch (err) {
+      if (err.response?.status === 403) {
+        setError("You don't have permission to edit this list");
+      } else if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to add tag');
+      }
+    }
+  };
+
+  const removeTagFromItem = async (itemId, tagId) => {
+    try {
+      const response = await axios.delete(`${API_BASE}/items/${itemId}/tags/${tagId}`);
+      setItems(prev => prev.map(i => i.id === itemId ? { ...i, tags: response.data.tags } : i));
     } catch (err) {
-      if (err.response?.status === 429) {
-        const retryAfter = err.response.data?.retryAfter || 15;
-        setError(`Too many requests. Please wait ${retryAfter} minute(s). Try logging out and back in to reset.`);
+      if (err.response?.status === 403) {
+        setError("You don't have permission to edit this list");
       } else {
-        setError('Failed to fetch items');
+        setError('Failed to remove tag');
       }
-    } finally {
-      setIsLoading(false);
     }
   };
 
-  const fetchShares = async (listId) => {
+  // Collaborators who can be assigned items: the list owner plus everyone it is shared with
+  const getAssignableUsers = () => {
+    if (!selectedList) return [];
+    const owner = {
+      user_id: selectedList.user_id,
+      email: selectedList.owner_email || (selectedList.user_id === user?.id ? user.email : 'List owner')
+    };
+    return [owner, ...shares.filter(share => !share.pending && share.user_id !== owner.user_id)];
+  };
+
+  const getAssigneeLabel = (assigneeId) => {
+    if (assigneeId === user?.id) return 'Me';
+    const match = getAssignableUsers().find(u => u.user_id === assigneeId);
+    return match ? match.email.split('@')[0] : 'Unknown';
+  };
+
+  const assignItem = async (itemId, assigneeId) => {
     try {
-      const response = await axios.get(`${API_BASE}/lists/${listId}/shares`);
-      setShares(response.data);
+      const response = await axios.put(`${API_BASE}/items/${itemId}`, {
+        assignee_id: assigneeId,
+        version: itemsRef.current.find(i => i.id === itemId)?.version
+      });
+      setItems(prev => prev.map(i => i.id === itemId ? { ...i, ...response.data } : i));
+      setAssigningItemId(null);
     } catch (err) {
-      // Silently fail - user might not have permission to see shares
-      setShares([]);
+      if (showServerCopy(err)) {
+        setAssigningItemId(null);
+      } else if (err.response?.status === 403) {
+        setError("You don't have permission to edit this list");
+      } else if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to assign item');
+      }
     }
   };
 
@@ -555,7 +2032,7 @@ function RealtimeApp() {
       setNewListName('');
       setSelectedList(response.data);
     } catch (err) {
-      setError('Failed to create list');
+      setError(err.response?.data?.error || 'Failed to create list');
     }
   };
 
@@ -568,17 +2045,51 @@ function RealtimeApp() {
     }
   };
 
+  const leaveList = async (list) => {
+    if (!window.confirm(`Leave "${list.name}"? You will need to be invited again to get it back.`)) return;
+
+    try {
+      await axios.delete(`${API_BASE}/lists/${list.id}/shares/me`);
+      setLists(prev => prev.filter(l => l.id !== list.id));
+      if (selectedList?.id === list.id) {
+        setSelectedList(null);
+        setItems([]);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to leave list');
+    }
+  };
+
+  const transferOwnership = async (share) => {
+    if (!selectedList) return;
+    if (!window.confirm(`Make ${share.email} the owner of "${selectedList.name}"? You will stay on as an editor.`)) return;
+
+    try {
+      const response = await axios.post(`${API_BASE}/lists/${selectedList.id}/transfer`, { userId: share.user_id });
+      setLists(prev => prev.map(list => (list.id === selectedList.id ? { ...list, ...response.data } : list)));
+      setSelectedList(prev => ({ ...prev, ...response.data }));
+      fetchShares(selectedList.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to transfer ownership');
+    }
+  };
+
   const shareList = async () => {
     if (!shareEmail.trim() || !selectedList) return;
 
     try {
-      await axios.post(`${API_BASE}/lists/${selectedList.id}/share`, {
+      const response = await axios.post(`${API_BASE}/lists/${selectedList.id}/share`, {
         email: shareEmail,
         permission: sharePermission
       });
       setShareEmail('');
-      // Updates will come via WebSocket
       setError(null);
+      if (response.data.pending) {
+        // No account yet - they get access when they sign up with this email
+        showToast(`invite-${response.data.id}`, '✉️ Invitation pending', `${response.data.email} will get access after signing up`);
+        fetchShares(selectedList.id);
+      }
+      // Other updates will come via WebSocket
     } catch (err) {
       if (err.response?.data?.error) {
         setError(err.response.data.error);
@@ -599,6 +2110,61 @@ function RealtimeApp() {
     }
   };
 
+  const shareLinkUrl = (link) => `${window.location.origin}/shared/${link.token}`;
+
+  const createShareLink = async () => {
+    if (!selectedList) return;
+
+    const expiresAt = linkExpiryDays
+      ? new Date(Date.now() + Number(linkExpiryDays) * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    try {
+      const response = await axios.post(`${API_BASE}/lists/${selectedList.id}/links`, {
+        permission: linkPermission,
+        expiresAt
+      });
+      setShareLinks(prev => [response.data, ...prev]);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create share link');
+    }
+  };
+
+  const copyShareLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(shareLinkUrl(link));
+      setCopiedLinkId(link.id);
+      setTimeout(() => setCopiedLinkId(id => (id === link.id ? null : id)), 2000);
+    } catch (err) {
+      // Clipboard access can be blocked - let the user copy it by hand
+      window.prompt('Copy this link:', shareLinkUrl(link));
+    }
+  };
+
+  const revokeShareLink = async (linkId) => {
+    if (!selectedList) return;
+    if (!window.confirm('Revoke this link? Anyone using it will lose access immediately.')) return;
+
+    try {
+      await axios.delete(`${API_BASE}/lists/${selectedList.id}/links/${linkId}`);
+      setShareLinks(prev => prev.filter(link => link.id !== linkId));
+    } catch (err) {
+      setError('Failed to revoke share link');
+    }
+  };
+
+  const cancelInvitation = async (invitationId) => {
+    if (!selectedList) return;
+
+    try {
+      await axios.delete(`${API_BASE}/lists/${selectedList.id}/invitations/${invitationId}`);
+      setShares(prev => prev.filter(share => share.invitation_id !== invitationId));
+    } catch (err) {
+      setError('Failed to cancel invitation');
+    }
+  };
+
   const createItem = async (parentId = null) => {
     const textToUse = parentId ? newSubItemText : newItemText;
     if (!textToUse.trim() || !selectedList) return;
@@ -620,27 +2186,37 @@ function RealtimeApp() {
     if (parentId) {
       setNewSubItemText('');
       setAddingSubItemTo(null);
+      setExpandedItems(prev => ({ ...prev, [parentId]: true }));
     } else {
       setNewItemText('');
     }
 
+    const body = { text: savedText, completed: false, parent_id: parentId };
+    const queueCreate = () => queueOfflineChange({
+      type: 'create',
+      listId: selectedList.id,
+      tempId: tempItem.id,
+      body
+    });
+
+    if (shouldQueueOffline(parentId)) {
+      await queueCreate();
+      return;
+    }
+
     try {
-      const response = await axios.post(`${API_BASE}/lists/${selectedList.id}/items`, {
-        text: savedText,
-        completed: false,
-        parent_id: parentId
-      });
+      const response = await axios.post(`${API_BASE}/lists/${selectedList.id}/items`, body);
 
       // Replace temporary item with real one from server
       setItems(prev => prev.map(item =>
         item.id === tempItem.id ? response.data : item
       ));
-
-      // Ensure parent is expanded when adding sub-item
-      if (parentId) {
-        setExpandedItems(prev => ({ ...prev, [parentId]: true }));
-      }
     } catch (err) {
+      if (offline.isNetworkError(err)) {
+        await queueCreate();
+        return;
+      }
+
       // Rollback on error - remove temporary item
       setItems(prev => prev.filter(item => item.id !== tempItem.id));
 
@@ -651,9 +2227,9 @@ function RealtimeApp() {
       }
 
       if (err.response?.status === 403) {
-        setError('You only have view permission for this list');
+        setError("You don't have permission to edit this list");
       } else {
-        setError('Failed to create item');
+        setError(err.response?.data?.error || 'Failed to create item');
       }
     }
   };
@@ -692,6 +2268,42 @@ function RealtimeApp() {
     return rootItems;
   };
 
+  // Tell the other viewers which item we have focused, and whether we are typing in it
+  const setPresenceFocus = (itemId, editing) => {
+    const current = presenceFocusRef.current;
+    if (current.itemId === itemId && current.editing === editing) return;
+
+    presenceFocusRef.current = { itemId, editing };
+    const list = selectedListRef.current;
+    if (list && socketRef.current) {
+      socketRef.current.emit('presence-update', { listId: list.id, itemId, editing });
+    }
+  };
+
+  const handleItemFocus = (itemId, e) => {
+    setPresenceFocus(itemId, ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) && e.target.type !== 'checkbox');
+  };
+
+  const handleItemBlur = (itemId, e) => {
+    // Focus moving within the same item keeps it focused
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    if (presenceFocusRef.current.itemId === itemId) {
+      setPresenceFocus(null, false);
+    }
+  };
+
+  // Other people's sockets, one entry per user (the first socket with a focused item wins)
+  const otherViewers = () => {
+    const byUser = new Map();
+    viewers
+      .filter(v => v.userId !== user?.id)
+      .forEach(v => {
+        const existing = byUser.get(v.userId);
+        if (!existing || (existing.itemId === null && v.itemId !== null)) byUser.set(v.userId, v);
+      });
+    return [...byUser.values()];
+  };
+
   const toggleItemExpanded = (itemId) => {
     setExpandedItems(prev => ({
       ...prev,
@@ -699,24 +2311,67 @@ function RealtimeApp() {
     }));
   };
 
+  // A 409 means someone else changed the item first: show their version instead of ours.
+  // Returns whether err was such a conflict.
+  const showServerCopy = (err) => {
+    const serverItem = err.response?.status === 409 && err.response.data?.item;
+    if (!serverItem) return false;
+    setItems(prev => prev.map(i => i.id === serverItem.id ? { ...i, ...serverItem } : i));
+    setError(`"${serverItem.text}" was changed by someone else. Showing their version - try again if needed.`);
+    return true;
+  };
+
   const toggleItemComplete = async (item) => {
     // Optimistic update
     setItems(prev => prev.map(i =>
       i.id === item.id ? { ...i, completed: !i.completed } : i
     ));
 
+    const queueToggle = () => queueOfflineChange({
+      type: 'update',
+      listId: item.list_id,
+      itemId: item.id,
+      itemText: item.text,
+      body: { completed: !item.completed },
+      base: { completed: item.completed },
+      version: item.version
+    });
+
+    if (shouldQueueOffline(item.id)) {
+      await queueToggle();
+      return;
+    }
+
     try {
-      await axios.put(`${API_BASE}/items/${item.id}`, {
-        completed: !item.completed
+      const response = await axios.put(`${API_BASE}/items/${item.id}`, {
+        completed: !item.completed,
+        version: item.version
+      });
+      setItems(prev => prev.map(i => i.id === item.id ? { ...i, ...response.data } : i));
+      recordUndo({
+        type: 'update',
+        itemId: item.id,
+        itemText: item.text,
+        label: `${item.completed ? 'Reopened' : 'Completed'} "${item.text}"`,
+        before: { completed: item.completed },
+        after: { completed: !item.completed }
       });
     } catch (err) {
+      if (offline.isNetworkError(err)) {
+        await queueToggle();
+        return;
+      }
+
+      // Someone else changed it first - show their version instead
+      if (showServerCopy(err)) return;
+
       // Rollback on error
       setItems(prev => prev.map(i =>
         i.id === item.id ? { ...i, completed: item.completed } : i
       ));
 
       if (err.response?.status === 403) {
-        setError('You only have view permission for this list');
+        setError("You don't have permission to edit this list");
       } else {
         setError('Failed to update item');
       }
@@ -725,28 +2380,254 @@ function RealtimeApp() {
 
   const updateItemNotes = async (itemId, notes) => {
     setSavingNotes(prev => ({ ...prev, [itemId]: true }));
+    const previous = itemsRef.current.find(i => i.id === itemId);
     try {
-      await axios.put(`${API_BASE}/items/${itemId}`, { notes });
+      const response = await axios.put(`${API_BASE}/items/${itemId}`, {
+        notes,
+        version: notesBaseVersion.current[itemId]
+      });
 
       // Update local state
       setItems(prev => prev.map(i =>
-        i.id === itemId ? { ...i, notes } : i
+        i.id === itemId ? { ...i, ...response.data, notes } : i
       ));
+
+      // If the user kept typing during the save, the next save builds on this version
+      if (notesDebounceTimeout.current[itemId]) {
+        notesBaseVersion.current[itemId] = response.data.version;
+      } else {
+        delete notesBaseVersion.current[itemId];
+      }
+
+      if (previous && (previous.notes || '') !== notes) {
+        recordUndo({
+          type: 'update',
+          itemId,
+          itemText: previous.text,
+          label: `Edited notes on "${previous.text}"`,
+          before: { notes: previous.notes ?? null },
+          after: { notes },
+          mergeKey: `notes-${itemId}`,
+          at: Date.now()
+        });
+      }
     } catch (err) {
-      if (err.response?.status === 403) {
-        setError('You only have view permission for this list');
+      delete notesBaseVersion.current[itemId];
+
+      if (err.response?.status === 409) {
+        // Someone else saved these notes first - stop autosaving and let the user decide
+        clearTimeout(notesDebounceTimeout.current[itemId]);
+        delete notesDebounceTimeout.current[itemId];
+        const mine = editingNotesRef.current[itemId] ?? notes;
+        setNotesConflict({ itemId, mine, merged: mine, server: err.response.data.item });
+      } else if (err.response?.status === 403) {
+        setError("You don't have permission to edit this list");
       } else {
-        setError('Failed to update notes');
+        setError(err.response?.data?.error || 'Failed to update notes');
       }
     } finally {
       setSavingNotes(prev => ({ ...prev, [itemId]: false }));
     }
   };
 
+  // Resolve a notes conflict: null keeps the other person's version, a string saves it
+  // on top of their version
+  const resolveNotesConflict = async (notes) => {
+    const { itemId, server } = notesConflict;
+    setNotesConflict(null);
+
+    if (notes === null) {
+      setItems(prev => prev.map(i => i.id === itemId ? { ...i, ...server } : i));
+      setEditingNotes(prev => ({ ...prev, [itemId]: server.notes || '' }));
+      return;
+    }
+
+    setEditingNotes(prev => ({ ...prev, [itemId]: notes }));
+    notesBaseVersion.current[itemId] = server.version;
+    await updateItemNotes(itemId, notes);
+  };
+
+  // Collaborative notes sessions. Edits go out as OT operations over the socket and the
+  // server saves the text; the debounced PUT below is only the fallback when no session
+  // could be opened.
+  const showNoteText = (itemId, text, op) => {
+    // Keep the local caret on the same characters while a remote edit lands
+    const textarea = notesTextareas.current[itemId];
+    if (textarea && document.activeElement === textarea) {
+      pendingSelections.current[itemId] = {
+        start: notesOt.transformIndex(textarea.selectionStart, op),
+        end: notesOt.transformIndex(textarea.selectionEnd, op)
+      };
+    }
+    setEditingNotes(prev => ({ ...prev, [itemId]: text }));
+  };
+
+  const openNoteSession = (itemId) => {
+    const socket = socketRef.current;
+    // Opened from the 'connect' handler once the socket is back
+    if (!socket?.connected) return;
+
+    const existing = noteSessions.current[itemId];
+    if (!existing) {
+      setNoteAccess(prev => ({ ...prev, [itemId]: 'opening' }));
+    }
+
+    socket.emit('notes-open', {
+      itemId,
+      sessionId: existing?.sessionId,
+      revision: existing?.revision
+    }, (response) => {
+      if (!expandedNotesRef.current[itemId]) {
+        // Closed while opening
+        if (!noteSessions.current[itemId]) socket.emit('notes-close', { itemId });
+        return;
+      }
+      if (response.error) {
+        // Fall back to saving notes with PUT
+        dropNoteSession(itemId);
+        return;
+      }
+
+      const current = noteSessions.current[itemId];
+      const previousText = current ? current.text : null;
+      const session = current
+        ? notesOt.rebaseSession(current, response)
+        : notesOt.createNoteSession(response);
+      noteSessions.current[itemId] = session;
+
+      // Typing that happened on the PUT fallback path joins the session as a local edit
+      if (!current && notesDebounceTimeout.current[itemId]) {
+        clearTimeout(notesDebounceTimeout.current[itemId]);
+        delete notesDebounceTimeout.current[itemId];
+        notesOt.applyLocalEdit(session, editingNotesRef.current[itemId] ?? session.text);
+      }
+
+      showNoteText(itemId, session.text, notesOt.fromDiff(previousText ?? session.text, session.text));
+      setNoteAccess(prev => ({ ...prev, [itemId]: response.canEdit ? 'edit' : 'view' }));
+      setNoteCarets(prev => ({
+        ...prev,
+        [itemId]: Object.fromEntries(response.carets.map(caret => [caret.socketId, caret]))
+      }));
+      sendNoteOps(itemId);
+    });
+  };
+
+  const sendNoteOps = (itemId) => {
+    const session = noteSessions.current[itemId];
+    const socket = socketRef.current;
+    const pending = session?.pending;
+    if (!pending || pending.sent || !socket?.connected) return;
+
+    pending.sent = true;
+    socket.emit('notes-op', {
+      itemId,
+      revision: session.revision,
+      op: pending.op,
+      opId: pending.opId
+    }, (response) => {
+      if (noteSessions.current[itemId] !== session || session.pending !== pending) return;
+
+      if (response.error) {
+        if (response.error !== 'resync') {
+          // Rejected (e.g. too long) - drop the local edits and reload the server copy
+          setError(response.error);
+          session.pending = null;
+          session.buffer = null;
+          session.text = session.serverText;
+        }
+        pending.sent = false;
+        openNoteSession(itemId);
+        return;
+      }
+
+      notesOt.acknowledgeOp(session, response.revision);
+      sendNoteOps(itemId);
+    });
+  };
+
+  const sendNoteCaret = (itemId) => {
+    const textarea = notesTextareas.current[itemId];
+    const socket = socketRef.current;
+    if (!textarea || !noteSessions.current[itemId] || !socket?.connected) return;
+
+    const caret = { start: textarea.selectionStart, end: textarea.selectionEnd };
+    const last = lastSentCaret.current[itemId];
+    if (last && last.start === caret.start && last.end === caret.end) return;
+
+    lastSentCaret.current[itemId] = caret;
+    socket.emit('notes-cursor', { itemId, ...caret });
+  };
+
+  const recordNotesUndo = (itemId) => {
+    const session = noteSessions.current[itemId];
+    const before = notesUndoBase.current[itemId];
+    delete notesUndoBase.current[itemId];
+    delete notesUndoTimeout.current[itemId];
+
+    const item = itemsRef.current.find(i => i.id === itemId);
+    if (!session || !item || before === undefined || before === session.text) return;
+
+    recordUndo({
+      type: 'update',
+      itemId,
+      itemText: item.text,
+      label: `Edited notes on "${item.text}"`,
+      before: { notes: before },
+      after: { notes: session.text },
+      mergeKey: `notes-${itemId}`,
+      at: Date.now()
+    });
+  };
+
+  // Forget a session locally, e.g. when access was revoked or opening failed
+  const dropNoteSession = (itemId) => {
+    delete noteSessions.current[itemId];
+    delete lastSentCaret.current[itemId];
+    setNoteAccess(prev => {
+      const newState = { ...prev };
+      delete newState[itemId];
+      return newState;
+    });
+    setNoteCarets(prev => {
+      const newState = { ...prev };
+      delete newState[itemId];
+      return newState;
+    });
+  };
+
+  const closeNoteSession = (itemId) => {
+    if (notesUndoTimeout.current[itemId]) {
+      clearTimeout(notesUndoTimeout.current[itemId]);
+      recordNotesUndo(itemId);
+    }
+    socketRef.current?.emit('notes-close', { itemId });
+    dropNoteSession(itemId);
+  };
+
   const handleNotesChange = (itemId, notes) => {
+    const session = noteSessions.current[itemId];
+    if (session) {
+      if (notesUndoBase.current[itemId] === undefined) {
+        notesUndoBase.current[itemId] = session.text;
+      }
+      notesOt.applyLocalEdit(session, notes);
+      setEditingNotes(prev => ({ ...prev, [itemId]: session.text }));
+      sendNoteOps(itemId);
+
+      // One undo step per burst of typing, like the debounced saves below
+      clearTimeout(notesUndoTimeout.current[itemId]);
+      notesUndoTimeout.current[itemId] = setTimeout(() => recordNotesUndo(itemId), 500);
+      return;
+    }
+
     // Update local state immediately for responsiveness
     setEditingNotes(prev => ({ ...prev, [itemId]: notes }));
 
+    // Remember which server version this edit started from
+    if (notesBaseVersion.current[itemId] === undefined) {
+      notesBaseVersion.current[itemId] = itemsRef.current.find(i => i.id === itemId)?.version;
+    }
+
     // Clear any existing timeout for this item
     if (notesDebounceTimeout.current[itemId]) {
       clearTimeout(notesDebounceTimeout.current[itemId]);
@@ -760,11 +2641,155 @@ function RealtimeApp() {
     }, 500);
   };
 
+  const startEditingDue = (item) => {
+    setEditingDueFor(item.id);
+    setDueDraft({
+      date: item.due_date || '',
+      time: item.due_time ? item.due_time.substring(0, 5) : '',
+      repeat: item.recurrence?.type || 'none',
+      weekdays: item.recurrence?.weekdays || [new Date().getDay()],
+      days: item.recurrence?.days || 2
+    });
+  };
+
+  const toggleDraftWeekday = (day) => {
+    setDueDraft(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter(d => d !== day)
+        : [...prev.weekdays, day]
+    }));
+  };
+
+  // Build the recurrence rule sent to the server from the due date form
+  const draftToRecurrence = (draft) => {
+    switch (draft.repeat) {
+      case 'weekly':
+        return { type: 'weekly', weekdays: draft.weekdays };
+      case 'interval':
+        return { type: 'interval', days: Number(draft.days) };
+      case 'daily':
+      case 'monthly':
+        return { type: draft.repeat };
+      default:
+        return null;
+    }
+  };
+
+  const updateItemDue = async (itemId, draft) => {
+    try {
+      const response = await axios.put(`${API_BASE}/items/${itemId}`, {
+        due_date: draft.date || null,
+        due_time: draft.date && draft.time ? draft.time : null,
+        recurrence: draftToRecurrence(draft),
+        version: itemsRef.current.find(i => i.id === itemId)?.version
+      });
+      setItems(prev => prev.map(i => i.id === itemId ? response.data : i));
+      setEditingDueFor(null);
+    } catch (err) {
+      if (showServerCopy(err)) {
+        setEditingDueFor(null);
+      } else if (err.response?.status === 403) {
+        setError("You don't have permission to edit this list");
+      } else if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to update due date');
+      }
+    }
+  };
+
+  const fetchComments = async (itemId) => {
+    try {
+      const response = await axios.get(`${API_BASE}/items/${itemId}/comments`);
+      setComments(prev => ({ ...prev, [itemId]: response.data }));
+    } catch (err) {
+      setError('Failed to load comments');
+    }
+  };
+
+  const toggleCommentsExpanded = (itemId) => {
+    const expanding = !expandedComments[itemId];
+    setExpandedComments(prev => ({ ...prev, [itemId]: expanding }));
+    if (expanding) {
+      fetchComments(itemId);
+    }
+  };
+
+  // A new comment from the item's comment box, or with parentId the open reply
+  const addComment = async (itemId, parentId = null) => {
+    const body = ((parentId ? replyingTo?.body : commentDrafts[itemId]) || '').trim();
+    if (!body) return;
+
+    try {
+      const response = await axios.post(`${API_BASE}/items/${itemId}/comments`, { body, parent_id: parentId });
+      // The socket event may have delivered it already
+      setComments(prev => {
+        const thread = prev[itemId] || [];
+        if (thread.some(c => c.id === response.data.id)) return prev;
+        return { ...prev, [itemId]: [...thread, response.data] };
+      });
+      if (parentId) {
+        setReplyingTo(null);
+      } else {
+        setCommentDrafts(prev => ({ ...prev, [itemId]: '' }));
+      }
+    } catch (err) {
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to add comment');
+      }
+    }
+  };
+
+  const saveCommentEdit = async (itemId) => {
+    if (!editingComment || !editingComment.body.trim()) return;
+
+    try {
+      const response = await axios.put(`${API_BASE}/items/${itemId}/comments/${editingComment.id}`, {
+        body: editingComment.body
+      });
+      setComments(prev => ({
+        ...prev,
+        [itemId]: (prev[itemId] || []).map(c => c.id === response.data.id ? response.data : c)
+      }));
+      setEditingComment(null);
+    } catch (err) {
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to update comment');
+      }
+    }
+  };
+
+  const deleteComment = async (itemId, commentId) => {
+    try {
+      await axios.delete(`${API_BASE}/items/${itemId}/comments/${commentId}`);
+      // Thread and count update via the comment-deleted socket event
+    } catch (err) {
+      if (err.response?.data?.error) {
+        setError(err.response.data.error);
+      } else {
+        setError('Failed to delete comment');
+      }
+    }
+  };
+
   const toggleNotesExpanded = (itemId) => {
+    const opening = !expandedNotes[itemId];
     setExpandedNotes(prev => ({
       ...prev,
       [itemId]: !prev[itemId]
     }));
+    expandedNotesRef.current = { ...expandedNotesRef.current, [itemId]: opening };
+
+    if (opening) {
+      openNoteSession(itemId);
+    } else {
+      closeNoteSession(itemId);
+    }
 
     // Initialize editing notes if not already set
     if (!editingNotes[itemId] && expandedNotes[itemId] === undefined) {
@@ -784,6 +2809,29 @@ function RealtimeApp() {
     // Optimistic update - remove immediately
     setItems(prev => prev.filter(i => i.id !== itemId));
 
+    const queueDelete = async () => {
+      // Nobody will send item-deleted for the sub-items until we are back online
+      const subtree = new Set([itemId]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        itemsRef.current.forEach(i => {
+          if (subtree.has(i.parent_id) && !subtree.has(i.id)) {
+            subtree.add(i.id);
+            grew = true;
+          }
+        });
+      }
+      setItems(prev => prev.filter(i => !subtree.has(i.id)));
+
+      await queueOfflineChange({
+        type: 'delete',
+        listId: deletedItem.list_id,
+        itemId,
+        itemText: deletedItem.text
+      });
+    };
+
     // Clean up notes state for this item
     setEditingNotes(prev => {
       const newState = { ...prev };
@@ -801,10 +2849,26 @@ function RealtimeApp() {
       return newState;
     });
 
+    if (shouldQueueOffline(itemId)) {
+      await queueDelete();
+      return;
+    }
+
     try {
       await axios.delete(`${API_BASE}/items/${itemId}`);
       // Socket event will notify other users
+      recordUndo({
+        type: 'delete',
+        itemId,
+        itemText: deletedItem.text,
+        label: `Deleted "${deletedItem.text}"`
+      });
     } catch (err) {
+      if (offline.isNetworkError(err)) {
+        await queueDelete();
+        return;
+      }
+
       // Rollback on error - restore the item at its original position
       if (deletedItem) {
         setItems(prev => {
@@ -814,7 +2878,7 @@ function RealtimeApp() {
       }
 
       if (err.response?.status === 403) {
-        setError('You only have view permission for this list');
+        setError("You don't have permission to edit this list");
       } else {
         setError('Failed to delete item');
       }
@@ -845,6 +2909,51 @@ function RealtimeApp() {
     setOverId(event.over?.id);
   };
 
+  // Record a drag-and-drop move so it can be undone, and apply the server copy right away
+  const recordMove = (item, updated) => {
+    setItems(prev => prev.map(i => i.id === item.id ? { ...i, ...updated } : i));
+    recordUndo({
+      type: 'update',
+      itemId: item.id,
+      itemText: item.text,
+      label: `Moved "${item.text}"`,
+      before: { parent_id: item.parent_id, position: item.position },
+      after: { parent_id: updated.parent_id, position: updated.position }
+    });
+  };
+
+  // Send a drag-and-drop move, or queue it while offline
+  const saveMove = async (item, changes) => {
+    const queueMove = () => {
+      setItems(prev => prev.map(i => i.id === item.id ? { ...i, ...changes } : i));
+      const base = {};
+      Object.keys(changes).filter(key => key !== 'list_id').forEach(key => { base[key] = item[key]; });
+      return queueOfflineChange({
+        type: 'update',
+        listId: item.list_id,
+        itemId: item.id,
+        itemText: item.text,
+        body: changes,
+        base,
+        version: item.version
+      });
+    };
+
+    if (shouldQueueOffline(item.id, changes.parent_id)) {
+      await queueMove();
+      return;
+    }
+
+    try {
+      const response = await axios.put(`${API_BASE}/items/${item.id}`, { ...changes, version: item.version });
+      recordMove(item, response.data);
+    } catch (err) {
+      if (showServerCopy(err)) return;
+      if (!offline.isNetworkError(err)) throw err;
+      await queueMove();
+    }
+  };
+
   const handleDragEnd = async (event) => {
     const { active, over, activatorEvent, delta } = event;
 
@@ -897,7 +3006,7 @@ function RealtimeApp() {
 
       if (shouldNest) {
         // Nest as sub-item
-        await axios.put(`${API_BASE}/items/${activeItem.id}`, {
+        await saveMove(activeItem, {
           parent_id: overItem.id,
           list_id: overItem.list_id
         });
@@ -952,7 +3061,7 @@ function RealtimeApp() {
 
       // Only update if something actually changed
       if (activeItem.parent_id !== newParentId || activeItem.position !== newPosition) {
-        await axios.put(`${API_BASE}/items/${activeItem.id}`, {
+        await saveMove(activeItem, {
           parent_id: newParentId,
           position: newPosition,
           list_id: overItem.list_id
@@ -965,7 +3074,7 @@ function RealtimeApp() {
       }
     } catch (err) {
       if (err.response?.status === 403) {
-        setError('You only have view permission for this list');
+        setError("You don't have permission to edit this list");
       } else if (err.response?.data?.error) {
         setError(err.response.data.error);
       } else {
@@ -979,7 +3088,99 @@ function RealtimeApp() {
     setOverId(null);
   };
 
-  const isOwner = selectedList && user && selectedList.user_id === user.id;
+  // Our role on a list. GET /api/lists sends it; lists we own may have been added locally.
+  const getListRole = (list) => {
+    if (!list || !user) return null;
+    if (list.user_id === user.id) return 'owner';
+    return lists.find(l => l.id === list.id)?.role ?? list.role ?? null;
+  };
+
+  const listRole = getListRole(selectedList);
+
+  // A comment with its replies nested below it
+  const renderComment = (item, comment) => {
+    const replies = (comments[item.id] || []).filter(c => c.parent_id === comment.id);
+    const replying = replyingTo?.itemId === item.id && replyingTo.commentId === comment.id;
+
+    return (
+      <div key={comment.id} className="space-y-2">
+        <div className="text-sm bg-white border border-gray-200 rounded-md p-2">
+          <div className="flex justify-between items-center text-xs text-gray-500 mb-1">
+            <span className="font-medium text-gray-700">{comment.author_email || 'Deleted user'}</span>
+            <span>
+              {new Date(comment.created_at).toLocaleString()}
+              {comment.updated_at !== comment.created_at && ' (edited)'}
+            </span>
+          </div>
+          {editingComment?.id === comment.id ? (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={editingComment.body}
+                onChange={(e) => setEditingComment({ id: comment.id, body: e.target.value })}
+                onKeyPress={(e) => e.key === 'Enter' && saveCommentEdit(item.id)}
+                className="flex-1 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-sky-500"
+                autoFocus
+              />
+              <button onClick={() => saveCommentEdit(item.id)} className="text-xs text-sky-600 hover:text-sky-700">Save</button>
+              <button onClick={() => setEditingComment(null)} className="text-xs text-gray-500 hover:text-gray-700">Cancel</button>
+            </div>
+          ) : (
+            <div className="flex justify-between gap-2">
+              <p className="text-gray-800 whitespace-pre-wrap break-words flex-1">{comment.body}</p>
+              <div className="flex gap-2 text-xs whitespace-nowrap">
+                {canRole(listRole, 'comment') && (
+                  <button
+                    onClick={() => setReplyingTo({ itemId: item.id, commentId: comment.id, body: '' })}
+                    className="text-gray-500 hover:text-gray-700"
+                  >
+                    Reply
+                  </button>
+                )}
+                {comment.user_id === user?.id && (
+                  <button
+                    onClick={() => setEditingComment({ id: comment.id, body: comment.body })}
+                    className="text-gray-500 hover:text-gray-700"
+                  >
+                    Edit
+                  </button>
+                )}
+                {(comment.user_id === user?.id || canRole(listRole, 'manage')) && (
+                  <button
+                    onClick={() => deleteComment(item.id, comment.id)}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+        {(replies.length > 0 || replying) && (
+          <div className="ml-4 pl-3 border-l-2 border-gray-200 space-y-2">
+            {replies.map(reply => renderComment(item, reply))}
+            {replying && (
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={replyingTo.body}
+                  onChange={(e) => setReplyingTo(prev => ({ ...prev, body: e.target.value }))}
+                  onKeyPress={(e) => e.key === 'Enter' && addComment(item.id, comment.id)}
+                  placeholder={`Reply to ${comment.author_email || 'this comment'}...`}
+                  maxLength={5000}
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-sky-500 text-sm"
+                  autoFocus
+                />
+                <button onClick={() => addComment(item.id, comment.id)} className="text-xs text-sky-600 hover:text-sky-700">Reply</button>
+                <button onClick={() => setReplyingTo(null)} className="text-xs text-gray-500 hover:text-gray-700">Cancel</button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
 
   // Show Privacy Policy
   if (currentPage === 'privacy') {
@@ -1001,7 +3202,91 @@ function RealtimeApp() {
           </div>
           <p className="text-center text-gray-600 mb-6">Collaborate in real-time on shared lists</p>
 
-          {googleEnabled ? (
+          {twoFactorChallenge ? (
+            // Second step of logging in with two-factor authentication
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
+                  {error}
+                </div>
+              )}
+
+              <form onSubmit={handleTwoFactorLogin}>
+                <input
+                  type="text"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  placeholder="Authentication code"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md mb-4 tracking-widest text-center focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full py-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-md hover:from-purple-700 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 font-semibold"
+                >
+                  {isLoading ? 'Checking...' : 'Verify'}
+                </button>
+              </form>
+
+              <button
+                onClick={() => switchAuthMode('login')}
+                className="w-full mt-4 text-sm text-purple-600 hover:text-purple-700"
+              >
+                Back to login
+              </button>
+            </>
+          ) : authMode === 'forgot' ? (
+            // Ask for a password reset link
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                Enter the email of your account and we'll send you a link to choose a new password.
+              </p>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
+                  {error}
+                </div>
+              )}
+
+              {authNotice ? (
+                <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded mb-4">
+                  {authNotice}
+                </div>
+              ) : (
+                <form onSubmit={handleForgotPassword}>
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Email"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md mb-4 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                    required
+                  />
+                  <button
+                    type="submit"
+                    disabled={isLoading}
+                    className="w-full py-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-md hover:from-purple-700 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 font-semibold"
+                  >
+                    {isLoading ? 'Sending...' : 'Send reset link'}
+                  </button>
+                </form>
+              )}
+
+              <button
+                onClick={() => switchAuthMode('login')}
+                className="w-full mt-4 text-sm text-purple-600 hover:text-purple-700"
+              >
+                Back to login
+              </button>
+            </>
+          ) : googleEnabled ? (
             // Google OAuth is configured - show simplified login
             <>
               {/* Google Login Button - Primary for new users */}
@@ -1058,19 +3343,25 @@ function RealtimeApp() {
                   {isLoading ? 'Loading...' : 'Login'}
                 </button>
               </form>
+              <button
+                onClick={() => switchAuthMode('forgot')}
+                className="w-full mt-3 text-sm text-purple-600 hover:text-purple-700"
+              >
+                Forgot your password?
+              </button>
             </>
           ) : (
             // Google OAuth not configured - show traditional login/register
             <>
               <div className="flex mb-4">
                 <button
-                  onClick={() => setAuthMode('login')}
+                  onClick={() => switchAuthMode('login')}
                   className={`flex-1 py-2 ${authMode === 'login' ? 'border-b-2 border-purple-500 text-purple-600 font-semibold' : 'text-gray-500'}`}
                 >
                   Login
                 </button>
                 <button
-                  onClick={() => setAuthMode('register')}
+                  onClick={() => switchAuthMode('register')}
                   className={`flex-1 py-2 ${authMode === 'register' ? 'border-b-2 border-purple-500 text-purple-600 font-semibold' : 'text-gray-500'}`}
                 >
                   Register
@@ -1108,6 +3399,14 @@ function RealtimeApp() {
                   {isLoading ? 'Loading...' : (authMode === 'login' ? 'Login' : 'Register')}
                 </button>
               </form>
+              {authMode === 'login' && (
+                <button
+                  onClick={() => switchAuthMode('forgot')}
+                  className="w-full mt-3 text-sm text-purple-600 hover:text-purple-700"
+                >
+                  Forgot your password?
+                </button>
+              )}
             </>
           )}
 
@@ -1155,9 +3454,123 @@ function RealtimeApp() {
               </div>
             </div>
             <div className="flex items-center gap-2 sm:gap-4">
+              {/* Notification Bell */}
+              <div className="relative">
+                <button
+                  onClick={() => setShowNotifications(prev => !prev)}
+                  className="relative p-2 text-gray-500 hover:text-gray-700 rounded-full hover:bg-gray-100"
+                  title="Notifications"
+                  aria-label={`Notifications (${unreadCount} unread)`}
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                  </svg>
+                  {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 bg-red-500 text-white text-[10px] font-bold rounded-full min-w-[18px] h-[18px] px-1 flex items-center justify-center">
+                      {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                  )}
+                </button>
+                {showNotifications && (
+                  <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+                    <div className="flex justify-between items-center px-4 py-2 border-b border-gray-100">
+                      <span className="font-semibold text-sm">Notifications</span>
+                      {unreadCount > 0 && (
+                        <button
+                          onClick={markAllNotificationsRead}
+                          className="text-xs text-purple-600 hover:text-purple-700"
+                        >
+                          Mark all read
+                        </button>
+                      )}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto">
+                      {notifications.length === 0 ? (
+                        <p className="text-sm text-gray-500 text-center py-6">No notifications</p>
+                      ) : (
+                        notifications.map(notification => (
+                          <button
+                            key={notification.id}
+                            onClick={() => openNotification(notification)}
+                            className={`w-full text-left px-4 py-3 border-b border-gray-50 hover:bg-gray-50 ${
+                              notification.read_at ? '' : 'bg-purple-50'
+                            }`}
+                          >
+                            <div className="text-sm text-gray-800">{notification.message}</div>
+                            <div className="text-xs text-gray-500 mt-1">
+                              {notification.list_name && `${notification.list_name} · `}
+                              {new Date(notification.created_at).toLocaleString()}
+                            </div>
+                          </button>
+                        ))
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+              {/* Signed-in devices */}
+              <div className="relative">
+                <button
+                  onClick={toggleSessions}
+                  className="p-2 text-gray-500 hover:text-gray-700 rounded-full hover:bg-gray-100"
+                  title="Signed-in devices"
+                  aria-label="Signed-in devices"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                  </svg>
+                </button>
+                {showSessions && (
+                  <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+                    <div className="flex justify-between items-center px-4 py-2 border-b border-gray-100">
+                      <span className="font-semibold text-sm">Signed-in devices</span>
+                      {sessions.some(session => !session.current) && (
+                        <button
+                          onClick={revokeOtherSessions}
+                          className="text-xs text-red-600 hover:text-red-700"
+                        >
+                          Sign out everywhere else
+                        </button>
+                      )}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto">
+                      {sessions.map(session => (
+                        <div key={session.id} className="flex items-start gap-2 px-4 py-3 border-b border-gray-50">
+                          <div className="flex-1 min-w-0">
+                            <div className="text-sm text-gray-800">
+                              {describeDevice(session.user_agent)}
+                              {session.current && <span className="ml-2 text-xs text-green-600">This device</span>}
+                            </div>
+                            <div className="text-xs text-gray-500 mt-1 truncate">
+                              {session.ip_address && `${session.ip_address} · `}
+                              Last active {new Date(session.last_seen_at).toLocaleString()}
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => revokeSession(session)}
+                            className="text-xs text-gray-500 hover:text-red-600 whitespace-nowrap"
+                          >
+                            Sign out
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                    <button
+                      onClick={openTwoFactorDialog}
+                      className="w-full px-4 py-2 text-left text-sm text-purple-600 hover:bg-purple-50 rounded-b-lg"
+                    >
+                      Two-factor authentication
+                    </button>
+                  </div>
+                )}
+              </div>
               <span className="text-sm text-gray-600 truncate max-w-[150px] sm:max-w-none">{user?.email}</span>
               <button
-                onClick={logout}
+                onClick={() => {
+                  if (pendingChanges === 0 || window.confirm(`${pendingChanges} offline change(s) haven't been synced yet and will be lost. Log out anyway?`)) {
+                    logout();
+                  }
+                }}
                 className="px-3 sm:px-4 py-1.5 sm:py-2 text-sm bg-gray-500 text-white rounded-md hover:bg-gray-600 whitespace-nowrap"
               >
                 Logout
@@ -1167,6 +3580,21 @@ function RealtimeApp() {
         </div>
       </header>
 
+      {/* Email not confirmed yet */}
+      {user?.emailVerified === false && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-4">
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+            Please confirm your email address with the link we sent to {user.email}. Lists shared with you appear once it's confirmed.
+            <button
+              onClick={resendVerificationEmail}
+              className="ml-2 underline hover:text-yellow-900"
+            >
+              Send the link again
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Error Message */}
       {error && (
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-4">
@@ -1182,12 +3610,91 @@ function RealtimeApp() {
         </div>
       )}
 
+      {/* Offline / sync status */}
+      {(isOffline || pendingChanges > 0) && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-4">
+          <div className={`px-4 py-3 rounded border text-sm ${
+            isOffline ? 'bg-gray-100 border-gray-300 text-gray-700' : 'bg-blue-50 border-blue-200 text-blue-700'
+          }`}>
+            {isOffline
+              ? `📴 You're offline - showing lists saved on this device.${pendingChanges > 0 ? ` ${pendingChanges} change(s) will sync when you reconnect.` : ''}`
+              : `🔄 Syncing ${pendingChanges} offline change(s)...`}
+          </div>
+        </div>
+      )}
+
+      {syncConflicts.length > 0 && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-4">
+          <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded space-y-2">
+            <div className="font-semibold text-sm">Some offline changes conflicted with other people's edits</div>
+            {syncConflicts.map(conflict => (
+              <div key={conflict.id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span>{conflict.message}</span>
+                <div className="flex gap-2">
+                  {conflict.status === 409 && conflict.server && (
+                    <button
+                      onClick={() => keepMyChange(conflict)}
+                      className="px-2 py-1 text-xs border border-amber-300 rounded hover:bg-amber-100"
+                    >
+                      Keep mine
+                    </button>
+                  )}
+                  <button
+                    onClick={() => dismissConflict(conflict.id)}
+                    className="px-2 py-1 text-xs border border-amber-300 rounded hover:bg-amber-100"
+                  >
+                    {conflict.status === 409 && conflict.server ? 'Keep theirs' : 'Dismiss'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           {/* Lists Panel */}
           <div className="md:col-span-1">
             <div className="bg-white rounded-lg shadow p-6">
-              <h2 className="text-lg font-semibold mb-4">My Lists</h2>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold">My Lists</h2>
+                <div className="flex gap-1">
+                  <button
+                    onClick={openAssignedView}
+                    className={`text-xs px-2 py-1 rounded border ${
+                      overview === 'assigned'
+                        ? 'bg-purple-100 border-purple-300 text-purple-700'
+                        : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                    }`}
+                    title="Items assigned to me across all lists"
+                  >
+                    👤 Mine
+                  </button>
+                  <button
+                    onClick={openDueView}
+                    className={`text-xs px-2 py-1 rounded border ${
+                      overview === 'due'
+                        ? 'bg-purple-100 border-purple-300 text-purple-700'
+                        : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                    }`}
+                    title="Overdue, today and upcoming items across all lists"
+                  >
+                    📅 Due
+                  </button>
+                  <button
+                    onClick={openTrashView}
+                    className={`text-xs px-2 py-1 rounded border ${
+                      overview === 'trash'
+                        ? 'bg-purple-100 border-purple-300 text-purple-700'
+                        : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                    }`}
+                    title="Deleted lists and items"
+                  >
+                    🗑 Trash
+                  </button>
+                </div>
+              </div>
 
               {/* Create List Form */}
               <div className="mb-4">
@@ -1198,6 +3705,7 @@ function RealtimeApp() {
                     onChange={(e) => setNewListName(e.target.value)}
                     onKeyPress={(e) => e.key === 'Enter' && createList()}
                     placeholder="New list name..."
+                    maxLength={255}
                     className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500"
                   />
                   <button
@@ -1222,17 +3730,19 @@ function RealtimeApp() {
                   >
                     <div className="flex justify-between items-center">
                       <div
-                        onClick={() => setSelectedList(list)}
+                        onClick={() => { setSelectedList(list); setOverview(null); }}
                         className="flex-1"
                       >
                         <h3 className="font-medium text-gray-900">
                           {list.name}
                           {list.user_id !== user?.id && (
-                            <span className="ml-2 text-xs bg-purple-100 text-purple-700 px-2 py-1 rounded">Shared</span>
+                            <span className="ml-2 text-xs bg-purple-100 text-purple-700 px-2 py-1 rounded" title={list.role ? `Your role: ${ROLE_LABELS[list.role]}` : undefined}>
+                              Shared{list.role ? ` · ${ROLE_LABELS[list.role]}` : ''}
+                            </span>
                           )}
                         </h3>
                       </div>
-                      {list.user_id === user?.id && (
+                      {list.user_id === user?.id ? (
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -1244,30 +3754,272 @@ function RealtimeApp() {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
                           </svg>
                         </button>
+                      ) : (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            leaveList(list);
+                          }}
+                          className="text-gray-400 hover:text-red-600 p-1"
+                          title="Leave list"
+                          aria-label="Leave list"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+                          </svg>
+                        </button>
                       )}
                     </div>
                   </div>
-                ))}
-                {lists.length === 0 && !isLoading && (
-                  <p className="text-gray-500 text-center py-4">No lists yet</p>
+                ))}
+                {lists.length === 0 && !isLoading && (
+                  <p className="text-gray-500 text-center py-4">No lists yet</p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Items & Sharing Panel */}
+          <div className="md:col-span-2">
+            {overview === 'due' ? (
+              <div className="bg-white rounded-lg shadow p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-lg font-semibold">Due Dates</h2>
+                  <button
+                    onClick={() => setOverview(null)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Close
+                  </button>
+                </div>
+                {(() => {
+                  const sections = [
+                    { key: 'overdue', title: 'Overdue', titleClass: 'text-red-600' },
+                    { key: 'today', title: 'Today', titleClass: 'text-amber-600' },
+                    { key: 'upcoming', title: 'Upcoming', titleClass: 'text-gray-700' }
+                  ];
+                  const now = new Date();
+
+                  if (dueItems.length === 0) {
+                    return <p className="text-gray-500 text-center py-4">Nothing due</p>;
+                  }
+
+                  return sections.map(section => {
+                    const sectionItems = dueItems.filter(item => getDueStatus(item, now) === section.key);
+                    if (sectionItems.length === 0) return null;
+
+                    return (
+                      <div key={section.key} className="mb-4">
+                        <h3 className={`text-sm font-semibold uppercase tracking-wide mb-2 ${section.titleClass}`}>
+                          {section.title} ({sectionItems.length})
+                        </h3>
+                        <div className="space-y-2">
+                          {sectionItems.map(item => (
+                            <div
+                              key={item.id}
+                              onClick={() => openListFromOverview(item.list_id)}
+                              className="p-3 bg-gray-50 rounded-md border border-gray-200 hover:shadow-sm cursor-pointer flex justify-between items-center gap-2"
+                            >
+                              <div className="flex-1">
+                                <div className="text-gray-900">{item.text}</div>
+                                <div className="text-xs text-gray-500">{item.list_name}</div>
+                              </div>
+                              <span className={`text-xs px-2 py-1 rounded whitespace-nowrap ${dueBadgeClasses[section.key]}`}>
+                                {formatDue(item)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  });
+                })()}
+              </div>
+            ) : overview === 'assigned' ? (
+              <div className="bg-white rounded-lg shadow p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-lg font-semibold">Assigned to Me</h2>
+                  <button
+                    onClick={() => setOverview(null)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Close
+                  </button>
+                </div>
+                {assignedItems.length === 0 ? (
+                  <p className="text-gray-500 text-center py-4">Nothing assigned to you</p>
+                ) : (
+                  <div className="space-y-2">
+                    {assignedItems.map(item => (
+                      <div
+                        key={item.id}
+                        onClick={() => openListFromOverview(item.list_id)}
+                        className="p-3 bg-gray-50 rounded-md border border-gray-200 hover:shadow-sm cursor-pointer flex justify-between items-center gap-2"
+                      >
+                        <div className="flex-1">
+                          <div className={item.completed ? 'line-through text-gray-500' : 'text-gray-900'}>{item.text}</div>
+                          <div className="text-xs text-gray-500">{item.list_name || lists.find(l => l.id === item.list_id)?.name}</div>
+                        </div>
+                        {item.due_date && (
+                          <span className={`text-xs px-2 py-1 rounded whitespace-nowrap ${dueBadgeClasses[getDueStatus(item) || 'upcoming']}`}>
+                            {formatDue(item)}
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : overview === 'tag' && tagView ? (
+              <div className="bg-white rounded-lg shadow p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-lg font-semibold">Tagged #{tagView.name}</h2>
+                  <button
+                    onClick={() => setOverview(null)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Close
+                  </button>
+                </div>
+                {tagView.items.length === 0 ? (
+                  <p className="text-gray-500 text-center py-4">No items with this tag</p>
+                ) : (
+                  <div className="space-y-2">
+                    {tagView.items.map(item => (
+                      <div
+                        key={item.id}
+                        onClick={() => openListFromOverview(item.list_id)}
+                        className="p-3 bg-gray-50 rounded-md border border-gray-200 hover:shadow-sm cursor-pointer flex justify-between items-center gap-2"
+                      >
+                        <div className="flex-1">
+                          <div className={item.completed ? 'line-through text-gray-500' : 'text-gray-900'}>{item.text}</div>
+                          <div className="text-xs text-gray-500">{item.list_name}</div>
+                        </div>
+                        <div className="flex flex-wrap gap-1 justify-end">
+                          {item.tags.map(tag => (
+                            <span key={tag.id} className="text-xs px-2 py-0.5 rounded-full border" style={tagChipStyle(tag)}>
+                              {tag.name}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : overview === 'trash' ? (
+              <div className="bg-white rounded-lg shadow p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-lg font-semibold">Trash</h2>
+                  <button
+                    onClick={() => setOverview(null)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Close
+                  </button>
+                </div>
+                {trash.retentionDays && (
+                  <p className="text-xs text-gray-500 mb-4">
+                    Deleted lists and items are permanently removed after {trash.retentionDays} days.
+                  </p>
+                )}
+                {trash.lists.length === 0 && trash.items.length === 0 ? (
+                  <p className="text-gray-500 text-center py-4">Trash is empty</p>
+                ) : (
+                  <div className="space-y-4">
+                    {trash.lists.length > 0 && (
+                      <div>
+                        <h3 className="text-sm font-semibold text-gray-700 mb-2">Lists</h3>
+                        <div className="space-y-2">
+                          {trash.lists.map(list => (
+                            <div key={list.id} className="p-3 bg-gray-50 rounded-md border border-gray-200 flex justify-between items-center gap-2">
+                              <div className="flex-1">
+                                <div className="text-gray-900">{list.name}</div>
+                                <div className="text-xs text-gray-500">
+                                  {list.item_count} item{list.item_count === 1 ? '' : 's'} · deleted {new Date(list.deleted_at).toLocaleString()}
+                                </div>
+                              </div>
+                              <button
+                                onClick={() => restoreList(list.id)}
+                                className="text-sm px-3 py-1 bg-purple-500 text-white rounded-md hover:bg-purple-600"
+                              >
+                                Restore
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {trash.items.length > 0 && (
+                      <div>
+                        <h3 className="text-sm font-semibold text-gray-700 mb-2">Items</h3>
+                        <div className="space-y-2">
+                          {trash.items.map(item => (
+                            <div key={item.id} className="p-3 bg-gray-50 rounded-md border border-gray-200 flex justify-between items-center gap-2">
+                              <div className="flex-1">
+                                <div className="text-gray-900">
+                                  {item.text}
+                                  {item.item_count > 1 && (
+                                    <span className="text-xs text-gray-500"> (+{item.item_count - 1} sub-items)</span>
+                                  )}
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                  {item.list_name} · deleted {item.deleted_by_email ? `by ${item.deleted_by_email} ` : ''}{new Date(item.deleted_at).toLocaleString()}
+                                </div>
+                              </div>
+                              <button
+                                onClick={() => restoreItem(item.id)}
+                                className="text-sm px-3 py-1 bg-purple-500 text-white rounded-md hover:bg-purple-600"
+                              >
+                                Restore
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
                 )}
               </div>
-            </div>
-          </div>
-
-          {/* Items & Sharing Panel */}
-          <div className="md:col-span-2">
-            {selectedList ? (
+            ) : selectedList ? (
               <div className="space-y-6">
                 {/* Items */}
                 <div className="bg-white rounded-lg shadow p-6">
                   <div className="flex justify-between items-center mb-4">
                     <h2 className="text-lg font-semibold">{selectedList.name}</h2>
-                    {connectionStatus === 'connected' && (
-                      <span className="text-xs text-green-600 bg-green-50 px-2 py-1 rounded">
-                        ⚡ Real-time sync active
-                      </span>
-                    )}
+                    <div className="flex items-center gap-2">
+                      {otherViewers().length > 0 && (
+                        <div className="flex -space-x-2" title="Also viewing this list">
+                          {otherViewers().map(viewer => {
+                            const focused = viewer.itemId !== null && items.find(i => i.id === viewer.itemId);
+                            return (
+                              <span
+                                key={viewer.userId}
+                                className="w-7 h-7 rounded-full border-2 border-white flex items-center justify-center text-xs font-semibold text-white uppercase"
+                                style={{ backgroundColor: caretColor(viewer.email) }}
+                                title={focused
+                                  ? `${viewer.email} is ${viewer.editing ? 'editing' : 'looking at'} "${focused.text}"`
+                                  : `${viewer.email} is viewing this list`}
+                              >
+                                {viewer.email.charAt(0)}
+                              </span>
+                            );
+                          })}
+                        </div>
+                      )}
+                      <button
+                        onClick={openListActivity}
+                        className="text-xs px-2 py-1 rounded border border-gray-200 text-gray-600 hover:bg-gray-50"
+                        title="Recent changes in this list"
+                      >
+                        🕘 Activity
+                      </button>
+                      {connectionStatus === 'connected' && (
+                        <span className="text-xs text-green-600 bg-green-50 px-2 py-1 rounded">
+                          ⚡ Real-time sync active
+                        </span>
+                      )}
+                    </div>
                   </div>
 
                   {/* Create Item Form */}
@@ -1279,6 +4031,7 @@ function RealtimeApp() {
                         onChange={(e) => setNewItemText(e.target.value)}
                         onKeyPress={(e) => e.key === 'Enter' && createItem()}
                         placeholder="Add new item..."
+                        maxLength={1000}
                         className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                       />
                       <button
@@ -1293,9 +4046,12 @@ function RealtimeApp() {
                   {/* Items List */}
                   {(() => {
                     // Check if user can edit this list
-                    const canEdit = isOwner || shares.some(s => s.user_id === user?.id && s.permission === 'edit');
+                    const canEdit = canRole(listRole, 'edit');
+                    const visibleItems = tagFilter ? items.filter(item => itemHasTag(item, tagFilter)) : items;
+                    const listTagNames = [...new Set(items.flatMap(item => (item.tags || []).map(tag => tag.name)))].sort();
                     const activeCount = items.filter(item => !item.completed).length;
                     const completedCount = items.length - activeCount;
+                    const hasLegacyText = selectedList.legacy_sanitized || items.some(item => item.legacy_sanitized);
 
                     return (
                       <>
@@ -1324,6 +4080,59 @@ function RealtimeApp() {
                           </div>
                         </div>
 
+                        {/* Tag Filter Bar */}
+                        {listTagNames.length > 0 && (
+                          <div className="mb-3 flex flex-wrap items-center gap-2 text-xs">
+                            <span className="text-gray-500 font-medium">Tags:</span>
+                            {listTagNames.map(name => {
+                              const tag = items.flatMap(item => item.tags || []).find(t => t.name === name);
+                              const isActive = tagFilter?.toLowerCase() === name.toLowerCase();
+                              return (
+                                <button
+                                  key={name}
+                                  onClick={() => setTagFilter(isActive ? null : name)}
+                                  className={`px-2 py-0.5 rounded-full border ${isActive ? 'ring-2 ring-offset-1 ring-purple-400' : ''}`}
+                                  style={tagChipStyle(tag)}
+                                >
+                                  {name}
+                                </button>
+                              );
+                            })}
+                            {tagFilter && (
+                              <>
+                                <button
+                                  onClick={() => openTagView(tagFilter)}
+                                  className="text-blue-600 hover:text-blue-700 underline"
+                                >
+                                  Search all lists
+                                </button>
+                                <button
+                                  onClick={() => setTagFilter(null)}
+                                  className="text-gray-500 hover:text-gray-700 underline"
+                                >
+                                  Clear filter
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
+
+                        {/* Text saved before input was stored verbatim */}
+                        {hasLegacyText && !hiddenLegacyNotices.includes(selectedList.id) && (
+                          <div className="mb-3 text-xs text-gray-500 bg-gray-50 border border-gray-200 rounded p-3 flex items-start gap-2">
+                            <div className="flex-1">
+                              Text in this list was saved by an older version, which removed characters such as <code>{`< > " ' ; ( ) { } [ ]`}</code> and cut text at 1000 characters. Most text never contained them - but items marked * may not read exactly as they were typed.
+                            </div>
+                            <button
+                              onClick={() => hideLegacyNotice(selectedList.id)}
+                              className="text-gray-400 hover:text-gray-600 p-1"
+                              aria-label="Dismiss notice about older text"
+                            >
+                              ×
+                            </button>
+                          </div>
+                        )}
+
                         {/* Drag & Drop Help */}
                         {canEdit && items.length > 0 && showDragHelp && (
                           <div className="mb-3 text-xs text-gray-600 bg-blue-50 border border-blue-200 rounded p-3 flex items-start gap-2">
@@ -1349,7 +4158,7 @@ function RealtimeApp() {
                           onDragCancel={handleDragCancel}
                         >
                           <SortableContext
-                            items={items.map(item => item.id)}
+                            items={visibleItems.map(item => item.id)}
                             strategy={verticalListSortingStrategy}
                           >
                             <div className="space-y-2">
@@ -1365,6 +4174,10 @@ function RealtimeApp() {
                             const bgColor = bgColors[Math.min(depth, bgColors.length - 1)];
                             const borderColor = borderColors[Math.min(depth, borderColors.length - 1)];
 
+                            // Other people with this item focused - editors get a highlight
+                            const itemViewers = otherViewers().filter(v => v.itemId === item.id);
+                            const beingEdited = itemViewers.some(v => v.editing);
+
                             return (
                               <SortableItem key={item.id} id={item.id} canEdit={canEdit}>
                                 {(attributes, listeners, isDragging) => (
@@ -1377,8 +4190,24 @@ function RealtimeApp() {
                                       }}
                                       className={`p-3 ${bgColor} rounded-md border ${borderColor} ${
                                         isDragging ? 'opacity-50 shadow-lg' : 'hover:shadow-sm'
-                                      } transition-all ${overId === `item-${item.id}` ? 'ring-2 ring-blue-400' : ''}`}
+                                      } transition-all ${overId === `item-${item.id}` ? 'ring-2 ring-blue-400' : beingEdited ? 'ring-2 ring-amber-400' : ''}`}
+                                      onFocus={(e) => handleItemFocus(item.id, e)}
+                                      onBlur={(e) => handleItemBlur(item.id, e)}
                                     >
+                                      {itemViewers.length > 0 && (
+                                        <div className="flex flex-wrap gap-1 mb-2">
+                                          {itemViewers.map(viewer => (
+                                            <span
+                                              key={viewer.userId}
+                                              className="text-xs px-2 py-0.5 rounded-full text-white"
+                                              style={{ backgroundColor: caretColor(viewer.email) }}
+                                              title={viewer.email}
+                                            >
+                                              {viewer.editing ? '✏️' : '👀'} {viewer.email.split('@')[0]}{viewer.editing ? ' is editing' : ''}
+                                            </span>
+                                          ))}
+                                        </div>
+                                      )}
                                       <div className="flex items-center justify-between">
                                         <div className="flex items-center flex-1 gap-2">
                                           {/* Drag handle - only show for users with edit permission */}
@@ -1422,7 +4251,47 @@ function RealtimeApp() {
                                   />
                                   <span className={`flex-1 ${item.completed ? 'line-through text-gray-500' : 'text-gray-900'}`}>
                                     {item.text}
+                                    {item.legacy_sanitized && (
+                                      <span className="ml-0.5 text-xs text-gray-400 align-super" title="Saved by an older version, which may have removed some characters">*</span>
+                                    )}
                                   </span>
+                                  {item.due_date && (
+                                    <span
+                                      className={`text-xs px-2 py-1 rounded whitespace-nowrap ${dueBadgeClasses[getDueStatus(item) || 'upcoming']}`}
+                                      title="Due date"
+                                    >
+                                      📅 {formatDue(item)}
+                                    </span>
+                                  )}
+                                  {(item.tags || []).map(tag => (
+                                    <button
+                                      key={tag.id}
+                                      onClick={() => setTagFilter(tag.name)}
+                                      className="text-xs px-2 py-0.5 rounded-full border whitespace-nowrap"
+                                      style={tagChipStyle(tag)}
+                                      title={`Filter by ${tag.name}`}
+                                    >
+                                      {tag.name}
+                                    </button>
+                                  ))}
+                                  {item.assignee_id && (
+                                    <span
+                                      className={`text-xs px-2 py-1 rounded whitespace-nowrap ${
+                                        item.assignee_id === user?.id ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-600'
+                                      }`}
+                                      title="Assigned to"
+                                    >
+                                      👤 {getAssigneeLabel(item.assignee_id)}
+                                    </span>
+                                  )}
+                                  {item.recurrence && (
+                                    <span
+                                      className="text-xs bg-purple-100 text-purple-700 px-2 py-1 rounded whitespace-nowrap"
+                                      title={formatRecurrence(item.recurrence)}
+                                    >
+                                      🔁 {formatRecurrence(item.recurrence)}
+                                    </span>
+                                  )}
                                   {hasChildren && (
                                     <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded">
                                       {item.children.length}
@@ -1440,6 +4309,63 @@ function RealtimeApp() {
                                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
                                     </svg>
                                   </button>
+                                  {/* Due date button */}
+                                  {canEdit && (
+                                    <button
+                                      onClick={() => editingDueFor === item.id ? setEditingDueFor(null) : startEditingDue(item)}
+                                      className={`text-gray-500 hover:text-gray-700 p-1 ${item.due_date || item.recurrence ? 'text-purple-500' : ''}`}
+                                      title="Set due date and repeat"
+                                    >
+                                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                                      </svg>
+                                    </button>
+                                  )}
+                                  {/* Assign button */}
+                                  {canEdit && (
+                                    <button
+                                      onClick={() => setAssigningItemId(assigningItemId === item.id ? null : item.id)}
+                                      className={`text-gray-500 hover:text-gray-700 p-1 ${item.assignee_id ? 'text-indigo-500' : ''}`}
+                                      title="Assign to collaborator"
+                                    >
+                                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                                      </svg>
+                                    </button>
+                                  )}
+                                  {/* Tags button */}
+                                  {canEdit && (
+                                    <button
+                                      onClick={() => { setTaggingItemId(taggingItemId === item.id ? null : item.id); setNewTagName(''); }}
+                                      className={`text-gray-500 hover:text-gray-700 p-1 ${item.tags?.length ? 'text-purple-500' : ''}`}
+                                      title="Edit tags"
+                                    >
+                                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                                      </svg>
+                                    </button>
+                                  )}
+                                  {/* Comments toggle button */}
+                                  <button
+                                    onClick={() => toggleCommentsExpanded(item.id)}
+                                    className={`text-gray-500 hover:text-gray-700 p-1 flex items-center gap-0.5 ${item.comment_count ? 'text-sky-500' : ''}`}
+                                    title={expandedComments[item.id] ? 'Hide comments' : 'Comments'}
+                                  >
+                                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+                                    </svg>
+                                    {item.comment_count > 0 && <span className="text-xs">{item.comment_count}</span>}
+                                  </button>
+                                  {/* History button */}
+                                  <button
+                                    onClick={() => openItemHistory(item)}
+                                    className="text-gray-500 hover:text-gray-700 p-1"
+                                    title="History"
+                                  >
+                                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                    </svg>
+                                  </button>
                                   {/* Notes toggle button */}
                                   <button
                                     onClick={() => toggleNotesExpanded(item.id)}
@@ -1472,6 +4398,7 @@ function RealtimeApp() {
                                       onChange={(e) => setNewSubItemText(e.target.value)}
                                       onKeyPress={(e) => e.key === 'Enter' && createItem(item.id)}
                                       placeholder="Add sub-item..."
+                                      maxLength={1000}
                                       className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 text-sm"
                                       autoFocus
                                     />
@@ -1491,17 +4418,204 @@ function RealtimeApp() {
                                 </div>
                               )}
 
+                              {/* Due Date Form */}
+                              {editingDueFor === item.id && (
+                                <div className="mt-3 pt-3 border-t border-gray-200">
+                                  <div className="flex flex-wrap gap-2">
+                                    <input
+                                      type="date"
+                                      value={dueDraft.date}
+                                      onChange={(e) => setDueDraft(prev => ({ ...prev, date: e.target.value }))}
+                                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm"
+                                    />
+                                    <input
+                                      type="time"
+                                      value={dueDraft.time}
+                                      onChange={(e) => setDueDraft(prev => ({ ...prev, time: e.target.value }))}
+                                      disabled={!dueDraft.date}
+                                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm disabled:opacity-50"
+                                    />
+                                    <select
+                                      value={dueDraft.repeat}
+                                      onChange={(e) => setDueDraft(prev => ({ ...prev, repeat: e.target.value }))}
+                                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm"
+                                    >
+                                      <option value="none">Does not repeat</option>
+                                      <option value="daily">Daily</option>
+                                      <option value="weekly">Weekly</option>
+                                      <option value="monthly">Monthly</option>
+                                      <option value="interval">Every N days</option>
+                                    </select>
+                                    {dueDraft.repeat === 'interval' && (
+                                      <input
+                                        type="number"
+                                        min="1"
+                                        max="365"
+                                        value={dueDraft.days}
+                                        onChange={(e) => setDueDraft(prev => ({ ...prev, days: e.target.value }))}
+                                        className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm"
+                                        aria-label="Repeat every N days"
+                                      />
+                                    )}
+                                    <button
+                                      onClick={() => updateItemDue(item.id, dueDraft)}
+                                      className="px-3 py-2 bg-purple-500 text-white rounded-md hover:bg-purple-600 text-sm"
+                                    >
+                                      Save
+                                    </button>
+                                    {(item.due_date || item.recurrence) && (
+                                      <button
+                                        onClick={() => updateItemDue(item.id, { date: '', time: '', repeat: 'none' })}
+                                        className="px-3 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 text-sm"
+                                      >
+                                        Clear
+                                      </button>
+                                    )}
+                                  </div>
+                                  {dueDraft.repeat === 'weekly' && (
+                                    <div className="flex flex-wrap gap-1 mt-2">
+                                      {WEEKDAY_LABELS.map((label, day) => (
+                                        <button
+                                          key={label}
+                                          onClick={() => toggleDraftWeekday(day)}
+                                          className={`px-2 py-1 text-xs rounded border ${
+                                            dueDraft.weekdays.includes(day)
+                                              ? 'bg-purple-500 border-purple-500 text-white'
+                                              : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                                          }`}
+                                        >
+                                          {label}
+                                        </button>
+                                      ))}
+                                    </div>
+                                  )}
+                                </div>
+                              )}
+
+                              {/* Assignee Picker */}
+                              {assigningItemId === item.id && (
+                                <div className="mt-3 pt-3 border-t border-gray-200">
+                                  <select
+                                    value={item.assignee_id || ''}
+                                    onChange={(e) => assignItem(item.id, e.target.value ? Number(e.target.value) : null)}
+                                    className="w-full sm:w-auto px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                                  >
+                                    <option value="">Unassigned</option>
+                                    {getAssignableUsers().map(candidate => (
+                                      <option key={candidate.user_id} value={candidate.user_id}>
+                                        {candidate.user_id === user?.id ? `Me (${candidate.email})` : candidate.email}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </div>
+                              )}
+
+                              {/* Tag Picker */}
+                              {taggingItemId === item.id && (
+                                <div className="mt-3 pt-3 border-t border-gray-200 space-y-2">
+                                  <div className="flex flex-wrap gap-1">
+                                    {(item.tags || []).map(tag => (
+                                      <span key={tag.id} className="text-xs px-2 py-0.5 rounded-full border flex items-center gap-1" style={tagChipStyle(tag)}>
+                                        {tag.name}
+                                        <button
+                                          onClick={() => removeTagFromItem(item.id, tag.id)}
+                                          className="hover:opacity-70"
+                                          aria-label={`Remove tag ${tag.name}`}
+                                        >
+                                          ×
+                                        </button>
+                                      </span>
+                                    ))}
+                                    {tags
+                                      .filter(tag => (tag.list_id === item.list_id || tag.user_id === user?.id) &&
+                                        !(item.tags || []).some(t => t.id === tag.id))
+                                      .map(tag => (
+                                        <button
+                                          key={tag.id}
+                                          onClick={() => addTagToItem(item.id, { tagId: tag.id })}
+                                          className="text-xs px-2 py-0.5 rounded-full border border-dashed opacity-70 hover:opacity-100"
+                                          style={tagChipStyle(tag)}
+                                        >
+                                          + {tag.name}
+                                        </button>
+                                      ))}
+                                  </div>
+                                  <div className="flex gap-2">
+                                    <input
+                                      type="text"
+                                      value={newTagName}
+                                      onChange={(e) => setNewTagName(e.target.value)}
+                                      onKeyPress={(e) => e.key === 'Enter' && newTagName.trim() && addTagToItem(item.id, { name: newTagName.trim() })}
+                                      placeholder="New tag..."
+                                      maxLength={50}
+                                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm"
+                                      autoFocus
+                                    />
+                                    <button
+                                      onClick={() => newTagName.trim() && addTagToItem(item.id, { name: newTagName.trim() })}
+                                      className="px-3 py-2 bg-purple-500 text-white rounded-md hover:bg-purple-600 text-sm"
+                                    >
+                                      Add
+                                    </button>
+                                  </div>
+                                </div>
+                              )}
+
+                              {/* Comments section */}
+                              {expandedComments[item.id] && (
+                                <div className="mt-3 pt-3 border-t border-gray-200 space-y-2">
+                                  {/* Threads start at top-level comments; replies are nested by renderComment */}
+                                  {(comments[item.id] || [])
+                                    .filter(comment => !comment.parent_id || !(comments[item.id] || []).some(c => c.id === comment.parent_id))
+                                    .map(comment => renderComment(item, comment))}
+                                  {canRole(listRole, 'comment') && (
+                                    <div className="flex gap-2">
+                                      <input
+                                        type="text"
+                                        value={commentDrafts[item.id] || ''}
+                                        onChange={(e) => setCommentDrafts(prev => ({ ...prev, [item.id]: e.target.value }))}
+                                        onKeyPress={(e) => e.key === 'Enter' && addComment(item.id)}
+                                        placeholder="Write a comment... (@email mentions a collaborator)"
+                                        maxLength={5000}
+                                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-sky-500 text-sm"
+                                      />
+                                      <button
+                                        onClick={() => addComment(item.id)}
+                                        className="px-3 py-2 bg-sky-500 text-white rounded-md hover:bg-sky-600 text-sm"
+                                      >
+                                        Comment
+                                      </button>
+                                    </div>
+                                  )}
+                                </div>
+                              )}
+
                               {/* Notes section */}
                               {expandedNotes[item.id] && (
                                 <div className="mt-3 pt-3 border-t border-gray-200">
                                   <div className="relative">
                                     <textarea
+                                      ref={(el) => { notesTextareas.current[item.id] = el; }}
                                       value={editingNotes[item.id] !== undefined ? editingNotes[item.id] : (item.notes || '')}
                                       onChange={(e) => handleNotesChange(item.id, e.target.value)}
-                                      placeholder="Add notes..."
+                                      onSelect={() => sendNoteCaret(item.id)}
+                                      onScroll={(e) => {
+                                        if (notesOverlays.current[item.id]) {
+                                          notesOverlays.current[item.id].scrollTop = e.target.scrollTop;
+                                        }
+                                      }}
+                                      readOnly={noteAccess[item.id] === 'opening' || noteAccess[item.id] === 'view'}
+                                      placeholder="Add notes... (@email mentions a collaborator)"
                                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
                                       rows="3"
                                     />
+                                    {noteCarets[item.id] && (
+                                      <NotesCaretOverlay
+                                        text={editingNotes[item.id] ?? ''}
+                                        carets={noteCarets[item.id]}
+                                        overlayRef={(el) => { notesOverlays.current[item.id] = el; }}
+                                      />
+                                    )}
                                     {savingNotes[item.id] && (
                                       <div className="absolute top-2 right-2 text-xs text-gray-500 flex items-center gap-1">
                                         <svg className="animate-spin h-3 w-3" viewBox="0 0 24 24">
@@ -1512,6 +4626,17 @@ function RealtimeApp() {
                                       </div>
                                     )}
                                   </div>
+                                  {Object.keys(noteCarets[item.id] || {}).length > 0 && (
+                                    <div className="mt-1 flex flex-wrap gap-2 text-xs text-gray-500">
+                                      {Object.values(noteCarets[item.id]).map(caret => (
+                                        <span key={caret.socketId} className="flex items-center gap-1">
+                                          <span className="w-2 h-2 rounded-full" style={{ backgroundColor: caretColor(caret.email) }} />
+                                          {caret.email?.split('@')[0]}
+                                        </span>
+                                      ))}
+                                      <span>editing</span>
+                                    </div>
+                                  )}
                                 </div>
                               )}
                             </div>
@@ -1528,7 +4653,7 @@ function RealtimeApp() {
                               );
                             };
 
-                            const organizedItems = organizeItems(items);
+                            const organizedItems = organizeItems(visibleItems);
 
                             if (organizedItems.length === 0 && !isLoading) {
                               return (
@@ -1568,8 +4693,8 @@ function RealtimeApp() {
               })()}
                 </div>
 
-                {/* Sharing Section (only for owner) */}
-                {isOwner && (
+                {/* Sharing Section (owner and admins) */}
+                {canRole(listRole, 'manage') && (
                   <div className="bg-white rounded-lg shadow p-6">
                     <h3 className="text-lg font-semibold mb-4">Share This List</h3>
 
@@ -1587,8 +4712,11 @@ function RealtimeApp() {
                           onChange={(e) => setSharePermission(e.target.value)}
                           className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                         >
-                          <option value="view">View</option>
-                          <option value="edit">Edit</option>
+                          {['viewer', 'commenter', 'editor', 'admin']
+                            .filter(role => canManageRole(listRole, role))
+                            .map(role => (
+                              <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                            ))}
                         </select>
                         <button
                           onClick={shareList}
@@ -1604,23 +4732,112 @@ function RealtimeApp() {
                       <div className="space-y-2">
                         <h4 className="font-medium text-gray-700">Shared with:</h4>
                         {shares.map(share => (
-                          <div key={share.user_id} className="flex justify-between items-center p-2 bg-gray-50 rounded">
-                            <span>{share.email}</span>
+                          <div key={share.pending ? `invite-${share.invitation_id}` : share.user_id} className="flex justify-between items-center p-2 bg-gray-50 rounded">
+                            <span>
+                              {share.email}
+                              {share.pending && (
+                                <span className="ml-2 text-xs text-amber-700 bg-amber-100 px-2 py-0.5 rounded-full" title="Gets access after signing up with this email">
+                                  Invite pending
+                                </span>
+                              )}
+                            </span>
                             <div className="flex items-center gap-2">
                               <span className="text-sm bg-gray-200 px-2 py-1 rounded">
-                                {share.permission}
+                                {ROLE_LABELS[share.permission] || share.permission}
                               </span>
-                              <button
-                                onClick={() => removeShare(share.user_id)}
-                                className="text-red-500 hover:text-red-700"
-                              >
-                                Remove
-                              </button>
+                              {listRole === 'owner' && !share.pending && (
+                                <button
+                                  onClick={() => transferOwnership(share)}
+                                  className="text-sm text-purple-600 hover:text-purple-800"
+                                  title="Hand this list over - you stay on as an editor"
+                                >
+                                  Make owner
+                                </button>
+                              )}
+                              {canManageRole(listRole, share.permission) && (
+                                <button
+                                  onClick={() => (share.pending ? cancelInvitation(share.invitation_id) : removeShare(share.user_id))}
+                                  className="text-red-500 hover:text-red-700"
+                                >
+                                  {share.pending ? 'Cancel' : 'Remove'}
+                                </button>
+                              )}
                             </div>
                           </div>
                         ))}
                       </div>
                     )}
+
+                    {/* Share links for people without an account */}
+                    <div className="mt-6 pt-4 border-t border-gray-200">
+                      <h4 className="font-medium text-gray-700 mb-1">Share links</h4>
+                      <p className="text-sm text-gray-500 mb-3">
+                        Anyone with a link can open this list without signing in.
+                      </p>
+                      <div className="flex flex-wrap gap-2 mb-3">
+                        <select
+                          value={linkPermission}
+                          onChange={(e) => setLinkPermission(e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="view">Can view</option>
+                          <option value="edit">Can edit</option>
+                        </select>
+                        <select
+                          value={linkExpiryDays}
+                          onChange={(e) => setLinkExpiryDays(e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Never expires</option>
+                          <option value="1">Expires in 1 day</option>
+                          <option value="7">Expires in 7 days</option>
+                          <option value="30">Expires in 30 days</option>
+                        </select>
+                        <button
+                          onClick={createShareLink}
+                          className="px-3 sm:px-4 py-2 bg-purple-500 text-white rounded-md hover:bg-purple-600 whitespace-nowrap"
+                        >
+                          Create link
+                        </button>
+                      </div>
+
+                      {shareLinks.length > 0 && (
+                        <div className="space-y-2">
+                          {shareLinks.map(link => (
+                            <div key={link.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-2 bg-gray-50 rounded">
+                              <div className="min-w-0">
+                                <div className="text-sm font-mono truncate">{shareLinkUrl(link)}</div>
+                                <div className="text-xs text-gray-500">
+                                  {link.permission === 'edit' ? 'Can edit' : 'Can view'}
+                                  {' · '}
+                                  {link.expired
+                                    ? 'Expired'
+                                    : link.expires_at
+                                      ? `Expires ${new Date(link.expires_at).toLocaleDateString()}`
+                                      : 'Never expires'}
+                                </div>
+                              </div>
+                              <div className="flex items-center gap-2 shrink-0">
+                                {!link.expired && (
+                                  <button
+                                    onClick={() => copyShareLink(link)}
+                                    className="text-sm text-blue-600 hover:text-blue-800"
+                                  >
+                                    {copiedLinkId === link.id ? 'Copied!' : 'Copy'}
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => revokeShareLink(link.id)}
+                                  className="text-sm text-red-500 hover:text-red-700"
+                                >
+                                  {link.expired ? 'Remove' : 'Revoke'}
+                                </button>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
                   </div>
                 )}
               </div>
@@ -1634,6 +4851,311 @@ function RealtimeApp() {
           </div>
         </div>
       </div>
+
+      {/* Notes conflict dialog */}
+      {notesConflict && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl p-6">
+            <h2 className="text-lg font-semibold mb-1">Notes were changed by someone else</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              "{notesConflict.server.text}" was updated while you were editing. Choose which notes to keep, or merge them below.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+              <div>
+                <div className="text-xs font-semibold text-gray-500 mb-1">Their version</div>
+                <pre className="whitespace-pre-wrap text-sm bg-gray-50 border border-gray-200 rounded-md p-2 h-40 overflow-y-auto font-sans">
+                  {notesConflict.server.notes || '(empty)'}
+                </pre>
+              </div>
+              <div>
+                <div className="text-xs font-semibold text-gray-500 mb-1">Your version (edit to merge)</div>
+                <textarea
+                  value={notesConflict.merged}
+                  onChange={(e) => setNotesConflict(prev => ({ ...prev, merged: e.target.value }))}
+                  className="w-full text-sm border border-gray-300 rounded-md p-2 h-40 resize-none focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+            </div>
+            <div className="flex flex-wrap justify-end gap-2">
+              <button
+                onClick={() => resolveNotesConflict(null)}
+                className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+              >
+                Keep theirs
+              </button>
+              <button
+                onClick={() => resolveNotesConflict(notesConflict.mine)}
+                className="px-3 py-2 text-sm border border-red-300 text-red-600 rounded-md hover:bg-red-50"
+              >
+                Overwrite with mine
+              </button>
+              <button
+                onClick={() => resolveNotesConflict(notesConflict.merged)}
+                disabled={notesConflict.merged === notesConflict.mine}
+                className="px-3 py-2 text-sm bg-purple-500 text-white rounded-md hover:bg-purple-600 disabled:opacity-50"
+              >
+                Save merged
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Two-factor authentication settings */}
+      {twoFactorDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-md p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold">Two-factor authentication</h2>
+              <button
+                onClick={() => setTwoFactorDialog(null)}
+                className="text-gray-400 hover:text-gray-600 text-xl"
+                aria-label="Close"
+              >
+                ×
+              </button>
+            </div>
+
+            {twoFactorDialog.error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+                {twoFactorDialog.error}
+              </div>
+            )}
+
+            {twoFactorDialog.step === 'overview' ? (
+              !twoFactorDialog.status.available ? (
+                <p className="text-sm text-gray-600">
+                  You sign in with Google, so two-factor authentication is managed in your Google account.
+                </p>
+              ) : twoFactorDialog.status.enabled ? (
+                <>
+                  <p className="text-sm text-gray-600 mb-1">
+                    <span className="text-green-600 font-semibold">On.</span> Logging in needs a code from your authenticator app.
+                  </p>
+                  <p className="text-sm text-gray-600 mb-4">
+                    {twoFactorDialog.status.recoveryCodesLeft} unused recovery code(s) left.
+                  </p>
+                  <div className="flex flex-wrap justify-end gap-2">
+                    <button
+                      onClick={() => showTwoFactorStep('regenerate')}
+                      className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                    >
+                      New recovery codes
+                    </button>
+                    <button
+                      onClick={() => showTwoFactorStep('disable')}
+                      className="px-3 py-2 text-sm border border-red-300 text-red-600 rounded-md hover:bg-red-50"
+                    >
+                      Turn off
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-600 mb-4">
+                    Protect your account with a code from an authenticator app on your phone, needed each time you log in.
+                  </p>
+                  <div className="flex justify-end">
+                    <button
+                      onClick={() => showTwoFactorStep('setup')}
+                      className="px-3 py-2 text-sm bg-purple-500 text-white rounded-md hover:bg-purple-600"
+                    >
+                      Set up
+                    </button>
+                  </div>
+                </>
+              )
+            ) : twoFactorDialog.step === 'codes' ? (
+              <>
+                <p className="text-sm text-gray-600 mb-3">
+                  Keep these recovery codes somewhere safe. Each one logs you in once if you lose your phone. They won't be shown again.
+                </p>
+                <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-md p-3 mb-4 font-mono text-sm text-center">
+                  {twoFactorDialog.recoveryCodes.map(code => <div key={code}>{code}</div>)}
+                </div>
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => navigator.clipboard?.writeText(twoFactorDialog.recoveryCodes.join('\n'))}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                  >
+                    Copy
+                  </button>
+                  <button
+                    onClick={() => showTwoFactorStep('overview', { recoveryCodes: null })}
+                    className="px-3 py-2 text-sm bg-purple-500 text-white rounded-md hover:bg-purple-600"
+                  >
+                    I've saved them
+                  </button>
+                </div>
+              </>
+            ) : (
+              <form onSubmit={submitTwoFactorDialog}>
+                {twoFactorDialog.step === 'scan' ? (
+                  <>
+                    <p className="text-sm text-gray-600 mb-3">
+                      Scan this code with your authenticator app, then enter the 6-digit code it shows.
+                    </p>
+                    <div className="flex justify-center mb-3">
+                      <QRCodeSVG value={twoFactorDialog.otpauthUri} size={176} />
+                    </div>
+                    <p className="text-xs text-gray-500 text-center mb-4 break-all">
+                      Can't scan it? Enter this key instead: <span className="font-mono">{twoFactorDialog.secret}</span>
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-600 mb-3">
+                    {twoFactorDialog.step === 'setup' && 'Confirm your password to set up two-factor authentication.'}
+                    {twoFactorDialog.step === 'regenerate' && 'Confirm your password to get new recovery codes. The old ones will stop working.'}
+                    {twoFactorDialog.step === 'disable' && 'Confirm your password and enter a code from your authenticator app or a recovery code.'}
+                  </p>
+                )}
+
+                {twoFactorDialog.step !== 'scan' && (
+                  <input
+                    type="password"
+                    value={twoFactorDialog.password}
+                    onChange={(e) => updateTwoFactorDialog({ password: e.target.value })}
+                    placeholder="Password"
+                    autoComplete="current-password"
+                    autoFocus
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md mb-3 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                    required
+                  />
+                )}
+                {(twoFactorDialog.step === 'scan' || twoFactorDialog.step === 'disable') && (
+                  <input
+                    type="text"
+                    value={twoFactorDialog.code}
+                    onChange={(e) => updateTwoFactorDialog({ code: e.target.value })}
+                    placeholder={twoFactorDialog.step === 'scan' ? 'Authentication code' : 'Authentication or recovery code'}
+                    autoComplete="one-time-code"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md mb-3 tracking-widest text-center focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                    required
+                  />
+                )}
+
+                <div className="flex justify-end gap-2 mt-1">
+                  <button
+                    type="button"
+                    onClick={() => showTwoFactorStep('overview')}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className={`px-3 py-2 text-sm text-white rounded-md ${twoFactorDialog.step === 'disable' ? 'bg-red-500 hover:bg-red-600' : 'bg-purple-500 hover:bg-purple-600'}`}
+                  >
+                    {{ setup: 'Continue', scan: 'Turn on', regenerate: 'Create new codes', disable: 'Turn off' }[twoFactorDialog.step]}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* History side panel */}
+      {historyPanel && (
+        <div className="fixed inset-y-0 right-0 w-full sm:w-96 bg-white shadow-xl border-l border-gray-200 z-40 flex flex-col">
+          <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200">
+            <div className="min-w-0">
+              <h2 className="font-semibold">{historyPanel.mode === 'list' ? 'List activity' : 'Item history'}</h2>
+              <div className="text-xs text-gray-500 truncate">{historyPanel.title}</div>
+            </div>
+            <button
+              onClick={() => setHistoryPanel(null)}
+              className="text-gray-400 hover:text-gray-600 text-xl"
+              aria-label="Close history"
+            >
+              ×
+            </button>
+          </div>
+          <div className="flex-1 overflow-y-auto p-4 space-y-3">
+            {historyPanel.entries.length === 0 ? (
+              <p className="text-gray-500 text-center text-sm py-4">No changes recorded yet</p>
+            ) : (
+              historyPanel.entries.map(entry => (
+                <div key={entry.id} className="text-sm border-b border-gray-100 pb-2">
+                  <div>
+                    <span className="font-medium">{entry.actor_email || 'Someone'}</span>{' '}
+                    <span className="text-gray-700">{describeHistoryEntry(entry)}</span>
+                  </div>
+                  {entry.action === 'updated' && ['text', 'notes'].map(field => entry.changes[field] && (
+                    <div key={field} className="text-xs text-gray-500 mt-1 break-words">
+                      <span className="line-through">{entry.changes[field].from || '(empty)'}</span>
+                      {' → '}
+                      <span>{entry.changes[field].to || '(empty)'}</span>
+                    </div>
+                  ))}
+                  <div className="text-xs text-gray-400 mt-1">{new Date(entry.created_at).toLocaleString()}</div>
+                </div>
+              ))
+            )}
+            {historyPanel.mode === 'list' && historyPanel.hasMore && (
+              <button
+                onClick={() => fetchListActivity(historyPanel.id, historyPanel.entries[historyPanel.entries.length - 1].id)}
+                className="w-full text-sm text-purple-600 hover:text-purple-800 py-2"
+              >
+                Load older activity
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Undo toast */}
+      {undoToast && (
+        <div className="fixed bottom-4 left-4 z-50 bg-gray-800 text-white shadow-lg rounded-md px-4 py-3 flex items-center gap-3 text-sm max-w-md">
+          <span className="flex-1">{undoToast.message}</span>
+          {undoToast.canUndo && (
+            <button
+              onClick={undo}
+              className="font-semibold text-purple-300 hover:text-purple-200"
+              title="Undo (Ctrl+Z)"
+            >
+              Undo
+            </button>
+          )}
+          {undoToast.canRedo && (
+            <button
+              onClick={redo}
+              className="font-semibold text-purple-300 hover:text-purple-200"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              Redo
+            </button>
+          )}
+          <button
+            onClick={() => setUndoToast(null)}
+            className="text-gray-400 hover:text-gray-200"
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      {/* Toasts (due reminders, assignments) */}
+      {toasts.length > 0 && (
+        <div className="fixed bottom-4 right-4 space-y-2 z-50 w-72">
+          {toasts.map(toast => (
+            <div key={toast.id} className="bg-white border border-amber-300 shadow-lg rounded-md p-3 flex items-start gap-2">
+              <div className="flex-1 text-sm">
+                <div className="font-semibold text-amber-700">{toast.title}</div>
+                <div className="text-gray-800">{toast.text}</div>
+              </div>
+              <button
+                onClick={() => dismissToast(toast.id)}
+                className="text-gray-400 hover:text-gray-600"
+                aria-label="Dismiss notification"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
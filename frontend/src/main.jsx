@@ -1,10 +1,29 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './RealtimeApp'
+import PublicListApp from './PublicListApp'
+import EmailLinkApp from './EmailLinkApp'
 import './index.css'
 
+// Share links (/shared/<token>) open a single list without signing in
+const shareLinkMatch = window.location.pathname.match(/^\/shared\/([A-Za-z0-9_-]+)\/?$/)
+// Links from password reset and verification emails
+const emailLinkMatch = window.location.pathname.match(/^\/(reset-password|verify-email)\/?$/)
+const emailLinkToken = new URLSearchParams(window.location.search).get('token')
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {shareLinkMatch ? <PublicListApp token={shareLinkMatch[1]} />
+      : emailLinkMatch ? <EmailLinkApp page={emailLinkMatch[1]} token={emailLinkToken} />
+      : <App />}
   </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+// Service worker for offline use (production builds only - it would cache dev modules)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.error('Service worker registration failed:', err);
+    });
+  });
+}
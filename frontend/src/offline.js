@@ -0,0 +1,200 @@
+// Offline support: an IndexedDB cache of lists and items, and a queue of item changes
+// made without a connection. The queue is replayed in order once we are back online.
+//
+// Queued mutations:
+//   { type: 'create', listId, tempId, body }
+//   { type: 'update', listId, itemId, itemText, body, base, version }   // base = values before the change
+//   { type: 'delete', listId, itemId, itemText }
+// Item ids may be 'temp-...' ids of items created offline; they are mapped to the real
+// ids as the creates are replayed.
+
+const DB_NAME = 'collaborlist';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('lists', { keyPath: 'id' });
+        db.createObjectStore('items', { keyPath: 'id' }).createIndex('list_id', 'list_id');
+        db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn with the named object stores in one transaction. Resolves with whatever fn
+// stored in result.value once the transaction commits.
+const transact = async (storeNames, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const result = {};
+    fn(...storeNames.map(name => tx.objectStore(name)), result);
+    tx.oncomplete = () => resolve(result.value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// No response at all means the request never reached the server
+export const isNetworkError = (err) => !err.response;
+
+export const saveLists = (lists) => transact(['lists'], 'readwrite', (store) => {
+  store.clear();
+  lists.forEach(list => store.put(list));
+});
+
+export const getLists = () => transact(['lists'], 'readonly', (store, result) => {
+  store.getAll().onsuccess = (e) => {
+    result.value = e.target.result.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  };
+});
+
+// Replace the cached items of one list
+export const saveItems = (listId, items) => transact(['items'], 'readwrite', (store) => {
+  store.index('list_id').getAllKeys(IDBKeyRange.only(listId)).onsuccess = (e) => {
+    e.target.result.forEach(key => store.delete(key));
+    items.forEach(item => store.put(item));
+  };
+});
+
+export const getItems = (listId) => transact(['items'], 'readonly', (store, result) => {
+  store.index('list_id').getAll(IDBKeyRange.only(listId)).onsuccess = (e) => {
+    result.value = e.target.result;
+  };
+});
+
+export const queueMutation = (mutation) => transact(['mutations'], 'readwrite', (store, result) => {
+  store.add({ ...mutation, queuedAt: Date.now() }).onsuccess = (e) => {
+    result.value = e.target.result;
+  };
+});
+
+export const getMutations = () => transact(['mutations'], 'readonly', (store, result) => {
+  store.getAll().onsuccess = (e) => {
+    result.value = e.target.result;
+  };
+});
+
+const removeMutation = (id) => transact(['mutations'], 'readwrite', (store) => {
+  store.delete(id);
+});
+
+// Point queued mutations at the server id of an item that was created offline, so they
+// still apply if the replay stops before reaching them
+const remapTempId = (tempId, realId) => transact(['mutations'], 'readwrite', (store) => {
+  store.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+
+    const mutation = { ...cursor.value, body: { ...cursor.value.body } };
+    let changed = false;
+    if (mutation.itemId === tempId) {
+      mutation.itemId = realId;
+      changed = true;
+    }
+    if (mutation.body.parent_id === tempId) {
+      mutation.body.parent_id = realId;
+      changed = true;
+    }
+    if (changed) cursor.update(mutation);
+    cursor.continue();
+  };
+});
+
+// Forget everything, e.g. on logout
+export const clearOfflineData = () => transact(['lists', 'items', 'mutations'], 'readwrite', (lists, items, mutations) => {
+  lists.clear();
+  items.clear();
+  mutations.clear();
+});
+
+const sameValue = (a, b) => (a ?? null) === (b ?? null);
+
+// Send queued mutations to the server in order. Mutations the server rejects are passed
+// to onConflict({ mutation, status, server }) and dropped. So are mutations on items whose
+// offline create failed, with orphaned: true and no status. Stops at the first network
+// error and leaves the rest queued; resolves true when the queue was emptied.
+export const replayMutations = async (http, apiBase, onConflict) => {
+  const realIds = {}; // temp id -> id from the server
+  const versions = {}; // item id -> version after our own replayed change
+  const resolveId = (id) => realIds[id] ?? id;
+  const isTemp = (id) => typeof id === 'string' && id.startsWith('temp-');
+  // The queue replays in order, so a temp id still unresolved here belongs to a failed create
+  const reportOrphan = (mutation) => onConflict({ mutation, status: null, server: null, orphaned: true });
+
+  for (const mutation of await getMutations()) {
+    try {
+      if (mutation.type === 'create') {
+        const parentId = resolveId(mutation.body.parent_id ?? null);
+        if (!isTemp(parentId)) {
+          const { data } = await http.post(`${apiBase}/lists/${mutation.listId}/items`, {
+            ...mutation.body,
+            parent_id: parentId
+          });
+          realIds[mutation.tempId] = data.id;
+          versions[data.id] = data.version;
+          await removeMutation(mutation.id);
+          await remapTempId(mutation.tempId, data.id);
+          continue;
+        }
+        reportOrphan(mutation);
+      } else if (mutation.type === 'update') {
+        const itemId = resolveId(mutation.itemId);
+        const body = { ...mutation.body };
+        if ('parent_id' in body) body.parent_id = resolveId(body.parent_id);
+        // Changes to items whose create failed have nothing to apply to
+        if (isTemp(itemId) || isTemp(body.parent_id)) {
+          reportOrphan(mutation);
+        } else {
+          try {
+            const { data } = await http.put(`${apiBase}/items/${itemId}`, {
+              ...body,
+              version: versions[itemId] ?? mutation.version
+            });
+            versions[itemId] = data.version;
+          } catch (err) {
+            const server = err.response?.status === 409 && err.response.data.item;
+            // Someone else changed the item - only a conflict if they touched the same fields
+            if (!server || Object.keys(mutation.base).some(f => !sameValue(server[f], mutation.base[f]))) {
+              throw err;
+            }
+            const { data } = await http.put(`${apiBase}/items/${itemId}`, { ...body, version: server.version });
+            versions[itemId] = data.version;
+          }
+        }
+      } else if (mutation.type === 'delete') {
+        const itemId = resolveId(mutation.itemId);
+        if (!isTemp(itemId)) {
+          try {
+            await http.delete(`${apiBase}/items/${itemId}`);
+          } catch (err) {
+            // Already gone is what we wanted
+            if (err.response?.status !== 404) throw err;
+          }
+        }
+      }
+    } catch (err) {
+      // Offline again, or the session expired - try again later
+      if (isNetworkError(err) || err.response.status === 401) return false;
+      onConflict({
+        mutation,
+        status: err.response.status,
+        server: err.response.data?.item || null
+      });
+    }
+    await removeMutation(mutation.id);
+  }
+  return true;
+};